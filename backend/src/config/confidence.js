@@ -0,0 +1,42 @@
+/**
+ * Confidence scale
+ * confidence_score is an integer percentage, 0–100, everywhere: prompt, validation, merge and report.
+ * Documents scoring below the minimum go to manual review instead of being reported as processed.
+ */
+
+export const CONFIDENCE_MIN = 0;
+export const CONFIDENCE_MAX = 100;
+
+const DEFAULT_MIN_CONFIDENCE = 50;
+
+/**
+ * Convert whatever the model returned to the 0–100 scale.
+ * Values between 0 and 1 are read as fractions (0.9 → 90), so 1 means 100%, not 1%.
+ * @param {number|string} value - e.g. 0.85, 85, "85%", "0.85"
+ * @returns {number|null} Integer 0–100, or null when the value is not numeric
+ */
+export function normalizeConfidence(value) {
+  const n = typeof value === 'string' ? parseFloat(value.replace('%', '')) : value;
+  if (typeof n !== 'number' || !Number.isFinite(n)) return null;
+  const percent = n > 0 && n <= 1 ? n * 100 : n;
+  return Math.round(Math.min(CONFIDENCE_MAX, Math.max(CONFIDENCE_MIN, percent)));
+}
+
+/**
+ * Minimum confidence for a document to count as processed
+ * @param {Object} masters - Masters prompt; `minConfidence` there wins over MIN_CONFIDENCE in the environment
+ * @returns {number}
+ */
+export function getMinConfidence(masters = {}) {
+  const candidates = [masters?.minConfidence, process.env.MIN_CONFIDENCE];
+  for (const candidate of candidates) {
+    if (candidate === undefined || candidate === null || candidate === '') continue;
+    const n = Number(candidate);
+    if (Number.isFinite(n) && n >= CONFIDENCE_MIN && n <= CONFIDENCE_MAX) return n;
+  }
+  return DEFAULT_MIN_CONFIDENCE;
+}
+
+export function isValidMinConfidence(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= CONFIDENCE_MIN && value <= CONFIDENCE_MAX;
+}
@@ -0,0 +1,95 @@
+/**
+ * Document type registry
+ * A job ZIP mixes TSRs, encumbrance certificates, deeds and sanction letters. Each document is
+ * classified before analysis and analysed with its type's instructions and field subset.
+ * The Masters prompt stores the active list as `documentTypes`.
+ *
+ * Type shape:
+ *   key               snake_case id recorded in queue.json and the report
+ *   label             display name (Document_Type column)
+ *   filenamePatterns  case-insensitive regular expressions tried against the file name
+ *   instructions      extra guidance appended to the system prompt for this type (optional)
+ *   fieldKeys         fields the model extracts for this type; empty means all fields.
+ *                     Core fields are always extracted.
+ */
+
+import { CORE_FIELD_KEYS, isExtracted } from './fieldDefinitions.js';
+
+// Documents that match no type are analysed with the full Masters prompt
+export const OTHER_DOCUMENT_TYPE = { key: 'other', label: 'Other', filenamePatterns: [], instructions: '', fieldKeys: [] };
+
+const type = (key, label, filenamePatterns, instructions, fieldKeys = []) =>
+  ({ key, label, filenamePatterns, instructions, fieldKeys });
+
+export const DEFAULT_DOCUMENT_TYPES = [
+  type('tsr', 'Title Search Report',
+    ['\\btsr\\b', 'title[ _-]*search', 'search[ _-]*report', 'legal[ _-]*opinion'],
+    'This is a Title Search Report. Trace the chain of title across the search period and report the advocate\'s conclusions on marketability.'),
+  type('encumbrance_certificate', 'Encumbrance Certificate',
+    ['\\bec\\b', 'encumbrance', 'form[ _-]*1[56]\\b'],
+    'This is an Encumbrance Certificate. List every registered transaction in the search period and flag any mortgage, charge or lien that is not released within it.'),
+  type('sale_deed', 'Sale Deed',
+    ['sale[ _-]*deed', 'conveyance', 'deed[ _-]*of[ _-]*sale'],
+    'This is a Sale Deed. Identify vendor, purchaser, consideration, registration details and the property schedule; note any recital of prior title.'),
+  type('mortgage_deed', 'Mortgage Deed',
+    ['mortgage', '\\bmotd\\b', 'memorandum[ _-]*of[ _-]*deposit', 'equitable'],
+    'This is a Mortgage Deed or Memorandum of Deposit of Title Deeds. Identify mortgagor, mortgagee, secured amount and the title documents deposited.'),
+  type('sanction_letter', 'Sanction Letter',
+    ['sanction', 'offer[ _-]*letter'],
+    'This is a loan Sanction Letter. Capture the loan number, borrower, sanctioned amount and any pre-disbursement conditions relating to title or security.')
+];
+
+export function getDocumentTypes(masters = {}) {
+  return Array.isArray(masters?.documentTypes) ? masters.documentTypes : DEFAULT_DOCUMENT_TYPES;
+}
+
+/**
+ * Fields the model extracts for one document type
+ * Report-only fields are kept so the report columns stay the same for every type.
+ * @param {Array} fields - Field definitions of the pinned prompt
+ * @param {Object} documentType
+ * @returns {Array}
+ */
+export function getDocumentTypeFields(fields, documentType) {
+  const keys = documentType?.fieldKeys;
+  if (!Array.isArray(keys) || !keys.length) return fields;
+  return fields.filter(f => !isExtracted(f) || keys.includes(f.key) || CORE_FIELD_KEYS.includes(f.key));
+}
+
+/**
+ * Validate a document type list submitted from the Masters screen
+ * @param {Array} types
+ * @param {Array} fields - Field definitions the types may reference
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+export function validateDocumentTypes(types, fields) {
+  if (!Array.isArray(types)) return ['documentTypes must be a list'];
+
+  const errors = [];
+  const seen = new Set([OTHER_DOCUMENT_TYPE.key]);
+  const fieldKeys = new Set(fields.map(f => f.key));
+
+  types.forEach((t, i) => {
+    const label = t?.key || `#${i + 1}`;
+    if (!/^[a-z][a-z0-9_]*$/.test(t?.key || '')) errors.push(`Document type ${label}: key must be snake_case`);
+    if (seen.has(t?.key)) errors.push(`Document type ${label}: duplicate or reserved key`);
+    seen.add(t?.key);
+    if (!t?.label?.trim()) errors.push(`Document type ${label}: label is required`);
+    if (!Array.isArray(t?.filenamePatterns)) {
+      errors.push(`Document type ${label}: filenamePatterns must be a list`);
+    } else {
+      t.filenamePatterns.forEach(p => {
+        try { new RegExp(p, 'i'); } catch { errors.push(`Document type ${label}: invalid pattern "${p}"`); }
+      });
+    }
+    if (t?.fieldKeys !== undefined && !Array.isArray(t.fieldKeys)) {
+      errors.push(`Document type ${label}: fieldKeys must be a list`);
+    } else {
+      (t?.fieldKeys || [])
+        .filter(key => !fieldKeys.has(key))
+        .forEach(key => errors.push(`Document type ${label}: unknown field "${key}"`));
+    }
+  });
+
+  return errors;
+}
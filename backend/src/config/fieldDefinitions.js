@@ -0,0 +1,120 @@
+/**
+ * Extraction field registry
+ * One definition per report column. The Masters prompt stores the active list as `fields`;
+ * it drives the model's JSON template, chunk merging and the Excel detail sheet.
+ *
+ * Field shape:
+ *   key         JSON key the model returns (snake_case)
+ *   header      Excel column header
+ *   type        one of FIELD_TYPES
+ *   mergeRule   how values from several chunks of one document combine (MERGE_RULES)
+ *   enumValues  allowed values for type 'enum', most severe first
+ *   width       Excel column width
+ *   description guidance for the model (optional)
+ *   extract     false for report-only columns filled in by people (default true)
+ */
+
+export const FIELD_TYPES = ['string', 'enum', 'date', 'number'];
+
+export const MERGE_RULES = {
+  FIRST:         'first',          // first value that is not Unknown
+  CONCAT:        'concat',         // join distinct values with "; "
+  YES_OVERRIDES: 'yes-overrides',  // any chunk answering "Yes..." wins
+  WORST:         'worst',          // most severe enum value (earliest in enumValues)
+  AVERAGE:       'average'         // mean of numeric values
+};
+
+// Fields the worker, merge and report summary rely on; they cannot be removed
+export const CORE_FIELD_KEYS = ['risk_rating', 'enforceability_decision', 'confidence_score'];
+
+const field = (key, header, width, mergeRule = MERGE_RULES.FIRST, extra = {}) =>
+  ({ key, header, type: 'string', mergeRule, width, description: '', ...extra });
+
+export const DEFAULT_FIELDS = [
+  field('appl_no',                      'Appl_No / Loan_No',            22),
+  field('borrower_name',                'Borrower_Name',                30),
+  field('property_address',             'Property_Address',             45, MERGE_RULES.CONCAT),
+  field('property_type',                'Property_Type',                15, MERGE_RULES.FIRST, { description: 'Residential, Commercial or Agricultural' }),
+  field('state',                        'State',                        15),
+  field('tsr_date',                     'TSR_Date',                     12, MERGE_RULES.FIRST, { type: 'date' }),
+  field('ownership_title_chain_status', 'Ownership_Title_Chain_Status', 30),
+  field('encumbrances_adverse_entries', 'Encumbrances_Adverse_Entries', 35, MERGE_RULES.YES_OVERRIDES),
+  field('subsequent_charges',           'Subsequent_Charges',           35, MERGE_RULES.YES_OVERRIDES),
+  field('prior_charge_subsisting',      'Prior_Charge_Subsisting',      30, MERGE_RULES.YES_OVERRIDES),
+  field('roc_charge_flag',              'ROC_Charge_Flag',              25, MERGE_RULES.FIRST, { description: 'Only if the borrower is a company or LLP' }),
+  field('litigation_lis_pendens',       'Litigation_LisPendens',        30, MERGE_RULES.YES_OVERRIDES),
+  field('mutation_status',              'Mutation_Status',              15),
+  field('revenue_municipal_dues',       'Revenue_Municipal_Dues',       20),
+  field('land_use_zoning_status',       'Land_Use_Zoning_Status',       25),
+  field('stamping_registration_issues', 'Stamping_Registration_Issues', 25, MERGE_RULES.YES_OVERRIDES),
+  field('mortgage_perfection_issues',   'Mortgage_Perfection_Issues',   25, MERGE_RULES.YES_OVERRIDES),
+  field('advocate_adverse_remarks',     'Advocate_Adverse_Remarks',     30, MERGE_RULES.CONCAT),
+  field('risk_rating',                  'Risk_Rating',                  12, MERGE_RULES.WORST, {
+    type: 'enum', enumValues: ['High', 'Medium', 'Low']
+  }),
+  field('enforceability_decision',      'Enforceability_Decision',      25, MERGE_RULES.WORST, {
+    type: 'enum', enumValues: ['Not Enforceable', 'Enforceable with Conditions', 'Enforceable']
+  }),
+  field('enforceability_rationale',     'Enforceability_Rationale',     50, MERGE_RULES.CONCAT),
+  field('recommended_actions',          'Recommended_Actions',          50, MERGE_RULES.CONCAT),
+  field('next_review_due_date',         'Next_Review_Due_Date',         15, MERGE_RULES.FIRST, {
+    type: 'date', description: 'Date the advocate or TSR recommends the next review, if stated'
+  }),
+  field('prepared_by',                  'Prepared_By',                  25, MERGE_RULES.FIRST, {
+    description: 'Advocate or firm that prepared the TSR/legal opinion'
+  }),
+  field('reviewed_by',                  'Reviewed_By (Legal/RCU)',      25, MERGE_RULES.FIRST, { extract: false }),
+  field('confidence_score',             'Confidence_Score',             15, MERGE_RULES.AVERAGE, { type: 'number' })
+];
+
+/**
+ * Active field list for a Masters prompt, falling back to the defaults for prompts saved before `fields` existed
+ * @param {Object} masters - Masters prompt document
+ * @returns {Array} Field definitions
+ */
+export function getFieldDefinitions(masters = {}) {
+  return Array.isArray(masters?.fields) && masters.fields.length ? masters.fields : DEFAULT_FIELDS;
+}
+
+export const isExtracted = (f) => f.extract !== false;
+
+/**
+ * Validate a field list submitted from the Masters screen
+ * @param {Array} fields
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+export function validateFieldDefinitions(fields) {
+  if (!Array.isArray(fields) || !fields.length) return ['At least one field is required'];
+
+  const errors = [];
+  const seen = new Set();
+  const rules = Object.values(MERGE_RULES);
+
+  fields.forEach((f, i) => {
+    const label = f?.key || `#${i + 1}`;
+    if (!/^[a-z][a-z0-9_]*$/.test(f?.key || '')) errors.push(`Field ${label}: key must be snake_case`);
+    if (seen.has(f?.key)) errors.push(`Field ${label}: duplicate key`);
+    seen.add(f?.key);
+    if (!f?.header?.trim()) errors.push(`Field ${label}: header is required`);
+    if (!FIELD_TYPES.includes(f?.type)) errors.push(`Field ${label}: unknown type "${f?.type}"`);
+    if (!rules.includes(f?.mergeRule)) errors.push(`Field ${label}: unknown merge rule "${f?.mergeRule}"`);
+    if (f?.type === 'enum' && !(Array.isArray(f.enumValues) && f.enumValues.length)) {
+      errors.push(`Field ${label}: enum fields need enumValues`);
+    } else if (f?.type === 'enum' && f.enumValues.some(v => typeof v !== 'string' || v.includes(','))) {
+      // The report's dropdown lists values separated by commas
+      errors.push(`Field ${label}: enum values must be text without commas`);
+    }
+    if (f?.mergeRule === MERGE_RULES.WORST && f?.type !== 'enum') {
+      errors.push(`Field ${label}: "worst" merge needs an enum field`);
+    }
+    if (f?.mergeRule === MERGE_RULES.AVERAGE && f?.type !== 'number') {
+      errors.push(`Field ${label}: "average" merge needs a number field`);
+    }
+  });
+
+  CORE_FIELD_KEYS
+    .filter(key => !seen.has(key))
+    .forEach(key => errors.push(`Field ${key} is required`));
+
+  return errors;
+}
@@ -0,0 +1,65 @@
+/**
+ * Role-based permission model
+ * Roles are stored on each user in users/users.json and carried in the session token.
+ */
+
+export const ROLES = ['admin', 'auditor', 'reviewer', 'viewer'];
+
+export const PERMISSIONS = {
+  JOBS_VIEW:        'jobs:view',
+  JOBS_CREATE:      'jobs:create',
+  JOBS_RESUME:      'jobs:resume',
+  REPORTS_DOWNLOAD: 'reports:download',
+  MASTERS_VIEW:     'masters:view',
+  MASTERS_EDIT:     'masters:edit',
+  USERS_MANAGE:     'users:manage'
+};
+
+const ROLE_PERMISSIONS = {
+  admin: Object.values(PERMISSIONS),
+  auditor: [
+    PERMISSIONS.JOBS_VIEW, PERMISSIONS.JOBS_CREATE, PERMISSIONS.JOBS_RESUME,
+    PERMISSIONS.REPORTS_DOWNLOAD, PERMISSIONS.MASTERS_VIEW
+  ],
+  reviewer: [
+    PERMISSIONS.JOBS_VIEW, PERMISSIONS.REPORTS_DOWNLOAD, PERMISSIONS.MASTERS_VIEW
+  ],
+  viewer: [
+    PERMISSIONS.JOBS_VIEW, PERMISSIONS.MASTERS_VIEW
+  ]
+};
+
+// Users created before roles existed were stored as 'user' and could run jobs
+const LEGACY_ROLES = { user: 'auditor' };
+
+// Role of users created on first sign-in; read on use so a value from Secrets Manager is seen
+export function getDefaultRole() {
+  return normalizeRole(process.env.DEFAULT_USER_ROLE || 'auditor');
+}
+
+/**
+ * Map a stored role onto one of ROLES (unknown roles get the least privilege)
+ * @param {string} role
+ * @returns {string}
+ */
+export function normalizeRole(role) {
+  const value = LEGACY_ROLES[role] || role;
+  return ROLES.includes(value) ? value : 'viewer';
+}
+
+/**
+ * @param {string} role
+ * @returns {string[]} Permissions granted to the role
+ */
+export function getPermissions(role) {
+  return ROLE_PERMISSIONS[normalizeRole(role)];
+}
+
+/**
+ * @param {string} role
+ * @param {string} permission - One of PERMISSIONS
+ * @returns {boolean}
+ */
+export function hasPermission(role, permission) {
+  return getPermissions(role).includes(permission);
+}
@@ -0,0 +1,61 @@
+/**
+ * Model pricing
+ * USD per million tokens, used to cost documents and jobs. The defaults are Bedrock on-demand
+ * list prices; override them or add models with MODEL_PRICING (JSON), e.g.
+ *   MODEL_PRICING={"claude-sonnet-4":{"input":3.3,"output":16.5}}
+ * A key applies to every model ID containing it; the longest matching key wins.
+ */
+
+const DEFAULT_PRICING = {
+  'claude-sonnet-4':   { input: 3,  output: 15 },
+  'claude-haiku-4-5':  { input: 1,  output: 5 },
+  'claude-3-5-haiku':  { input: 0.8, output: 4 },
+  'claude-opus-4':     { input: 15, output: 75 },
+  'claude-opus-4-5':   { input: 5,  output: 25 },
+  'claude-opus-4-6':   { input: 5,  output: 25 }
+};
+
+const warnedModels = new Set();
+
+function loadPricing() {
+  const raw = process.env.MODEL_PRICING;
+  if (!raw) return DEFAULT_PRICING;
+  try {
+    return { ...DEFAULT_PRICING, ...JSON.parse(raw) };
+  } catch (err) {
+    console.warn(`[Pricing] Invalid MODEL_PRICING, using defaults: ${err.message}`);
+    return DEFAULT_PRICING;
+  }
+}
+
+/**
+ * Price of a model
+ * @param {string} modelId - Bedrock model ID
+ * @returns {{ input: number, output: number }|null} USD per million tokens, or null when unknown
+ */
+export function getModelPricing(modelId) {
+  const pricing = loadPricing();
+  const key = Object.keys(pricing)
+    .filter(k => modelId?.includes(k))
+    .sort((a, b) => b.length - a.length)[0];
+  if (key) return pricing[key];
+
+  if (!warnedModels.has(modelId)) console.warn(`[Pricing] No price for ${modelId}; its usage is not costed`);
+  warnedModels.add(modelId);
+  return null;
+}
+
+/**
+ * Cost of a model's token usage
+ * @param {string} modelId
+ * @param {number} inputTokens
+ * @param {number} outputTokens
+ * @returns {number} USD to four decimals; 0 when the model has no price
+ */
+export function calculateCost(modelId, inputTokens, outputTokens) {
+  const price = getModelPricing(modelId);
+  if (!price) return 0;
+  return roundCost((inputTokens * price.input + outputTokens * price.output) / 1e6);
+}
+
+export const roundCost = (usd) => Math.round(usd * 10000) / 10000;
@@ -2,11 +2,14 @@ import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
 import { loadSecrets } from './config/secrets.js';
+import { checkTokenSecret } from './services/tokenService.js';
 import authRoutes from './routes/auth.js';
 import mastersRoutes from './routes/masters.js';
 import jobsRoutes from './routes/jobs.js';
+import usersRoutes from './routes/users.js';
+import { requireAuth } from './middleware/auth.js';
 import { initializeS3Bucket } from './services/s3Service.js';
-import { initializeQueue } from './services/queueService.js';
+import { initializeQueue, initializeEventBus } from './services/queueService.js';
 import { initializeWorker } from './workers/documentWorker.js';
 
 dotenv.config();
@@ -31,8 +34,9 @@ app.get('/health', (req, res) => {
 
 // Routes
 app.use('/api/auth', authRoutes);
-app.use('/api/masters', mastersRoutes);
-app.use('/api/jobs', jobsRoutes);
+app.use('/api/masters', requireAuth, mastersRoutes);
+app.use('/api/jobs', requireAuth, jobsRoutes);
+app.use('/api/users', requireAuth, usersRoutes);
 
 // Error handler
 app.use((err, req, res, next) => {
@@ -54,6 +58,7 @@ async function start() {
     // Load secrets from AWS Secrets Manager FIRST (production only)
     // In local/dev it skips this and uses .env file
     await loadSecrets();
+    checkTokenSecret();
 
     // Initialize Redis queue
     console.log('Initializing queue...');
@@ -63,6 +68,7 @@ async function start() {
     } else {
       console.log('✓ Redis queue initialized');
     }
+    await initializeEventBus();
 
     // Initialize S3 bucket structure
     await initializeS3Bucket();
@@ -0,0 +1,55 @@
+import { verifyToken } from '../services/tokenService.js';
+import { normalizeRole, getPermissions, hasPermission } from '../config/permissions.js';
+import { loadUsers, findUser, getUserStatus, USER_STATUS } from '../services/userService.js';
+
+function extractToken(req) {
+  const authHeader = req.headers.authorization;
+  if (authHeader?.startsWith('Bearer ')) return authHeader.slice(7);
+  // EventSource cannot send headers, so the SSE stream passes the token as a query param
+  if (req.method === 'GET' && req.path.endsWith('/events')) return req.query.token || null;
+  return null;
+}
+
+// Verifies the session token and populates req.user for downstream handlers.
+// The role is re-read from the user directory so role changes and deactivation
+// take effect without waiting for the token to expire.
+export async function requireAuth(req, res, next) {
+  const token = extractToken(req);
+  if (!token) {
+    return res.status(401).json({ error: 'No token provided' });
+  }
+
+  let claims;
+  try {
+    claims = verifyToken(token);
+  } catch (error) {
+    const message = error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token';
+    return res.status(401).json({ error: message });
+  }
+
+  let user;
+  try {
+    user = findUser(await loadUsers(), claims.email);
+  } catch (err) {
+    // Fail closed: the token's role may be out of date (demoted or deactivated since)
+    console.error('[Auth] user lookup failed:', err.message);
+    return res.status(503).json({ error: 'User directory unavailable, please try again' });
+  }
+  if (!user || getUserStatus(user) === USER_STATUS.DEACTIVATED) {
+    return res.status(401).json({ error: 'Account is not active' });
+  }
+
+  const role = normalizeRole(user.role);
+  req.user = { email: claims.email, name: claims.name, role, permissions: getPermissions(role) };
+  next();
+}
+
+// Must be mounted after requireAuth
+export function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!req.user || !hasPermission(req.user.role, permission)) {
+      return res.status(403).json({ error: `Your role does not allow this action (${permission})` });
+    }
+    next();
+  };
+}
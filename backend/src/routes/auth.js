@@ -1,92 +1,98 @@
 import express from 'express';
-import { getJsonFromS3, putJsonToS3 } from '../services/s3Service.js';
+import { signInUser } from '../services/userService.js';
+import { signToken } from '../services/tokenService.js';
+import { getEnabledProviders, getProvider } from '../services/authProviders/index.js';
+import { requireAuth } from '../middleware/auth.js';
+import { normalizeRole, getPermissions } from '../config/permissions.js';
 
 const router = express.Router();
 
-// Mock Office 365 login
-router.post('/login', async (req, res) => {
-  try {
-    const { email, name } = req.body;
-    
-    if (!email) {
-      return res.status(400).json({ error: 'Email is required' });
-    }
+function buildSession(user) {
+  const role = normalizeRole(user.role);
+  return {
+    user: {
+      email: user.email,
+      name: user.name,
+      role,
+      permissions: getPermissions(role)
+    },
+    token: signToken({ ...user, role })
+  };
+}
 
-    // Load users from S3
-    let userData;
-    try {
-      userData = await getJsonFromS3('users/users.json');
-    } catch (err) {
-      userData = { users: [] };
-    }
+function frontendUrl(path) {
+  return `${(process.env.FRONTEND_URL || '').replace(/\/$/, '')}${path}`;
+}
+
+// Login options for the login screen
+router.get('/providers', (req, res) => {
+  res.json({
+    providers: getEnabledProviders().map(({ id, type, label }) => ({ id, type, label }))
+  });
+});
 
-    // Find or create user
-    let user = userData.users.find(u => u.email.toLowerCase() === email.toLowerCase());
-    
-    if (!user) {
-      user = {
-        email: email.toLowerCase(),
-        name: name || email.split('@')[0],
-        role: email.toLowerCase() === process.env.SUPER_ADMIN_EMAIL?.toLowerCase() ? 'admin' : 'user',
-        createdAt: new Date().toISOString(),
-        lastLogin: new Date().toISOString()
-      };
-      userData.users.push(user);
-      await putJsonToS3('users/users.json', userData);
-    } else {
-      // Update last login
-      user.lastLogin = new Date().toISOString();
-      await putJsonToS3('users/users.json', userData);
+// Dev-only email login (the former mock Office 365 login)
+router.post('/login', async (req, res) => {
+  try {
+    const provider = getProvider('dev-email');
+    if (!provider) {
+      return res.status(404).json({ error: 'Email login is disabled. Use single sign-on.' });
     }
 
-    // Return user data (in production, this would be a JWT token)
-    res.json({
-      success: true,
-      user: {
-        email: user.email,
-        name: user.name,
-        role: user.role
-      },
-      token: Buffer.from(JSON.stringify({ 
-        email: user.email, 
-        role: user.role,
-        exp: Date.now() + 24 * 60 * 60 * 1000 // 24 hours
-      })).toString('base64')
-    });
+    const identity = await provider.authenticate(req.body);
+    const user     = await signInUser(identity);
+    res.json({ success: true, ...buildSession(user) });
   } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
     console.error('Login error:', error);
     res.status(500).json({ error: 'Login failed' });
   }
 });
 
-// Verify token
-router.get('/verify', async (req, res) => {
+// ─────────────────────────────────────────────────────────
+// Redirect (SSO) providers — browser is sent to the IdP and
+// comes back to /callback, which hands the session token to
+// the frontend in the URL fragment (never sent to servers)
+// ─────────────────────────────────────────────────────────
+router.get('/:providerId/authorize', async (req, res) => {
+  const provider = getProvider(req.params.providerId);
+  if (!provider || provider.type !== 'redirect') {
+    return res.status(404).json({ error: 'Unknown login provider' });
+  }
   try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'No token provided' });
-    }
-
-    const token = authHeader.split(' ')[1];
-    const decoded = JSON.parse(Buffer.from(token, 'base64').toString());
-
-    if (decoded.exp < Date.now()) {
-      return res.status(401).json({ error: 'Token expired' });
-    }
+    res.redirect(await provider.getAuthorizationUrl());
+  } catch (error) {
+    console.error(`[Auth] ${provider.id} authorize error:`, error.message);
+    res.redirect(frontendUrl(`/login?error=${encodeURIComponent('Single sign-on is unavailable')}`));
+  }
+});
 
-    res.json({
-      valid: true,
-      user: {
-        email: decoded.email,
-        role: decoded.role
-      }
-    });
+router.get('/:providerId/callback', async (req, res) => {
+  const provider = getProvider(req.params.providerId);
+  if (!provider || provider.type !== 'redirect') {
+    return res.status(404).json({ error: 'Unknown login provider' });
+  }
+  try {
+    const identity  = await provider.handleCallback(req.query);
+    const user      = await signInUser(identity);
+    const { token } = buildSession(user);
+    res.redirect(frontendUrl(`/auth/callback#token=${encodeURIComponent(token)}`));
   } catch (error) {
-    res.status(401).json({ error: 'Invalid token' });
+    console.error(`[Auth] ${provider.id} callback error:`, error.message);
+    const message = error.status ? error.message : 'Login failed';
+    res.redirect(frontendUrl(`/login?error=${encodeURIComponent(message)}`));
   }
 });
 
-// Logout (client-side only for mock SSO)
+// Verify token
+router.get('/verify', requireAuth, (req, res) => {
+  res.json({
+    valid: true,
+    user: req.user
+  });
+});
+
+// Logout (tokens are stateless; the client discards it)
 router.post('/logout', (req, res) => {
   res.json({ success: true });
 });
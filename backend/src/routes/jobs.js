@@ -3,20 +3,51 @@ import { v4 as uuidv4 } from 'uuid';
 import Busboy from 'busboy';
 import { uploadStreamToS3, uploadToS3, getJsonFromS3, putJsonToS3, listS3Objects, getSignedDownloadUrl, getFromS3, streamToBuffer, getSignedUploadUrl } from '../services/s3Service.js';
 import { queueManager, addSSEClient, removeSSEClient, getJobStatus, setJobStatus, updateJobStatus } from '../services/queueService.js';
-import { getDocumentAnalysis } from '../services/claudeService.js';
-import { analyzePdf } from '../services/pdfChunkService.js';
+import { planDocument } from '../services/processingPipeline.js';
+import { documentId, groupDocumentsIntoCases } from '../services/caseGrouping.js';
+import { requestJobControl, clearJobControl, getJobControl, isJobRunActive, CONTROL_STATUS } from '../services/jobControlService.js';
+import {
+  selectCasesForReprocess, validateReprocessRequest, markCasesForReprocess, REPROCESSABLE_STATUSES
+} from '../services/reprocessService.js';
+import { getPromptVersion } from '../services/promptHistoryService.js';
+import { isValidBudget, getUnpricedModels, estimateDocumentUsage, estimateCasesCost } from '../services/costService.js';
+import { getDefaultModelId } from '../services/bedrockService.js';
+import { requirePermission } from '../middleware/auth.js';
+import { PERMISSIONS } from '../config/permissions.js';
 
 const router = express.Router();
 
+// A budget is only enforceable when every model the job calls has a price
+function unpricedBudgetError(budgetUsd, modelId) {
+  if (typeof budgetUsd !== 'number') return null;
+  const unpriced = getUnpricedModels(modelId);
+  return unpriced.length
+    ? `budgetUsd cannot be enforced: no price for ${unpriced.join(', ')} (add it to MODEL_PRICING)`
+    : null;
+}
+
+async function getMetadataBudget(jobId) {
+  try {
+    return (await getJsonFromS3(`jobs/${jobId}/metadata.json`)).budgetUsd ?? null;
+  } catch { return null; }
+}
+
 // Create a new job
-router.post('/create', async (req, res) => {
+router.post('/create', requirePermission(PERMISSIONS.JOBS_CREATE), async (req, res) => {
   try {
+    const budgetUsd = req.body?.budgetUsd ?? null;
+    if (!isValidBudget(budgetUsd)) {
+      return res.status(400).json({ error: 'budgetUsd must be a positive number' });
+    }
+    const pricingError = unpricedBudgetError(budgetUsd, getDefaultModelId());
+    if (pricingError) return res.status(400).json({ error: pricingError });
     const jobId = `${new Date().toISOString().split('T')[0].replace(/-/g, '')}_${Date.now()}_${uuidv4().slice(0, 8)}`;
     const jobData = {
       id: jobId, status: 'created',
       createdAt: new Date().toISOString(),
-      createdBy: req.body.userEmail || 'unknown',
-      totalDocuments: 0, processedCount: 0, failedCount: 0
+      createdBy: req.user.email,
+      totalDocuments: 0, processedCount: 0, failedCount: 0,
+      budgetUsd
     };
     await putJsonToS3(`jobs/${jobId}/metadata.json`, jobData);
     setJobStatus(jobId, jobData);
@@ -31,7 +62,7 @@ router.post('/create', async (req, res) => {
 // STEP 1 — Generate presigned URL for direct browser → S3
 // Simple single PUT — fast, no multipart overhead
 // ─────────────────────────────────────────────────────────
-router.post('/:jobId/presign-upload', async (req, res) => {
+router.post('/:jobId/presign-upload', requirePermission(PERMISSIONS.JOBS_CREATE), async (req, res) => {
   const { jobId } = req.params;
   const { fileName, contentType } = req.body;
   try {
@@ -48,7 +79,7 @@ router.post('/:jobId/presign-upload', async (req, res) => {
 // ─────────────────────────────────────────────────────────
 // STEP 2 — Confirm upload complete, update job + enqueue
 // ─────────────────────────────────────────────────────────
-router.post('/:jobId/confirm-upload', async (req, res) => {
+router.post('/:jobId/confirm-upload', requirePermission(PERMISSIONS.JOBS_CREATE), async (req, res) => {
   const { jobId } = req.params;
   const { s3Key, fileName, fileSize } = req.body;
   try {
@@ -65,7 +96,7 @@ router.post('/:jobId/confirm-upload', async (req, res) => {
 });
 
 // Upload documents (ZIP) - stream to S3 (fallback)
-router.post('/:jobId/upload', async (req, res) => {
+router.post('/:jobId/upload', requirePermission(PERMISSIONS.JOBS_CREATE), async (req, res) => {
   const { jobId } = req.params;
   console.log(`[Upload] Starting for job: ${jobId}`);
   try {
@@ -98,7 +129,7 @@ router.post('/:jobId/upload', async (req, res) => {
 });
 
 // Upload single PDF
-router.post('/:jobId/upload-pdf', async (req, res) => {
+router.post('/:jobId/upload-pdf', requirePermission(PERMISSIONS.JOBS_CREATE), async (req, res) => {
   const { jobId } = req.params;
   try {
     const busboy = Busboy({ headers: req.headers, limits: { fileSize: 500 * 1024 * 1024 } });
@@ -113,17 +144,22 @@ router.post('/:jobId/upload-pdf', async (req, res) => {
       if (!fileBuffer.length) return res.status(400).json({ error: 'No file received' });
       try {
         const buffer   = Buffer.concat(fileBuffer);
-        const analysis = await analyzePdf(buffer);
+        const analysis = await planDocument(buffer, '.pdf');
         const s3Key    = `jobs/${jobId}/uploads/extracted/${fileName}`;
         await uploadToS3(s3Key, buffer, 'application/pdf');
 
+        const documents = [{
+          id: documentId(fileName), name: fileName, path: fileName, folder: '', key: s3Key, type: '.pdf', size: fileSize,
+          status: 'pending', analysis, estimate: estimateDocumentUsage(analysis)
+        }];
+        const cases     = groupDocumentsIntoCases(documents);
+        const estimate  = estimateCasesCost(cases, new Map(documents.map(d => [d.id, d])), getDefaultModelId());
         const queueData = {
-          totalDocuments: 1, processedCount: 0,
-          documents: [{ name: fileName, key: s3Key, type: '.pdf', size: fileSize, status: 'pending', analysis }],
-          results: [], failedDocuments: [], status: 'ready'
+          totalDocuments: 1, totalCases: cases.length, processedCount: 0,
+          documents, cases, estimate, totalCostUsd: 0, results: [], failedDocuments: [], status: 'ready'
         };
         await putJsonToS3(`jobs/${jobId}/processing/queue.json`, queueData);
-        updateJobStatus(jobId, { status: 'extracted', uploadedAt: new Date().toISOString(), fileName, fileSize, totalDocuments: 1, processedCount: 0, pdfAnalysis: analysis });
+        updateJobStatus(jobId, { status: 'extracted', uploadedAt: new Date().toISOString(), fileName, fileSize, totalDocuments: 1, processedCount: 0, pdfAnalysis: analysis, estimate });
         res.json({ success: true, message: 'PDF uploaded', fileSize, fileSizeMB: (fileSize/1024/1024).toFixed(2), fileName, analysis });
       } catch (error) {
         res.status(500).json({ error: 'PDF processing failed: ' + error.message });
@@ -138,7 +174,7 @@ router.post('/:jobId/upload-pdf', async (req, res) => {
 });
 
 // Analyze PDF
-router.get('/:jobId/analyze-pdf', async (req, res) => {
+router.get('/:jobId/analyze-pdf', requirePermission(PERMISSIONS.JOBS_VIEW), async (req, res) => {
   const { jobId } = req.params;
   try {
     const queueData = await getJsonFromS3(`jobs/${jobId}/processing/queue.json`);
@@ -148,7 +184,7 @@ router.get('/:jobId/analyze-pdf', async (req, res) => {
     if (pdfDoc.analysis) return res.json({ success: true, documentName: pdfDoc.name, ...pdfDoc.analysis });
     const pdfStream = await getFromS3(pdfDoc.key);
     const pdfBuffer = await streamToBuffer(pdfStream);
-    const analysis  = await analyzePdf(pdfBuffer);
+    const analysis  = await planDocument(pdfBuffer, '.pdf');
     res.json({ success: true, documentName: pdfDoc.name, ...analysis });
   } catch (error) {
     res.status(500).json({ error: 'Failed to analyze PDF: ' + error.message });
@@ -156,7 +192,7 @@ router.get('/:jobId/analyze-pdf', async (req, res) => {
 });
 
 // Start extraction
-router.post('/:jobId/extract', async (req, res) => {
+router.post('/:jobId/extract', requirePermission(PERMISSIONS.JOBS_CREATE), async (req, res) => {
   try {
     const { jobId } = req.params;
     await queueManager.add('extract', { jobId, type: 'extract' }, { jobId: `${jobId}-extract` });
@@ -168,7 +204,7 @@ router.post('/:jobId/extract', async (req, res) => {
 });
 
 // Start analysis
-router.post('/:jobId/analyze', async (req, res) => {
+router.post('/:jobId/analyze', requirePermission(PERMISSIONS.JOBS_CREATE), async (req, res) => {
   try {
     const { jobId } = req.params;
     await queueManager.add('analyze', { jobId, type: 'analyze' }, { jobId: `${jobId}-analyze` });
@@ -180,11 +216,17 @@ router.post('/:jobId/analyze', async (req, res) => {
 });
 
 // Resume interrupted job
-router.post('/:jobId/resume', async (req, res) => {
+router.post('/:jobId/resume', requirePermission(PERMISSIONS.JOBS_RESUME), async (req, res) => {
   try {
     const { jobId } = req.params;
     console.log(`[Resume] Attempting to resume job: ${jobId}`);
 
+    // A job paused by its budget cap is resumed with a raised (or removed, null) budget
+    const budgetChanged = req.body && 'budgetUsd' in req.body;
+    if (budgetChanged && !isValidBudget(req.body.budgetUsd)) {
+      return res.status(400).json({ error: 'budgetUsd must be a positive number or null' });
+    }
+
     let queueData;
     try {
       queueData = await getJsonFromS3(`jobs/${jobId}/processing/queue.json`);
@@ -192,6 +234,22 @@ router.post('/:jobId/resume', async (req, res) => {
       return res.status(404).json({ error: 'Job queue data not found. Cannot resume.' });
     }
 
+    if (queueData.status === 'cancelled') {
+      return res.status(409).json({ error: 'Job was cancelled and cannot be resumed' });
+    }
+    const budgetUsd    = budgetChanged ? req.body.budgetUsd : await getMetadataBudget(jobId);
+    const pricingError = unpricedBudgetError(budgetUsd, queueData.modelId || getDefaultModelId());
+    if (pricingError) return res.status(400).json({ error: pricingError });
+    // A pause or cancel still waiting for in-flight cases: that run has not stopped yet, and
+    // resuming now would start a second one over the same pending cases. A leftover request
+    // with no run behind it (the worker died) does not hold the job.
+    const pendingAction = await getJobControl(jobId);
+    const liveStatus    = getJobStatus(jobId)?.status;
+    if ((pendingAction || ['pausing', 'cancelling'].includes(liveStatus)) && await isJobRunActive(jobId)) {
+      const stopping = CONTROL_STATUS[pendingAction]?.pending || liveStatus;
+      return res.status(409).json({ error: `Job is ${stopping}; resume it once it has stopped` });
+    }
+
     const pendingDocs   = queueData.documents.filter(d => d.status === 'pending');
     const completedDocs = queueData.documents.filter(d => d.status === 'completed');
     const failedDocs    = queueData.documents.filter(d => d.status === 'failed');
@@ -214,11 +272,22 @@ router.post('/:jobId/resume', async (req, res) => {
       metadata.status    = 'processing';
       metadata.resumedAt = new Date().toISOString();
       metadata.resumeCount = (metadata.resumeCount || 0) + 1;
+      if (budgetChanged) metadata.budgetUsd = req.body.budgetUsd;
+      delete metadata.budgetWarning;
       await putJsonToS3(`jobs/${jobId}/metadata.json`, metadata);
     } catch {}
 
+    await clearJobControl(jobId);
+    if (queueData.status === 'paused' || queueData.budgetWarning) {
+      queueData.status = 'processing';
+      delete queueData.budgetWarning;
+      await putJsonToS3(`jobs/${jobId}/processing/queue.json`, queueData);
+    }
     await queueManager.add('analyze', { jobId, type: 'analyze', isResume: true }, { jobId: `${jobId}-analyze-resume-${Date.now()}` });
-    updateJobStatus(jobId, { status: 'processing' });
+    updateJobStatus(jobId, {
+      status: 'processing', budgetWarning: null,
+      ...(budgetChanged && { budgetUsd: req.body.budgetUsd })
+    });
 
     res.json({
       success: true,
@@ -231,8 +300,144 @@ router.post('/:jobId/resume', async (req, res) => {
   }
 });
 
+// Pause or cancel a running job: no new cases start, cases in flight finish and are saved.
+// A paused job continues with /resume; a cancelled one stays cancelled.
+async function controlJob(req, res, action) {
+  const { jobId } = req.params;
+  try {
+    let queueData;
+    try {
+      queueData = await getJsonFromS3(`jobs/${jobId}/processing/queue.json`);
+    } catch {
+      return res.status(404).json({ error: 'Job queue data not found' });
+    }
+
+    const { pending, done } = CONTROL_STATUS[action];
+    if (['completed', 'cancelled', done].includes(queueData.status)) {
+      return res.status(409).json({ error: `Job is already ${queueData.status}` });
+    }
+
+    await requestJobControl(jobId, action, req.user.email);
+
+    // No worker is running the job (it is paused, queued, or its worker died), so nobody would
+    // hear the request: it takes effect here. The request is cleared only after the status is
+    // saved, so a run starting meanwhile sees one or the other and stops.
+    if (queueData.status === 'paused' || !(await isJobRunActive(jobId))) {
+      queueData.status = done;
+      await putJsonToS3(`jobs/${jobId}/processing/queue.json`, queueData);
+      try {
+        const metadata = await getJsonFromS3(`jobs/${jobId}/metadata.json`);
+        Object.assign(metadata, { status: done, [`${done}At`]: new Date().toISOString() });
+        await putJsonToS3(`jobs/${jobId}/metadata.json`, metadata);
+      } catch {}
+      await clearJobControl(jobId);
+      updateJobStatus(jobId, { status: done });
+      return res.json({ success: true, status: done, message: `Job ${done}` });
+    }
+
+    updateJobStatus(jobId, { status: pending });
+    res.json({ success: true, status: pending, message: `Job ${pending} — documents already being analysed will finish first` });
+  } catch (error) {
+    res.status(500).json({ error: `Failed to ${action} job`, details: error.message });
+  }
+}
+
+router.post('/:jobId/pause',  requirePermission(PERMISSIONS.JOBS_RESUME), (req, res) => controlJob(req, res, 'pause'));
+router.post('/:jobId/cancel', requirePermission(PERMISSIONS.JOBS_RESUME), (req, res) => controlJob(req, res, 'cancel'));
+
+// Cases and their documents, for choosing what to reprocess
+router.get('/:jobId/cases', requirePermission(PERMISSIONS.JOBS_VIEW), async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    let queueData;
+    try {
+      queueData = await getJsonFromS3(`jobs/${jobId}/processing/queue.json`);
+    } catch {
+      return res.status(404).json({ error: 'Job queue data not found' });
+    }
+
+    const docsById = new Map(queueData.documents.map(d => [d.id, d]));
+    const cases = (queueData.cases || []).map(c => ({
+      id: c.id, name: c.name, status: c.status || 'pending',
+      confidence: c.confidence ?? null, reason: c.reason || null,
+      attempt: c.attempt || 0, promptVersion: c.promptVersion || queueData.promptVersion || null,
+      costUsd: c.costUsd ?? null,
+      documents: c.documents.map(id => {
+        const d = docsById.get(id);
+        return { id, name: d.name, path: d.path, status: d.status, documentType: d.documentType?.label || null,
+          costUsd: d.costUsd ?? null };
+      })
+    }));
+    res.json({ promptVersion: queueData.promptVersion || null, status: queueData.status, cases });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch cases' });
+  }
+});
+
+// Re-run analysis for chosen cases (all failed, confidence below a threshold, or hand-picked),
+// optionally with another archived prompt version, then regenerate the report
+router.post('/:jobId/reprocess', requirePermission(PERMISSIONS.JOBS_CREATE), async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const errors = validateReprocessRequest(req.body || {});
+    if (errors.length) {
+      return res.status(400).json({ error: errors.join('; '), details: errors });
+    }
+
+    let queueData;
+    try {
+      queueData = await getJsonFromS3(`jobs/${jobId}/processing/queue.json`);
+    } catch {
+      return res.status(404).json({ error: 'Job queue data not found' });
+    }
+    if (!REPROCESSABLE_STATUSES.includes(queueData.status)) {
+      return res.status(409).json({ error: `Job is ${queueData.status}; only finished jobs can be reprocessed` });
+    }
+    // Results of jobs analysed before case IDs existed are not keyed by case and would be lost
+    if (!queueData.cases?.length) {
+      return res.status(409).json({ error: 'Job predates case tracking and cannot be reprocessed' });
+    }
+    const pricingError = unpricedBudgetError(await getMetadataBudget(jobId), queueData.modelId || getDefaultModelId());
+    if (pricingError) return res.status(400).json({ error: pricingError });
+
+    const { promptVersion } = req.body;
+    if (promptVersion && !(await getPromptVersion(promptVersion))) {
+      return res.status(404).json({ error: `Prompt version ${promptVersion} not found` });
+    }
+
+    const cases = selectCasesForReprocess(queueData, req.body);
+    if (!cases.length) {
+      return res.status(400).json({ error: 'No cases match the selection' });
+    }
+
+    const run = markCasesForReprocess(queueData, cases, { promptVersion, requestedBy: req.user.email });
+    await clearJobControl(jobId);
+    await putJsonToS3(`jobs/${jobId}/processing/queue.json`, queueData);
+
+    try {
+      const metadata = await getJsonFromS3(`jobs/${jobId}/metadata.json`);
+      metadata.status        = 'processing';
+      metadata.reprocessedAt = run.requestedAt;
+      metadata.reprocessCount = (metadata.reprocessCount || 0) + 1;
+      await putJsonToS3(`jobs/${jobId}/metadata.json`, metadata);
+    } catch {}
+
+    await queueManager.add('analyze', { jobId, type: 'analyze', isReprocess: true }, { jobId: `${jobId}-reprocess-${Date.now()}` });
+    updateJobStatus(jobId, { status: 'processing', processedCount: queueData.processedCount });
+
+    res.json({
+      success: true,
+      message: `Reprocessing ${run.documentCount} documents in ${cases.length} cases`,
+      status: 'processing',
+      run
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to start reprocessing', details: error.message });
+  }
+});
+
 // Generate report
-router.post('/:jobId/generate-report', async (req, res) => {
+router.post('/:jobId/generate-report', requirePermission(PERMISSIONS.JOBS_CREATE), async (req, res) => {
   try {
     const { jobId } = req.params;
     await queueManager.add('generate-report', { jobId, type: 'generate-report' }, { jobId: `${jobId}-report` });
@@ -243,20 +448,33 @@ router.post('/:jobId/generate-report', async (req, res) => {
 });
 
 // Get job status
-router.get('/:jobId/status', async (req, res) => {
+router.get('/:jobId/status', requirePermission(PERMISSIONS.JOBS_VIEW), async (req, res) => {
   try {
     const { jobId } = req.params;
     let status = getJobStatus(jobId);
-    if (!status) {
-      try { status = await getJsonFromS3(`jobs/${jobId}/metadata.json`); setJobStatus(jobId, status); }
-      catch { return res.status(404).json({ error: 'Job not found' }); }
+    // An entry built only from other processes' status updates holds just the changed fields:
+    // the job's own (id, createdAt, fileName...) come from metadata.json, the updates win
+    if (!status?.id) {
+      try {
+        const metadata = await getJsonFromS3(`jobs/${jobId}/metadata.json`);
+        status = { ...metadata, ...getJobStatus(jobId) };
+        setJobStatus(jobId, status);
+      } catch { return res.status(404).json({ error: 'Job not found' }); }
     }
     try {
       const queueData = await getJsonFromS3(`jobs/${jobId}/processing/queue.json`);
       status.queueStatus    = queueData.status;
       status.totalDocuments = queueData.totalDocuments;
+      if (queueData.totalCases) status.totalCases = queueData.totalCases;
       status.processedCount = queueData.processedCount;
       status.failedCount    = queueData.failedDocuments?.length || 0;
+      if (queueData.promptVersion) {
+        status.promptVersion = queueData.promptVersion;
+        status.modelId       = queueData.modelId;
+      }
+      if (queueData.estimate) status.estimate = queueData.estimate;
+      status.totalCostUsd  = queueData.totalCostUsd || 0;
+      status.budgetWarning = queueData.budgetWarning || null;
     } catch {}
     res.json(status);
   } catch (error) {
@@ -265,7 +483,7 @@ router.get('/:jobId/status', async (req, res) => {
 });
 
 // Get job logs
-router.get('/:jobId/logs', async (req, res) => {
+router.get('/:jobId/logs', requirePermission(PERMISSIONS.JOBS_VIEW), async (req, res) => {
   try {
     const { jobId } = req.params;
     try {
@@ -280,7 +498,7 @@ router.get('/:jobId/logs', async (req, res) => {
 });
 
 // SSE — live updates
-router.get('/:jobId/events', (req, res) => {
+router.get('/:jobId/events', requirePermission(PERMISSIONS.JOBS_VIEW), (req, res) => {
   const { jobId } = req.params;
   res.setHeader('Content-Type', 'text/event-stream');
   res.setHeader('Cache-Control', 'no-cache');
@@ -288,7 +506,10 @@ router.get('/:jobId/events', (req, res) => {
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.flushHeaders();
   res.write(`event: connected\ndata: ${JSON.stringify({ jobId })}\n\n`);
-  addSSEClient(jobId, res);
+  // Browsers send Last-Event-ID on automatic reconnects; a fresh EventSource passes it as ?lastEventId=
+  const lastEventId = parseInt(req.get('Last-Event-ID') ?? req.query.lastEventId, 10);
+  addSSEClient(jobId, res, Number.isFinite(lastEventId) ? lastEventId : null)
+    .catch(err => console.error('[SSE] subscribe failed:', err.message));
   const heartbeat = setInterval(() => {
     res.write(`event: heartbeat\ndata: ${JSON.stringify({ time: Date.now() })}\n\n`);
   }, 30000);
@@ -296,7 +517,7 @@ router.get('/:jobId/events', (req, res) => {
 });
 
 // Download report
-router.get('/:jobId/download', async (req, res) => {
+router.get('/:jobId/download', requirePermission(PERMISSIONS.REPORTS_DOWNLOAD), async (req, res) => {
   try {
     const { jobId }     = req.params;
     const reportKey     = `jobs/${jobId}/output/Legal_Audit_Report.xlsx`;
@@ -308,7 +529,7 @@ router.get('/:jobId/download', async (req, res) => {
 });
 
 // List all jobs
-router.get('/', async (req, res) => {
+router.get('/', requirePermission(PERMISSIONS.JOBS_VIEW), async (req, res) => {
   try {
     // List only top-level job folders (not all objects inside them)
     const { S3Client, ListObjectsV2Command } = await import('@aws-sdk/client-s3');
@@ -1,13 +1,36 @@
 import express from 'express';
 import { getJsonFromS3, putJsonToS3 } from '../services/s3Service.js';
+import { requirePermission } from '../middleware/auth.js';
+import { PERMISSIONS } from '../config/permissions.js';
+import {
+  getPromptHistory,
+  getPromptVersion,
+  archivePromptVersion,
+  diffPrompts,
+  isValidVersion,
+  withPromptLock
+} from '../services/promptHistoryService.js';
+import { getFieldDefinitions, validateFieldDefinitions } from '../config/fieldDefinitions.js';
+import { getMinConfidence, isValidMinConfidence } from '../config/confidence.js';
+import { getDocumentTypes, validateDocumentTypes } from '../config/documentTypes.js';
 
 const router = express.Router();
 
+// Saves and rollbacks derive the next version from the current one; run them one at a time
+const serializePromptChange = (handler) => (req, res) => withPromptLock(() => handler(req, res));
+
+const INVALID_VERSION = 'version must look like 1.0.3';
+
 // Get the current audit prompt
-router.get('/prompt', async (req, res) => {
+router.get('/prompt', requirePermission(PERMISSIONS.MASTERS_VIEW), async (req, res) => {
   try {
     const prompt = await getJsonFromS3('masters/legal_audit_prompt.json');
-    res.json(prompt);
+    res.json({
+      ...prompt,
+      fields: getFieldDefinitions(prompt),
+      documentTypes: getDocumentTypes(prompt),
+      minConfidence: getMinConfidence(prompt)
+    });
   } catch (error) {
     console.error('Error fetching prompt:', error);
     res.status(500).json({ error: 'Failed to fetch prompt' });
@@ -15,9 +38,20 @@ router.get('/prompt', async (req, res) => {
 });
 
 // Update the audit prompt
-router.put('/prompt', async (req, res) => {
+router.put('/prompt', requirePermission(PERMISSIONS.MASTERS_EDIT), serializePromptChange(async (req, res) => {
   try {
-    const { systemRole, scope, riskClassification, outputSchema } = req.body;
+    const { systemRole, scope, riskClassification, fields, documentTypes, minConfidence } = req.body;
+
+    if (minConfidence !== undefined && !isValidMinConfidence(minConfidence)) {
+      return res.status(400).json({ error: 'minConfidence must be a number from 0 to 100' });
+    }
+
+    if (fields) {
+      const errors = validateFieldDefinitions(fields);
+      if (errors.length) {
+        return res.status(400).json({ error: errors.join('; '), details: errors });
+      }
+    }
     
     // Get current prompt
     let currentPrompt;
@@ -27,18 +61,33 @@ router.put('/prompt', async (req, res) => {
       currentPrompt = {};
     }
 
+    // Types reference field keys, so check them against the fields being saved
+    const nextFields = fields || getFieldDefinitions(currentPrompt);
+    const nextDocumentTypes = documentTypes || getDocumentTypes(currentPrompt);
+    const typeErrors = validateDocumentTypes(nextDocumentTypes, nextFields);
+    if (typeErrors.length) {
+      return res.status(400).json({ error: typeErrors.join('; '), details: typeErrors });
+    }
+
     // Update with new values
     const updatedPrompt = {
       ...currentPrompt,
       version: incrementVersion(currentPrompt.version || '1.0.0'),
       updatedAt: new Date().toISOString(),
-      updatedBy: req.body.updatedBy || 'unknown',
+      updatedBy: req.user.email,
       systemRole: systemRole || currentPrompt.systemRole,
       scope: scope || currentPrompt.scope,
       riskClassification: riskClassification || currentPrompt.riskClassification,
-      outputSchema: outputSchema || currentPrompt.outputSchema
+      fields: nextFields,
+      documentTypes: nextDocumentTypes,
+      minConfidence: minConfidence ?? currentPrompt.minConfidence,
+      rolledBackFrom: undefined
     };
+    updatedPrompt.outputSchema = updatedPrompt.fields.map(f => f.header);
 
+    // Make sure the version being replaced is archived (covers prompts saved before history existed)
+    if (currentPrompt.version) await archivePromptVersion(currentPrompt);
+    await archivePromptVersion(updatedPrompt);
     await putJsonToS3('masters/legal_audit_prompt.json', updatedPrompt);
     
     res.json({
@@ -47,25 +96,108 @@ router.put('/prompt', async (req, res) => {
     });
   } catch (error) {
     console.error('Error updating prompt:', error);
+    if (error.status === 409) return res.status(409).json({ error: error.message });
     res.status(500).json({ error: 'Failed to update prompt' });
   }
-});
+}));
 
 // Get prompt history (versions)
-router.get('/prompt/history', async (req, res) => {
+router.get('/prompt/history', requirePermission(PERMISSIONS.MASTERS_VIEW), async (req, res) => {
   try {
-    let history;
-    try {
-      history = await getJsonFromS3('masters/prompt_history.json');
-    } catch {
-      history = { versions: [] };
-    }
+    const history = await getPromptHistory();
     res.json(history);
   } catch (error) {
+    console.error('Error fetching history:', error);
     res.status(500).json({ error: 'Failed to fetch history' });
   }
 });
 
+// Get the full content of an archived version
+router.get('/prompt/versions/:version', requirePermission(PERMISSIONS.MASTERS_VIEW), async (req, res) => {
+  try {
+    if (!isValidVersion(req.params.version)) {
+      return res.status(400).json({ error: INVALID_VERSION });
+    }
+    const prompt = await getPromptVersion(req.params.version);
+    if (!prompt) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+    res.json(prompt);
+  } catch (error) {
+    console.error('Error fetching prompt version:', error);
+    res.status(500).json({ error: 'Failed to fetch prompt version' });
+  }
+});
+
+// Diff two versions (?from=1.0.1&to=1.0.3; "to" defaults to the current prompt)
+router.get('/prompt/diff', requirePermission(PERMISSIONS.MASTERS_VIEW), async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    if (!from) {
+      return res.status(400).json({ error: 'from version is required' });
+    }
+    if (!isValidVersion(from) || (to && !isValidVersion(to))) {
+      return res.status(400).json({ error: INVALID_VERSION });
+    }
+
+    const fromPrompt = await getPromptVersion(from);
+    const toPrompt   = to
+      ? await getPromptVersion(to)
+      : await getJsonFromS3('masters/legal_audit_prompt.json');
+
+    if (!fromPrompt || !toPrompt) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    res.json(diffPrompts(fromPrompt, toPrompt));
+  } catch (error) {
+    console.error('Error diffing prompt versions:', error);
+    res.status(500).json({ error: 'Failed to diff prompt versions' });
+  }
+});
+
+// Roll back to an earlier version. History stays append-only: the old
+// content is re-published as a new version that records where it came from.
+router.post('/prompt/rollback', requirePermission(PERMISSIONS.MASTERS_EDIT), serializePromptChange(async (req, res) => {
+  try {
+    const { version } = req.body;
+    if (!version) {
+      return res.status(400).json({ error: 'version is required' });
+    }
+    if (!isValidVersion(version)) {
+      return res.status(400).json({ error: INVALID_VERSION });
+    }
+
+    const target = await getPromptVersion(version);
+    if (!target) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    const currentPrompt = await getJsonFromS3('masters/legal_audit_prompt.json');
+    if (currentPrompt.version) await archivePromptVersion(currentPrompt);
+
+    const restoredPrompt = {
+      ...target,
+      version: incrementVersion(currentPrompt.version || '1.0.0'),
+      updatedAt: new Date().toISOString(),
+      updatedBy: req.user.email,
+      rolledBackFrom: target.version
+    };
+
+    await archivePromptVersion(restoredPrompt, { action: 'rollback', rolledBackFrom: target.version });
+    await putJsonToS3('masters/legal_audit_prompt.json', restoredPrompt);
+
+    res.json({
+      success: true,
+      prompt: restoredPrompt
+    });
+  } catch (error) {
+    console.error('Error rolling back prompt:', error);
+    if (error.status === 409) return res.status(409).json({ error: error.message });
+    res.status(500).json({ error: 'Failed to roll back prompt' });
+  }
+}));
+
 function incrementVersion(version) {
   const parts = version.split('.').map(Number);
   parts[2]++;
@@ -0,0 +1,150 @@
+import express from 'express';
+import { loadUsers, saveUsers, findUser, getUserStatus, toPublicUser, USER_STATUS } from '../services/userService.js';
+import { requirePermission } from '../middleware/auth.js';
+import { PERMISSIONS, ROLES, normalizeRole } from '../config/permissions.js';
+
+const router = express.Router();
+
+router.use(requirePermission(PERMISSIONS.USERS_MANAGE));
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Refuse changes that would leave nobody able to administer users
+function leavesNoActiveAdmin(userData, email, nextRole, nextStatus) {
+  return !userData.users.some(u => {
+    const isTarget = u.email.toLowerCase() === email.toLowerCase();
+    const role     = isTarget ? nextRole   : normalizeRole(u.role);
+    const status   = isTarget ? nextStatus : getUserStatus(u);
+    return role === 'admin' && status !== USER_STATUS.DEACTIVATED;
+  });
+}
+
+// List users
+router.get('/', async (req, res) => {
+  try {
+    const userData = await loadUsers({ fresh: true });
+    const users    = userData.users
+      .map(toPublicUser)
+      .sort((a, b) => a.email.localeCompare(b.email));
+    res.json({ users, roles: ROLES });
+  } catch (error) {
+    console.error('Error listing users:', error);
+    res.status(500).json({ error: 'Failed to list users' });
+  }
+});
+
+// Invite a user (they become active on first login)
+router.post('/', async (req, res) => {
+  try {
+    const email = req.body.email?.trim().toLowerCase();
+    const role  = req.body.role || 'viewer';
+
+    if (!email || !EMAIL_PATTERN.test(email)) {
+      return res.status(400).json({ error: 'A valid email is required' });
+    }
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    const userData = await loadUsers({ fresh: true });
+    if (findUser(userData, email)) {
+      return res.status(409).json({ error: 'User already exists' });
+    }
+
+    const user = {
+      email,
+      name: req.body.name?.trim() || email.split('@')[0],
+      role,
+      status: USER_STATUS.INVITED,
+      createdAt: new Date().toISOString(),
+      invitedBy: req.user.email
+    };
+    userData.users.push(user);
+    await saveUsers(userData);
+
+    res.status(201).json({ success: true, user: toPublicUser(user) });
+  } catch (error) {
+    console.error('Error inviting user:', error);
+    res.status(500).json({ error: 'Failed to invite user' });
+  }
+});
+
+// Change name / role
+router.patch('/:email', async (req, res) => {
+  try {
+    const { name, role } = req.body;
+    if (role !== undefined && !ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    const userData = await loadUsers({ fresh: true });
+    const user     = findUser(userData, req.params.email);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    if (role && leavesNoActiveAdmin(userData, user.email, role, getUserStatus(user))) {
+      return res.status(400).json({ error: 'At least one active admin is required' });
+    }
+
+    if (name?.trim()) user.name = name.trim();
+    if (role) user.role = role;
+    user.updatedAt = new Date().toISOString();
+    user.updatedBy = req.user.email;
+    await saveUsers(userData);
+
+    res.json({ success: true, user: toPublicUser(user) });
+  } catch (error) {
+    console.error('Error updating user:', error);
+    res.status(500).json({ error: 'Failed to update user' });
+  }
+});
+
+// Deactivate (revokes access on the next request)
+router.post('/:email/deactivate', async (req, res) => {
+  try {
+    if (req.params.email.toLowerCase() === req.user.email.toLowerCase()) {
+      return res.status(400).json({ error: 'You cannot deactivate your own account' });
+    }
+
+    const userData = await loadUsers({ fresh: true });
+    const user     = findUser(userData, req.params.email);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    if (leavesNoActiveAdmin(userData, user.email, normalizeRole(user.role), USER_STATUS.DEACTIVATED)) {
+      return res.status(400).json({ error: 'At least one active admin is required' });
+    }
+
+    user.status        = USER_STATUS.DEACTIVATED;
+    user.deactivatedAt = new Date().toISOString();
+    user.deactivatedBy = req.user.email;
+    await saveUsers(userData);
+
+    res.json({ success: true, user: toPublicUser(user) });
+  } catch (error) {
+    console.error('Error deactivating user:', error);
+    res.status(500).json({ error: 'Failed to deactivate user' });
+  }
+});
+
+// Reactivate
+router.post('/:email/reactivate', async (req, res) => {
+  try {
+    const userData = await loadUsers({ fresh: true });
+    const user     = findUser(userData, req.params.email);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    // Users who never logged in go back to the invited state
+    user.status = user.lastLogin ? USER_STATUS.ACTIVE : USER_STATUS.INVITED;
+    delete user.deactivatedAt;
+    delete user.deactivatedBy;
+    user.updatedAt = new Date().toISOString();
+    user.updatedBy = req.user.email;
+    await saveUsers(userData);
+
+    res.json({ success: true, user: toPublicUser(user) });
+  } catch (error) {
+    console.error('Error reactivating user:', error);
+    res.status(500).json({ error: 'Failed to reactivate user' });
+  }
+});
+
+export default router;
@@ -0,0 +1,27 @@
+/**
+ * Dev Email Provider
+ * The original "mock Office 365" login: trusts whatever email is typed in.
+ * Only for local development and testing — never enable it in production.
+ */
+
+export const devEmailProvider = {
+  id: 'dev-email',
+  type: 'credentials',
+  label: 'Developer email login',
+
+  // Off unless explicitly turned on: NODE_ENV is not set in every deployment (e.g. the Docker images)
+  isEnabled() {
+    return process.env.AUTH_DEV_LOGIN === 'true';
+  },
+
+  /**
+   * @param {Object} body - { email, name } from the login form
+   * @returns {Object} Identity { email, name }
+   */
+  async authenticate({ email, name }) {
+    if (!email) {
+      throw Object.assign(new Error('Email is required'), { status: 400 });
+    }
+    return { email: email.trim(), name: name || email.split('@')[0] };
+  }
+};
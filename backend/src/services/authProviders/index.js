@@ -0,0 +1,25 @@
+/**
+ * Auth provider registry
+ *
+ * A provider is either
+ *   - 'credentials': authenticate(body) → { email, name }
+ *   - 'redirect':    getAuthorizationUrl() → url, handleCallback(query) → { email, name }
+ * and decides via isEnabled() whether it is configured in this environment.
+ */
+
+import { oidcProvider } from './oidcProvider.js';
+import { devEmailProvider } from './devEmailProvider.js';
+
+const providers = [oidcProvider, devEmailProvider];
+
+export function getEnabledProviders() {
+  return providers.filter(p => p.isEnabled());
+}
+
+/**
+ * @param {string} id - Provider id
+ * @returns {Object|null} The provider if it exists and is enabled
+ */
+export function getProvider(id) {
+  return getEnabledProviders().find(p => p.id === id) || null;
+}
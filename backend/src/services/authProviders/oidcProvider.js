@@ -0,0 +1,178 @@
+/**
+ * OIDC Provider
+ * OpenID Connect authorization-code flow (with PKCE) for Azure AD / Office 365
+ * or any standards-compliant IdP, including a local mock IdP for testing.
+ *
+ * Endpoints are discovered from ${OIDC_ISSUER}/.well-known/openid-configuration
+ * unless overridden individually via OIDC_AUTHORIZATION_ENDPOINT / OIDC_TOKEN_ENDPOINT / OIDC_JWKS_URI.
+ */
+
+import crypto from 'crypto';
+import { createRemoteJWKSet, jwtVerify } from 'jose';
+
+const STATE_TTL = 10 * 60 * 1000;
+
+// Pending authorization requests keyed by state. In-process only, so with several API
+// instances the load balancer must keep the authorize → callback round-trip sticky.
+const pendingStates = new Map();
+
+let discoveryCache = null;
+let jwksCache = null;
+
+function getConfig() {
+  return {
+    issuer:       process.env.OIDC_ISSUER,
+    clientId:     process.env.OIDC_CLIENT_ID,
+    clientSecret: process.env.OIDC_CLIENT_SECRET,
+    redirectUri:  process.env.OIDC_REDIRECT_URI,
+    scopes:       process.env.OIDC_SCOPES || 'openid profile email'
+  };
+}
+
+async function getEndpoints() {
+  const { issuer } = getConfig();
+  const overrides  = {
+    authorization_endpoint: process.env.OIDC_AUTHORIZATION_ENDPOINT,
+    token_endpoint:         process.env.OIDC_TOKEN_ENDPOINT,
+    jwks_uri:               process.env.OIDC_JWKS_URI
+  };
+  if (overrides.authorization_endpoint && overrides.token_endpoint && overrides.jwks_uri) {
+    return overrides;
+  }
+
+  if (!discoveryCache) {
+    const url      = `${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`;
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`OIDC discovery failed (${response.status}) at ${url}`);
+    discoveryCache = await response.json();
+  }
+  return {
+    authorization_endpoint: overrides.authorization_endpoint || discoveryCache.authorization_endpoint,
+    token_endpoint:         overrides.token_endpoint         || discoveryCache.token_endpoint,
+    jwks_uri:               overrides.jwks_uri               || discoveryCache.jwks_uri
+  };
+}
+
+function getJwks(jwksUri) {
+  if (!jwksCache || jwksCache.uri !== jwksUri) {
+    jwksCache = { uri: jwksUri, keySet: createRemoteJWKSet(new URL(jwksUri)) };
+  }
+  return jwksCache.keySet;
+}
+
+function base64Url(buffer) {
+  return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function purgeExpiredStates() {
+  const now = Date.now();
+  for (const [state, entry] of pendingStates) {
+    if (entry.expiresAt < now) pendingStates.delete(state);
+  }
+}
+
+export const oidcProvider = {
+  id: 'oidc',
+  type: 'redirect',
+  // A getter, so a label from Secrets Manager (loaded after this module) is used
+  get label() {
+    return process.env.OIDC_PROVIDER_LABEL || 'Office 365';
+  },
+
+  isEnabled() {
+    const { issuer, clientId, redirectUri } = getConfig();
+    return Boolean(issuer && clientId && redirectUri);
+  },
+
+  /**
+   * Build the IdP authorize URL and remember the state/nonce/PKCE verifier
+   * @returns {string} URL to redirect the browser to
+   */
+  async getAuthorizationUrl() {
+    const { clientId, redirectUri, scopes } = getConfig();
+    const { authorization_endpoint }        = await getEndpoints();
+
+    purgeExpiredStates();
+    const state        = base64Url(crypto.randomBytes(24));
+    const nonce        = base64Url(crypto.randomBytes(24));
+    const codeVerifier = base64Url(crypto.randomBytes(32));
+    pendingStates.set(state, { nonce, codeVerifier, expiresAt: Date.now() + STATE_TTL });
+
+    const url = new URL(authorization_endpoint);
+    url.search = new URLSearchParams({
+      response_type: 'code',
+      client_id: clientId,
+      redirect_uri: redirectUri,
+      scope: scopes,
+      state,
+      nonce,
+      code_challenge: base64Url(crypto.createHash('sha256').update(codeVerifier).digest()),
+      code_challenge_method: 'S256'
+    }).toString();
+    return url.toString();
+  },
+
+  /**
+   * Exchange the authorization code and validate the returned ID token
+   * @param {Object} query - Callback query string ({ code, state } or { error })
+   * @returns {Object} Identity { email, name }
+   */
+  async handleCallback({ code, state, error, error_description: errorDescription }) {
+    if (error) {
+      throw Object.assign(new Error(errorDescription || error), { status: 401 });
+    }
+    const pending = state && pendingStates.get(state);
+    pendingStates.delete(state);
+    if (!pending || pending.expiresAt < Date.now()) {
+      throw Object.assign(new Error('Login request expired or was not started here. Please try again.'), { status: 401 });
+    }
+    if (!code) {
+      throw Object.assign(new Error('Authorization code missing'), { status: 400 });
+    }
+
+    const { issuer, clientId, clientSecret, redirectUri } = getConfig();
+    const { token_endpoint, jwks_uri }                     = await getEndpoints();
+
+    const body = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: redirectUri,
+      client_id: clientId,
+      code_verifier: pending.codeVerifier
+    });
+    if (clientSecret) body.set('client_secret', clientSecret);
+
+    const response = await fetch(token_endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body
+    });
+    const tokens = await response.json().catch(() => ({}));
+    if (!response.ok || !tokens.id_token) {
+      throw Object.assign(
+        new Error(`Token exchange failed: ${tokens.error_description || tokens.error || response.status}`),
+        { status: 401 }
+      );
+    }
+
+    const { payload } = await jwtVerify(tokens.id_token, getJwks(jwks_uri), {
+      issuer,
+      audience: clientId
+    });
+    if (payload.nonce !== pending.nonce) {
+      throw Object.assign(new Error('ID token nonce mismatch'), { status: 401 });
+    }
+
+    // The email is matched against existing accounts, admins included, so it must be verified.
+    // Azure AD's preferred_username/upn are unverified in multi-tenant and B2C tenants; they are
+    // only used when the (single-tenant) issuer is trusted for them with OIDC_TRUST_USERNAME_CLAIM.
+    let email = payload.email_verified === true ? payload.email : null;
+    if (!email && process.env.OIDC_TRUST_USERNAME_CLAIM === 'true') {
+      email = payload.preferred_username || payload.upn;
+    }
+    if (!email) {
+      throw Object.assign(new Error('ID token does not contain a verified email claim'), { status: 401 });
+    }
+    return { email, name: payload.name || email.split('@')[0] };
+  }
+};
@@ -0,0 +1,135 @@
+/**
+ * Bedrock Service
+ * The single place that talks to Claude on AWS Bedrock: message building for
+ * PDF / image / text content, rate limiting (rateLimiter.js), retries with throttling
+ * back-off, and JSON parsing.
+ */
+
+import { BedrockRuntimeClient, InvokeModelCommand } from '@aws-sdk/client-bedrock-runtime';
+import { acquireCapacity, settleCapacity, recordSuccess, recordThrottle } from './rateLimiter.js';
+
+const FALLBACK_MODEL_ID = 'global.anthropic.claude-sonnet-4-6';
+const MAX_TOKENS        = 8192; // room for per-field evidence quotes
+
+// Rough input sizes for reserving rate-limit capacity; the real usage is settled afterwards
+const CHARS_PER_TOKEN   = 4;
+const TOKENS_PER_IMAGE  = 1600;
+const TOKENS_PER_PAGE   = 2500;   // PDF pages are sent as text plus a page image
+const BYTES_PER_PAGE    = 100 * 1024; // when the page count cannot be read from the PDF
+
+let bedrockClient = null;
+
+// Created on first use so AWS_REGION from .env / Secrets Manager is already loaded
+function getClient() {
+  if (!bedrockClient) {
+    bedrockClient = new BedrockRuntimeClient({ region: process.env.AWS_REGION || 'ap-south-1' });
+  }
+  return bedrockClient;
+}
+
+export function getDefaultModelId() {
+  return process.env.BEDROCK_MODEL_ID || FALLBACK_MODEL_ID;
+}
+
+function buildMessageContent(content, mediaType, systemPrompt) {
+  if (mediaType === 'pdf') {
+    return [
+      { type: 'document', source: { type: 'base64', media_type: 'application/pdf', data: content } },
+      { type: 'text', text: systemPrompt }
+    ];
+  }
+  if (mediaType.startsWith('image/')) {
+    return [
+      { type: 'image', source: { type: 'base64', media_type: mediaType, data: content } },
+      { type: 'text', text: systemPrompt }
+    ];
+  }
+  return [{ type: 'text', text: `${systemPrompt}\n\n${content}` }];
+}
+
+function estimateInputTokens(content, mediaType, systemPrompt) {
+  const promptTokens = Math.ceil(systemPrompt.length / CHARS_PER_TOKEN);
+  if (mediaType === 'pdf') {
+    const bytes = Buffer.from(content, 'base64');
+    const pages = bytes.toString('latin1').match(/\/Type\s*\/Page(?!s)/g)?.length ||
+                  Math.max(1, Math.round(bytes.length / BYTES_PER_PAGE));
+    return promptTokens + pages * TOKENS_PER_PAGE;
+  }
+  if (mediaType.startsWith('image/')) return promptTokens + TOKENS_PER_IMAGE;
+  return promptTokens + Math.ceil(content.length / CHARS_PER_TOKEN);
+}
+
+function isThrottle(err) {
+  return err.message?.includes('ThrottlingException') ||
+         err.message?.includes('Rate exceeded') ||
+         err.message?.includes('Too Many Requests');
+}
+
+/**
+ * Send one piece of content to the model
+ * @param {string} content - Base64 for 'pdf' and 'image/*', plain text otherwise
+ * @param {string} mediaType - 'pdf', 'text' or an image MIME type
+ * @param {string} systemPrompt - Instructions sent with the content
+ * @param {Object} options
+ * @param {string} options.modelId - Bedrock model id (defaults to BEDROCK_MODEL_ID)
+ * @param {number} options.retries - Attempts before giving up
+ * @param {Object} [options.followUp] - Continue the conversation: { answer, message } are the model's
+ *   earlier answer to this content and the next user message
+ * @returns {Promise<{ text: string, inputTokens: number, outputTokens: number }>}
+ */
+export async function invokeModel(content, mediaType, systemPrompt, { modelId = getDefaultModelId(), retries = 3, followUp = null } = {}) {
+  const messages = [{ role: 'user', content: buildMessageContent(content, mediaType, systemPrompt) }];
+  if (followUp) {
+    messages.push(
+      { role: 'assistant', content: [{ type: 'text', text: followUp.answer || '(no answer)' }] },
+      { role: 'user',      content: [{ type: 'text', text: followUp.message }] }
+    );
+  }
+  // Bedrock counts max_tokens against the quota until the response is in, so reserve it too
+  const followUpTokens  = followUp ? Math.ceil(((followUp.answer || '').length + followUp.message.length) / CHARS_PER_TOKEN) : 0;
+  const estimatedTokens = estimateInputTokens(content, mediaType, systemPrompt) + followUpTokens + MAX_TOKENS;
+
+  for (let attempt = 1; attempt <= retries; attempt++) {
+    const reservation = await acquireCapacity(modelId, estimatedTokens);
+    try {
+      const cmd = new InvokeModelCommand({
+        modelId,
+        contentType: 'application/json', accept: 'application/json',
+        body: JSON.stringify({
+          anthropic_version: 'bedrock-2023-05-31',
+          max_tokens: MAX_TOKENS,
+          messages
+        })
+      });
+      const result   = await getClient().send(cmd);
+      const response = JSON.parse(new TextDecoder().decode(result.body));
+      const inputTokens  = response.usage?.input_tokens  || 0;
+      const outputTokens = response.usage?.output_tokens || 0;
+      await settleCapacity(reservation, inputTokens + outputTokens);
+      recordSuccess();
+      return { text: response.content?.[0]?.text || '', inputTokens, outputTokens };
+    } catch (err) {
+      const throttled = isThrottle(err);
+      await settleCapacity(reservation, 0, { throttled });
+      if (throttled) recordThrottle();
+      if (attempt >= retries) throw err;
+      // The limiter paces calls; back-off only spreads out the retries
+      const wait = (throttled ? 4000 * 2 ** (attempt - 1) : 3000 * attempt) + Math.round(Math.random() * 1000);
+      console.warn(`[Bedrock] ${throttled ? 'throttled, ' : ''}retry ${attempt}/${retries} in ${wait}ms`);
+      await new Promise(r => setTimeout(r, wait));
+    }
+  }
+}
+
+/**
+ * Parse the JSON object in a model response, tolerating text around it
+ * @param {string} text
+ * @returns {Object|null}
+ */
+export function parseJsonResponse(text) {
+  try { return JSON.parse(text); } catch {
+    const m = text.match(/\{[\s\S]*\}/);
+    if (m) { try { return JSON.parse(m[0]); } catch {} }
+    return null;
+  }
+}
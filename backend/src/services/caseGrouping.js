@@ -0,0 +1,147 @@
+/**
+ * Case Grouping
+ * A loan application often arrives as several files (TSR, EC, title deeds). Documents are
+ * grouped into one case per application, analysed together and reported as one row.
+ *
+ * A document's case is, in order:
+ *   1. its top-level folder in the ZIP (folders that wrap the whole archive are ignored)
+ *   2. the application number at the start of its file name (CASE_FILENAME_PATTERN, first capture
+ *      group, matched case-insensitively)
+ *   3. the file on its own
+ * Set CASE_GROUPING=false to analyse every file as its own case.
+ *
+ * Documents and cases get IDs derived from the file path and case key, so results and
+ * checkpoints keep pointing at the same files however often a job is resumed.
+ */
+
+import { createHash } from 'crypto';
+
+// e.g. "HL0012345_TSR.pdf", "LAP-77812 EC.pdf"; plain dates such as "20240115_scan.pdf" do not match
+const DEFAULT_FILENAME_PATTERN = '^([A-Z]{2,5}[-_]?\\d{5,})(?=[ _.-])';
+
+const shortHash = (value) => createHash('sha1').update(value).digest('hex').slice(0, 12);
+
+/**
+ * Stable ID of an extracted document
+ * @param {string} path - Path inside the ZIP (or the file name for single uploads)
+ * @returns {string}
+ */
+export const documentId = (path) => `d-${shortHash(path)}`;
+
+const caseId = (caseKey) => `c-${shortHash(caseKey)}`;
+
+export function isCaseGroupingEnabled() {
+  return process.env.CASE_GROUPING !== 'false';
+}
+
+function getFilenamePattern() {
+  const raw = process.env.CASE_FILENAME_PATTERN;
+  if (raw === 'none') return null;
+  try {
+    return new RegExp(raw || DEFAULT_FILENAME_PATTERN, 'i');
+  } catch (err) {
+    console.warn(`[Cases] Invalid CASE_FILENAME_PATTERN, using default: ${err.message}`);
+    return new RegExp(DEFAULT_FILENAME_PATTERN, 'i');
+  }
+}
+
+// Wrapper folder segments shared by every document, e.g. ["export"] in export/HL1/..., export/HL2/...
+// The deepest shared folder is only a wrapper when it holds several folders, or nothing but folders;
+// otherwise (HL1/tsr.pdf, HL1/ec.pdf) it is the one application in the archive and stays the case.
+function commonFolderPrefix(documents) {
+  const folders = documents.map(d => (d.folder ? d.folder.split('/') : []));
+  if (!folders.length) return 0;
+  let depth = 0;
+  while (folders.every(f => f.length > depth && f[depth] === folders[0][depth])) depth++;
+  if (depth === 0) return 0;
+
+  const subfolders     = new Set(folders.filter(f => f.length > depth).map(f => f[depth]));
+  const hasDirectFiles = folders.some(f => f.length === depth);
+  return subfolders.size > 1 || !hasDirectFiles ? depth : depth - 1;
+}
+
+function resolveCase(doc, prefixDepth, pattern) {
+  const folder = doc.folder ? doc.folder.split('/')[prefixDepth] : null;
+  if (folder) return { caseKey: `folder:${folder}`, name: folder };
+
+  const match = pattern ? doc.name.match(pattern) : null;
+  if (match?.[1]) {
+    const applNo = match[1].toUpperCase();
+    return { caseKey: `appl:${applNo.replace(/[-_]/g, '')}`, name: applNo };
+  }
+
+  return { caseKey: `file:${doc.path || doc.name}`, name: doc.name };
+}
+
+/**
+ * Group extracted documents into cases
+ * Sets `caseKey` on each document.
+ * @param {Array<Object>} documents - queue.json documents ({ id, name, folder, path, ... })
+ * @returns {Array<Object>} [{ id, caseKey, name, documents: [document id] }] in order of first appearance
+ */
+export function groupDocumentsIntoCases(documents) {
+  const grouping = isCaseGroupingEnabled();
+  const prefixDepth = commonFolderPrefix(documents);
+  const pattern = getFilenamePattern();
+  const cases = new Map();
+
+  documents.forEach(doc => {
+    const { caseKey, name } = grouping
+      ? resolveCase(doc, prefixDepth, pattern)
+      : { caseKey: `file:${doc.path || doc.name}`, name: doc.name };
+    doc.caseKey = caseKey;
+    if (!cases.has(caseKey)) cases.set(caseKey, { id: caseId(caseKey), caseKey, name, documents: [] });
+    cases.get(caseKey).documents.push(doc.id);
+  });
+
+  return [...cases.values()];
+}
+
+/**
+ * Bring a queue.json written by an older version up to date: document IDs, and cases
+ * (one per document when there are none, e.g. single PDF uploads) that list document IDs.
+ * Older versions stored each result by its position in the list of cases (or, before cases,
+ * documents) their run worked through: the pending ones, or all once the job had finished.
+ * That position is kept as `legacyResult` so the worker can move the result to the case's ID.
+ * @param {Object} queueData - Modified in place
+ * @returns {boolean} Whether anything changed and the queue should be saved
+ */
+export function ensureStableIds(queueData) {
+  const legacy = queueData.documents.some(doc => !doc.id);
+  const workedThrough = (items, isPending) => {
+    const pending = items.filter(isPending);
+    return pending.length ? pending : items;
+  };
+
+  let changed = false;
+  for (const doc of queueData.documents) {
+    if (!doc.id) { doc.id = documentId(doc.path || doc.name); changed = true; }
+  }
+
+  if (!queueData.cases?.length) {
+    const positions = legacy
+      ? new Map(workedThrough(queueData.documents, d => d.status === 'pending').map((d, i) => [d, i]))
+      : new Map();
+    queueData.cases = queueData.documents.map(doc => {
+      const caseKey = `file:${doc.path || doc.name}`;
+      doc.caseKey = caseKey;
+      const c = { id: caseId(caseKey), caseKey, name: doc.name, documents: [doc.id] };
+      if (positions.has(doc)) c.legacyResult = positions.get(doc);
+      return c;
+    });
+    return true;
+  }
+
+  const byIndex = queueData.cases.filter(c => c.documents.some(d => typeof d === 'number'));
+  workedThrough(byIndex, c => c.documents.some(d => queueData.documents[d]?.status === 'pending'))
+    .forEach((c, i) => { c.legacyResult = i; });
+
+  for (const c of queueData.cases) {
+    if (!c.id) { c.id = caseId(c.caseKey); changed = true; }
+    if (c.documents.some(d => typeof d === 'number')) {
+      c.documents = c.documents.map(d => (typeof d === 'number' ? queueData.documents[d].id : d));
+      changed = true;
+    }
+  }
+  return changed;
+}
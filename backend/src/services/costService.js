@@ -0,0 +1,98 @@
+/**
+ * Cost Service
+ * Pre-run cost estimates and budget checks. Each document's plan (planDocument) gives the number
+ * of model calls through getProcessingEstimates(); typical token counts per call turn that into
+ * tokens and, with the model's price, into USD. Estimates are rough by design: once cases finish,
+ * budget checks add the real spend so far to the estimate for what is left.
+ */
+
+import { getProcessingEstimates, PDF_CONFIG } from './pdfChunkService.js';
+import { calculateCost, getModelPricing } from '../config/pricing.js';
+import { isModelClassificationEnabled, getClassifierModelId } from './documentClassifier.js';
+
+const PROMPT_TOKENS      = 3000;  // system prompt and field schema, sent with every call
+const OUTPUT_TOKENS      = 1500;  // one extraction with evidence quotes
+const TOKENS_PER_PAGE    = 2500;  // PDF pages are sent as text plus a page image
+const CHARS_PER_TOKEN    = 4;
+const OTHER_INPUT_TOKENS = 5000;  // an image, or a Word/text document
+
+/**
+ * Expected model usage of one document
+ * @param {Object} plan - From planDocument (an empty object when planning failed)
+ * @returns {{ strategy: string|null, apiCalls: number, inputTokens: number, outputTokens: number }}
+ */
+export function estimateDocumentUsage(plan) {
+  const apiCalls = Math.max(1, getProcessingEstimates(plan).estimatedApiCalls || 1);
+  const content = {
+    'direct-pdf': () => Math.max(1, plan.pageCount || 1) * TOKENS_PER_PAGE,
+    'text-chunk': () => Math.ceil((plan.textLength || PDF_CONFIG.TEXT_CHUNK_SIZE) / CHARS_PER_TOKEN),
+    'ocr-text':   () => apiCalls * PDF_CONFIG.MAX_PAGES_PER_BATCH * TOKENS_PER_PAGE, // priced as page images, the fallback
+    'page-split': () => apiCalls * PDF_CONFIG.MAX_PAGES_PER_BATCH * TOKENS_PER_PAGE,
+    // A single image goes out as is; the pages of a multi-page scan as PDF page batches
+    'image':      () => (plan.pageCount > 1 ? plan.pageCount * TOKENS_PER_PAGE : OTHER_INPUT_TOKENS)
+  }[plan.strategy]?.() ?? apiCalls * OTHER_INPUT_TOKENS;
+
+  return {
+    strategy: plan.strategy || null,
+    apiCalls,
+    inputTokens:  content + apiCalls * PROMPT_TOKENS,
+    outputTokens: apiCalls * OUTPUT_TOKENS
+  };
+}
+
+/**
+ * Expected usage and cost of analysing the given cases
+ * Cases of several documents add one call that combines their findings.
+ * @param {Array<Object>} cases - queue.json cases
+ * @param {Map<string, Object>} docsById - queue.json documents, each with `estimate`
+ * @param {string} modelId - Model the job is analysed with
+ * @returns {{ apiCalls: number, inputTokens: number, outputTokens: number, costUsd: number, documents: number }}
+ */
+export function estimateCasesCost(cases, docsById, modelId) {
+  const total = { apiCalls: 0, inputTokens: 0, outputTokens: 0, documents: 0 };
+  for (const c of cases) {
+    for (const id of c.documents) {
+      const estimate = docsById.get(id).estimate || estimateDocumentUsage({});
+      total.apiCalls     += estimate.apiCalls;
+      total.inputTokens  += estimate.inputTokens;
+      total.outputTokens += estimate.outputTokens;
+      total.documents++;
+    }
+    if (c.documents.length > 1) {
+      total.apiCalls     += 1;
+      total.inputTokens  += PROMPT_TOKENS + c.documents.length * OUTPUT_TOKENS;
+      total.outputTokens += OUTPUT_TOKENS;
+    }
+  }
+  return { ...total, costUsd: calculateCost(modelId, total.inputTokens, total.outputTokens) };
+}
+
+/**
+ * Check a budget cap, if any, against the spend so far plus the estimate for the rest
+ * @param {number|null} budgetUsd
+ * @param {number} spentUsd
+ * @param {number} remainingUsd
+ * @returns {{ exceeded: boolean, projectedUsd: number }}
+ */
+export function checkBudget(budgetUsd, spentUsd, remainingUsd) {
+  const projectedUsd = Math.round((spentUsd + remainingUsd) * 100) / 100;
+  return { exceeded: typeof budgetUsd === 'number' && projectedUsd > budgetUsd, projectedUsd };
+}
+
+/**
+ * Models of a job that have no price, so a budget cap cannot be enforced: their usage costs $0
+ * @param {string} modelId - Model the job is analysed with
+ * @returns {string[]} The job model and, when model classification is on, the classifier model
+ */
+export function getUnpricedModels(modelId) {
+  const models = new Set([modelId, ...(isModelClassificationEnabled() ? [getClassifierModelId()] : [])]);
+  return [...models].filter(id => !getModelPricing(id));
+}
+
+/**
+ * @param {*} value - Budget from a request body
+ * @returns {boolean} Whether it is a usable cap (null or undefined means no cap)
+ */
+export function isValidBudget(value) {
+  return value === null || value === undefined || (typeof value === 'number' && Number.isFinite(value) && value > 0);
+}
@@ -0,0 +1,115 @@
+/**
+ * Document Classifier
+ * Tags each extracted document with a type from the Masters registry before analysis.
+ * The file name is tried first; when it matches no type, the opening pages are sent to a
+ * small, cheap model (CLASSIFIER_MODEL_ID). Anything unresolved is classified "other".
+ *
+ * Model classification can be switched off with CLASSIFIER_USE_MODEL=false.
+ */
+
+import pdf from 'pdf-parse';
+import { invokeModel, parseJsonResponse } from './bedrockService.js';
+import { splitPdfIntoBatches } from './pdfChunkService.js';
+import { extractDocumentText, TEXT_DOCUMENT_TYPES } from './documentTextService.js';
+import { prepareImagePages, IMAGE_TYPES } from './imageService.js';
+import { OTHER_DOCUMENT_TYPE } from '../config/documentTypes.js';
+import { calculateCost } from '../config/pricing.js';
+
+const FALLBACK_CLASSIFIER_MODEL_ID = 'global.anthropic.claude-haiku-4-5-20251001-v1:0';
+const SAMPLE_PAGES      = 2;
+const SAMPLE_CHARS      = 6000;
+const MIN_SAMPLE_TEXT   = 200;   // below this the PDF is treated as scanned and sent as pages
+
+export function isModelClassificationEnabled() {
+  return process.env.CLASSIFIER_USE_MODEL !== 'false';
+}
+
+export function getClassifierModelId() {
+  return process.env.CLASSIFIER_MODEL_ID || FALLBACK_CLASSIFIER_MODEL_ID;
+}
+
+/**
+ * Match a file name against each type's filename patterns
+ * @param {string} name - File name
+ * @param {Array} types - Document types from the Masters prompt
+ * @returns {Object|null} Matching type, or null
+ */
+export function classifyByFilename(name, types) {
+  // Separators count as word boundaries, so "EC_1234.pdf" matches \bec\b
+  const normalized = name.replace(/\.[^.]+$/, '').replace(/[_\-.]+/g, ' ');
+  return types.find(t => (t.filenamePatterns || []).some(p => {
+    try { return new RegExp(p, 'i').test(normalized); } catch { return false; }
+  })) || null;
+}
+
+// The opening of the document, in the cheapest form the model can read
+async function buildSample(buffer, ext) {
+  if (TEXT_DOCUMENT_TYPES.includes(ext)) {
+    const text = await extractDocumentText(buffer, ext);
+    return text.trim() ? { content: text.slice(0, SAMPLE_CHARS), mediaType: 'text' } : null;
+  }
+
+  if (IMAGE_TYPES.includes(ext)) {
+    const [first] = await prepareImagePages(buffer, ext);
+    return first ? { content: first.data.toString('base64'), mediaType: first.mediaType } : null;
+  }
+
+  if (ext === '.pdf') {
+    try {
+      const { text } = await pdf(buffer, { max: SAMPLE_PAGES });
+      if (text?.trim().length >= MIN_SAMPLE_TEXT) return { content: text.slice(0, SAMPLE_CHARS), mediaType: 'text' };
+    } catch (err) {
+      console.warn('[Classifier] text sample failed:', err.message);
+    }
+    for await (const batch of splitPdfIntoBatches(buffer, SAMPLE_PAGES)) {
+      return { content: batch.buffer.toString('base64'), mediaType: 'pdf' };
+    }
+  }
+  return null;
+}
+
+function buildClassifierPrompt(types) {
+  const options = [...types, OTHER_DOCUMENT_TYPE].map(t => `- ${t.key}: ${t.label}`).join('\n');
+  return `You are sorting legal documents submitted for a bank/NBFC property loan.
+Identify which ONE of these document types the document is:
+${options}
+
+Use "other" when none fits.
+Return ONLY a JSON object: {"document_type": "<key>"}`;
+}
+
+/**
+ * Classify one document
+ * @param {Object} doc
+ * @param {string} doc.name - File name
+ * @param {Buffer} doc.buffer - File contents
+ * @param {string} doc.type - Lower-case extension including the dot
+ * @param {Array} types - Document types from the pinned Masters prompt
+ * @returns {Promise<Object>} { type, method: 'filename'|'model'|'fallback', inputTokens, outputTokens, costUsd }
+ */
+export async function classifyDocument({ name, buffer, type }, types) {
+  const byName = classifyByFilename(name, types);
+  if (byName) return { type: byName, method: 'filename', inputTokens: 0, outputTokens: 0, costUsd: 0 };
+
+  const fallback = { type: OTHER_DOCUMENT_TYPE, method: 'fallback', inputTokens: 0, outputTokens: 0, costUsd: 0 };
+  if (!types.length || !isModelClassificationEnabled()) return fallback;
+
+  try {
+    const sample = await buildSample(buffer, type);
+    if (!sample) return fallback;
+
+    const modelId = getClassifierModelId();
+    const { text, inputTokens, outputTokens } = await invokeModel(
+      sample.content, sample.mediaType, buildClassifierPrompt(types), { modelId, retries: 2 }
+    );
+    const key = parseJsonResponse(text)?.document_type;
+    const match = types.find(t => t.key === key);
+    return {
+      type: match || OTHER_DOCUMENT_TYPE, method: match ? 'model' : 'fallback',
+      inputTokens, outputTokens, costUsd: calculateCost(modelId, inputTokens, outputTokens)
+    };
+  } catch (err) {
+    console.warn(`[Classifier] ${name}: ${err.message}`);
+    return fallback;
+  }
+}
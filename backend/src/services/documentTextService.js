@@ -0,0 +1,161 @@
+/**
+ * Document Text Service
+ * Turns word-processor and text exports of a TSR (.docx, .doc, .txt, .rtf, .html)
+ * into plain text the model can read. Tables keep one row per line with
+ * " | " between cells, so schedules of property and title chains stay readable.
+ */
+
+import WordExtractor from 'word-extractor';
+
+export const TEXT_DOCUMENT_TYPES = ['.docx', '.doc', '.txt', '.rtf', '.html', '.htm'];
+
+const wordExtractor = new WordExtractor();
+
+/* ── WORD (.docx / .doc) ── */
+async function extractWordText(buffer) {
+  const doc = await wordExtractor.extract(buffer);
+  const sections = [
+    doc.getHeaders({ includeFooters: false }),
+    doc.getBody(),
+    doc.getTextboxes(),
+    doc.getFootnotes(),
+    doc.getEndnotes(),
+    doc.getFooters()
+  ];
+  // word-extractor separates table cells with tabs
+  return sections
+    .map(s => (s || '').replace(/\t+(?=\S)/g, ' | ').replace(/\t+/g, ''))
+    .filter(s => s.trim())
+    .join('\n\n');
+}
+
+/* ── PLAIN TEXT ── */
+function decodeText(buffer) {
+  if (buffer[0] === 0xFF && buffer[1] === 0xFE) return buffer.subarray(2).toString('utf16le');
+  if (buffer[0] === 0xFE && buffer[1] === 0xFF) {
+    const swapped = Buffer.from(buffer.subarray(2));
+    return swapped.swap16().toString('utf16le');
+  }
+  return buffer.toString('utf-8').replace(/^﻿/, '');
+}
+
+/* ── RTF ── */
+// Groups whose content is formatting metadata, not document text
+const RTF_SKIP_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'header', 'footer',
+  'headerl', 'headerr', 'footerl', 'footerr', 'listtable', 'listoverridetable',
+  'rsidtbl', 'generator', 'xmlnstbl', 'themedata', 'datastore', 'latentstyles'
+]);
+
+function extractRtfText(rtf) {
+  let out = '';
+  const stack = [];
+  let skip = false, ucSkip = 1, pendingSkip = 0;
+  let i = 0;
+
+  while (i < rtf.length) {
+    const ch = rtf[i];
+    if (ch === '{') { stack.push({ skip, ucSkip }); i++; continue; }
+    if (ch === '}') { ({ skip, ucSkip } = stack.pop() || { skip: false, ucSkip: 1 }); i++; continue; }
+    if (ch === '\r' || ch === '\n') { i++; continue; }
+
+    if (ch !== '\\') {
+      if (pendingSkip > 0) pendingSkip--;
+      else if (!skip) out += ch;
+      i++; continue;
+    }
+
+    // Control symbols
+    const next = rtf[i + 1];
+    if (next === '\\' || next === '{' || next === '}') { if (!skip) out += next; i += 2; continue; }
+    if (next === '*') { skip = true; i += 2; continue; }
+    if (next === '~') { if (!skip) out += ' '; i += 2; continue; }
+    if (next === '\'') {
+      const code = parseInt(rtf.substr(i + 2, 2), 16);
+      if (pendingSkip > 0) pendingSkip--;
+      else if (!skip && !Number.isNaN(code)) out += String.fromCharCode(code);
+      i += 4; continue;
+    }
+
+    // Control words: \word[-]N followed by an optional space delimiter
+    const match = /^\\([a-z]+)(-?\d+)? ?/i.exec(rtf.slice(i, i + 40));
+    if (!match) { i += 2; continue; }
+    const [token, word, param] = match;
+    i += token.length;
+
+    if (RTF_SKIP_DESTINATIONS.has(word)) { skip = true; continue; }
+    if (skip) continue;
+    switch (word) {
+      case 'par': case 'line': case 'row': case 'sect': case 'page': out += '\n'; break;
+      case 'tab': out += '\t'; break;
+      case 'cell': out += ' | '; break;
+      case 'uc': ucSkip = Number(param); break;
+      case 'u': {
+        const code = Number(param);
+        out += String.fromCharCode(code < 0 ? code + 65536 : code);
+        pendingSkip = ucSkip;
+        break;
+      }
+      default: break;
+    }
+  }
+  return out.replace(/ \| \n/g, '\n');
+}
+
+/* ── HTML ── */
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ', ndash: '–', mdash: '—', rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (whole, name) => {
+    if (name[0] === '#') {
+      const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      // Out-of-range and surrogate code points would throw; leave such entities as written
+      const valid = code <= 0x10FFFF && !(code >= 0xD800 && code <= 0xDFFF);
+      return valid ? String.fromCodePoint(code) : whole;
+    }
+    return HTML_ENTITIES[name.toLowerCase()] ?? whole;
+  });
+}
+
+function extractHtmlText(html) {
+  const text = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|head)\b[\s\S]*?<\/\1>/gi, '')
+    .replace(/<\/t[dh]>\s*(?=<t[dh]\b)/gi, ' | ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/?(p|div|tr|li|h[1-6]|table|section|article|blockquote)\b[^>]*>/gi, '\n')
+    .replace(/<[^>]+>/g, '');
+  return decodeEntities(text);
+}
+
+function tidy(text) {
+  return text
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t ]+\n/g, '\n')
+    .replace(/[ \t ]{2,}/g, ' ')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Plain text of a non-PDF, non-image document
+ * @param {Buffer} buffer - File contents
+ * @param {string} ext - Lower-case extension including the dot, e.g. ".docx"
+ * @returns {Promise<string>} Extracted text ('' when the document has none)
+ */
+export async function extractDocumentText(buffer, ext) {
+  // Panel advocates often send RTF or HTML saved with a .doc extension
+  const head = buffer.subarray(0, 512).toString('latin1').trimStart().toLowerCase();
+  if (ext === '.doc' && head.startsWith('{\\rtf')) ext = '.rtf';
+  else if (ext === '.doc' && (head.startsWith('<!doctype html') || head.startsWith('<html'))) ext = '.html';
+
+  switch (ext) {
+    case '.docx':
+    case '.doc':  return tidy(await extractWordText(buffer));
+    case '.rtf':  return tidy(extractRtfText(decodeText(buffer)));
+    case '.html':
+    case '.htm':  return tidy(extractHtmlText(decodeText(buffer)));
+    case '.txt':  return tidy(decodeText(buffer));
+    default:      throw new Error(`Unsupported document type: ${ext}`);
+  }
+}
@@ -1,7 +1,49 @@
 import ExcelJS from 'exceljs';
 import { uploadToS3 } from './s3Service.js';
+import { getFieldDefinitions } from '../config/fieldDefinitions.js';
+import { normalizeConfidence } from '../config/confidence.js';
+
+// Columns the platform fills in itself, appended after the configured fields
+const SYSTEM_COLUMNS = [
+  { header: 'Document_Name', key: 'document_name', width: 30 },
+  { header: 'Document_Type', key: 'document_type', width: 22 },
+  { header: 'Case_Documents', key: 'case_documents', width: 45 },
+  { header: 'Processed_At', key: 'processed_at', width: 20 },
+  { header: 'OCR_Confidence', key: 'ocr_confidence', width: 15 },
+  { header: 'Citations', key: 'citations', width: 15 }
+];
+
+const CITATIONS_SHEET = 'Citations';
+
+// One Citations-sheet row per evidence entry, in detail-row order.
+// Returns the rows plus, per result, the sheet row of its first citation (null if none).
+function buildCitationRows(results, fields) {
+  const headers = new Map(fields.map(f => [f.key, f.header]));
+  const rows = [];
+  const firstRows = results.map(result => {
+    const evidence = Array.isArray(result.evidence) ? result.evidence : [];
+    if (!evidence.length) return null;
+    const firstRow = rows.length + 2; // row 1 is the header
+    evidence.forEach(e => rows.push({
+      // Case rows cite several files; each citation names its own
+      document_name: e.document || result.document_name || 'Unknown',
+      field: headers.get(e.field) || e.field,
+      page: e.page ?? '',
+      quote: e.quote
+    }));
+    return firstRow;
+  });
+  return { rows, firstRows };
+}
+
+function defaultCellValue(field) {
+  if (field.extract === false) return '';
+  return field.type === 'number' ? 0 : 'Unknown';
+}
+
+export async function generateAuditReport(jobId, results, failedDocuments, reportInfo = {}) {
+  const fields = reportInfo.fields || getFieldDefinitions();
 
-export async function generateAuditReport(jobId, results, failedDocuments) {
   const workbook = new ExcelJS.Workbook();
   workbook.creator = 'Legal Audit Platform';
   workbook.created = new Date();
@@ -13,31 +55,8 @@ export async function generateAuditReport(jobId, results, failedDocuments) {
 
   // Define columns
   detailSheet.columns = [
-    { header: 'Appl_No / Loan_No', key: 'appl_no', width: 22 },
-    { header: 'Borrower_Name', key: 'borrower_name', width: 30 },
-    { header: 'Property_Address', key: 'property_address', width: 45 },
-    { header: 'Property_Type', key: 'property_type', width: 15 },
-    { header: 'State', key: 'state', width: 15 },
-    { header: 'TSR_Date', key: 'tsr_date', width: 12 },
-    { header: 'Ownership_Title_Chain_Status', key: 'ownership_title_chain_status', width: 30 },
-    { header: 'Encumbrances_Adverse_Entries', key: 'encumbrances_adverse_entries', width: 35 },
-    { header: 'Subsequent_Charges', key: 'subsequent_charges', width: 35 },
-    { header: 'Prior_Charge_Subsisting', key: 'prior_charge_subsisting', width: 30 },
-    { header: 'ROC_Charge_Flag', key: 'roc_charge_flag', width: 25 },
-    { header: 'Litigation_LisPendens', key: 'litigation_lis_pendens', width: 30 },
-    { header: 'Mutation_Status', key: 'mutation_status', width: 15 },
-    { header: 'Revenue_Municipal_Dues', key: 'revenue_municipal_dues', width: 20 },
-    { header: 'Land_Use_Zoning_Status', key: 'land_use_zoning_status', width: 25 },
-    { header: 'Stamping_Registration_Issues', key: 'stamping_registration_issues', width: 25 },
-    { header: 'Mortgage_Perfection_Issues', key: 'mortgage_perfection_issues', width: 25 },
-    { header: 'Advocate_Adverse_Remarks', key: 'advocate_adverse_remarks', width: 30 },
-    { header: 'Risk_Rating', key: 'risk_rating', width: 12 },
-    { header: 'Enforceability_Decision', key: 'enforceability_decision', width: 25 },
-    { header: 'Enforceability_Rationale', key: 'enforceability_rationale', width: 50 },
-    { header: 'Recommended_Actions', key: 'recommended_actions', width: 50 },
-    { header: 'Document_Name', key: 'document_name', width: 30 },
-    { header: 'Confidence_Score', key: 'confidence_score', width: 15 },
-    { header: 'Processed_At', key: 'processed_at', width: 20 }
+    ...fields.map(({ header, key, width }) => ({ header, key, width: width || 20 })),
+    ...SYSTEM_COLUMNS
   ];
 
   // Style header row
@@ -55,33 +74,21 @@ export async function generateAuditReport(jobId, results, failedDocuments) {
     'Manual Review Required': 'FFCCCCCC'
   };
 
+  const citations = buildCitationRows(results, fields);
+
   results.forEach((result, index) => {
+    const citationRow = citations.firstRows[index];
     const row = detailSheet.addRow({
-      appl_no: result.appl_no || 'Unknown',
-      borrower_name: result.borrower_name || 'Unknown',
-      property_address: result.property_address || 'Unknown',
-      property_type: result.property_type || 'Unknown',
-      state: result.state || 'Unknown',
-      tsr_date: result.tsr_date || 'Unknown',
-      ownership_title_chain_status: result.ownership_title_chain_status || 'Unknown',
-      encumbrances_adverse_entries: result.encumbrances_adverse_entries || 'Unknown',
-      subsequent_charges: result.subsequent_charges || 'Unknown',
-      prior_charge_subsisting: result.prior_charge_subsisting || 'Unknown',
-      roc_charge_flag: result.roc_charge_flag || 'Unknown',
-      litigation_lis_pendens: result.litigation_lis_pendens || 'Unknown',
-      mutation_status: result.mutation_status || 'Unknown',
-      revenue_municipal_dues: result.revenue_municipal_dues || 'Unknown',
-      land_use_zoning_status: result.land_use_zoning_status || 'Unknown',
-      stamping_registration_issues: result.stamping_registration_issues || 'Unknown',
-      mortgage_perfection_issues: result.mortgage_perfection_issues || 'Unknown',
-      advocate_adverse_remarks: result.advocate_adverse_remarks || 'Unknown',
-      risk_rating: result.risk_rating || 'Unknown',
-      enforceability_decision: result.enforceability_decision || 'Unknown',
-      enforceability_rationale: result.enforceability_rationale || 'Unknown',
-      recommended_actions: result.recommended_actions || 'Unknown',
+      ...Object.fromEntries(fields.map(f => [f.key, result[f.key] || defaultCellValue(f)])),
+      confidence_score: normalizeConfidence(result.confidence_score) ?? 0,
       document_name: result.document_name || 'Unknown',
-      confidence_score: result.confidence_score || 0,
-      processed_at: result.processed_at || new Date().toISOString()
+      document_type: result.document_type || '',
+      case_documents: result.case_documents || '',
+      processed_at: result.processed_at || new Date().toISOString(),
+      ocr_confidence: result.ocr_confidence ?? '',
+      citations: citationRow
+        ? { text: `${result.evidence.length} citation${result.evidence.length === 1 ? '' : 's'}`, hyperlink: `#'${CITATIONS_SHEET}'!A${citationRow}` }
+        : ''
     });
 
     row.alignment = { vertical: 'top', wrapText: true };
@@ -98,24 +105,27 @@ export async function generateAuditReport(jobId, results, failedDocuments) {
         right: { style: 'thin', color: { argb: 'FFCCCCCC' } }
       };
     });
+    if (citationRow) row.getCell('citations').font = { color: { argb: 'FF0563C1' }, underline: true };
   });
 
-  // Add data validation for Risk Rating
-  detailSheet.dataValidations.add('S2:S9999', {
-    type: 'list',
-    formulae: ['"High,Medium,Low,Manual Review Required"']
-  });
-
-  // Add data validation for Enforceability Decision
-  detailSheet.dataValidations.add('T2:T9999', {
-    type: 'list',
-    formulae: ['"Enforceable,Enforceable with Conditions,Not Enforceable,Manual Review Required"']
+  // Dropdown validation for enum columns. Excel separates list values with commas and caps the
+  // list at 255 characters (longer ones corrupt the workbook), so other columns get no dropdown.
+  fields.forEach((field, index) => {
+    if (field.type !== 'enum' || !field.enumValues?.length) return;
+    const values = [...field.enumValues, 'Manual Review Required'];
+    const list = values.join(',');
+    if (values.some(v => String(v).includes(',')) || list.length > 255) return;
+    const column = detailSheet.getColumn(index + 1).letter;
+    detailSheet.dataValidations.add(`${column}2:${column}9999`, {
+      type: 'list',
+      formulae: [`"${list}"`]
+    });
   });
 
   // Enable auto-filter
   detailSheet.autoFilter = {
     from: { row: 1, column: 1 },
-    to: { row: results.length + 1, column: 25 }
+    to: { row: results.length + 1, column: detailSheet.columns.length }
   };
 
   // Tab 2: Summary
@@ -132,7 +142,7 @@ export async function generateAuditReport(jobId, results, failedDocuments) {
     enforceableWithConditions: results.filter(r => r.enforceability_decision === 'Enforceable with Conditions').length,
     notEnforceable: results.filter(r => r.enforceability_decision === 'Not Enforceable').length,
     avgConfidence: results.length > 0 
-      ? Math.round(results.reduce((sum, r) => sum + (r.confidence_score || 0), 0) / results.length) 
+      ? Math.round(results.reduce((sum, r) => sum + (normalizeConfidence(r.confidence_score) ?? 0), 0) / results.length) 
       : 0
   };
 
@@ -142,9 +152,13 @@ export async function generateAuditReport(jobId, results, failedDocuments) {
     [''],
     ['Report Generated:', new Date().toISOString()],
     ['Job ID:', jobId],
+    ['Prompt Version:', reportInfo.promptVersion || 'Not recorded'],
+    ['Model:', reportInfo.modelId || 'Not recorded'],
+    ['Model Cost (USD):', typeof reportInfo.totalCostUsd === 'number' ? `$${reportInfo.totalCostUsd.toFixed(2)}` : 'Not recorded'],
     [''],
     ['DOCUMENT STATISTICS'],
-    ['Total Documents Processed:', stats.total],
+    ['Total Cases Processed:', stats.total],
+    ['Source Documents:', reportInfo.totalDocuments ?? stats.total],
     ['Failed/Manual Review:', failedDocuments.length],
     ['Average Confidence Score:', `${stats.avgConfidence}%`],
     [''],
@@ -159,9 +173,21 @@ export async function generateAuditReport(jobId, results, failedDocuments) {
     ['Enforceable with Conditions:', stats.enforceableWithConditions],
     ['Not Enforceable:', stats.notEnforceable],
     [''],
-    ['TOP 10 HIGH RISK CASES']
+    ['DOCUMENT TYPES']
   ];
 
+  const typeCounts = {};
+  results.forEach(r => {
+    const label = r.document_type || 'Unclassified';
+    typeCounts[label] = (typeCounts[label] || 0) + 1;
+  });
+  Object.entries(typeCounts)
+    .sort((a, b) => b[1] - a[1])
+    .forEach(([label, count]) => summaryData.push([`${label}:`, count]));
+
+  summaryData.push(['']);
+  summaryData.push(['TOP 10 HIGH RISK CASES']);
+
   // Add top 10 high risk cases
   const highRiskCases = results
     .filter(r => r.risk_rating === 'High')
@@ -205,7 +231,7 @@ export async function generateAuditReport(jobId, results, failedDocuments) {
     const excelRow = summarySheet.addRow(row);
     if (index === 0) {
       excelRow.font = { bold: true, size: 16 };
-    } else if (['DOCUMENT STATISTICS', 'RISK DISTRIBUTION', 'ENFORCEABILITY SUMMARY', 'TOP 10 HIGH RISK CASES', 'RECURRING THEMES', 'MANUAL REVIEW REQUIRED'].includes(row[0])) {
+    } else if (['DOCUMENT STATISTICS', 'RISK DISTRIBUTION', 'ENFORCEABILITY SUMMARY', 'DOCUMENT TYPES', 'TOP 10 HIGH RISK CASES', 'RECURRING THEMES', 'MANUAL REVIEW REQUIRED'].includes(row[0])) {
       excelRow.font = { bold: true, color: { argb: 'FF2F5496' } };
     }
   });
@@ -217,6 +243,27 @@ export async function generateAuditReport(jobId, results, failedDocuments) {
     { width: 60 }
   ];
 
+  // Tab 3: Citations (supporting quotes and pages per field)
+  const citationSheet = workbook.addWorksheet(CITATIONS_SHEET, {
+    views: [{ state: 'frozen', xSplit: 0, ySplit: 1 }]
+  });
+  citationSheet.columns = [
+    { header: 'Document_Name', key: 'document_name', width: 30 },
+    { header: 'Field', key: 'field', width: 30 },
+    { header: 'Page', key: 'page', width: 8 },
+    { header: 'Quote', key: 'quote', width: 80 }
+  ];
+  const citationHeader = citationSheet.getRow(1);
+  citationHeader.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+  citationHeader.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF2F5496' } };
+  citations.rows.forEach(r => {
+    citationSheet.addRow(r).alignment = { vertical: 'top', wrapText: true };
+  });
+  citationSheet.autoFilter = {
+    from: { row: 1, column: 1 },
+    to: { row: citations.rows.length + 1, column: 4 }
+  };
+
   // Generate buffer and upload to S3
   const buffer = await workbook.xlsx.writeBuffer();
   const s3Key = `jobs/${jobId}/output/Legal_Audit_Report.xlsx`;
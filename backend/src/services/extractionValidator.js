@@ -0,0 +1,87 @@
+/**
+ * Extraction Validator
+ * Validates model output against a JSON Schema generated from the field registry,
+ * and builds the follow-up prompt that asks the model to repair an invalid response.
+ */
+
+import Ajv from 'ajv';
+import { isExtracted } from '../config/fieldDefinitions.js';
+
+// Value the model may use for any enum when the document does not allow a decision
+const MANUAL_REVIEW = 'Manual Review Required';
+
+const ajv = new Ajv({ allErrors: true });
+const validatorCache = new Map();
+
+function propertySchema(field) {
+  switch (field.type) {
+    case 'enum':   return { type: 'string', enum: [...field.enumValues, MANUAL_REVIEW] };
+    case 'number': return field.key === 'confidence_score'
+      ? { type: 'number', minimum: 0, maximum: 100 }
+      : { type: 'number' };
+    default:       return { type: 'string' };
+  }
+}
+
+/**
+ * JSON Schema for one extraction. Extra keys are allowed; every extracted field is required.
+ * @param {Array} fields - Field definitions
+ * @returns {Object} JSON Schema
+ */
+export function buildExtractionSchema(fields) {
+  const extracted = fields.filter(isExtracted);
+  return {
+    type: 'object',
+    properties: Object.fromEntries(extracted.map(f => [f.key, propertySchema(f)])),
+    required: extracted.map(f => f.key),
+    additionalProperties: true
+  };
+}
+
+function getValidator(fields) {
+  const cacheKey = JSON.stringify(fields);
+  if (!validatorCache.has(cacheKey)) {
+    validatorCache.set(cacheKey, ajv.compile(buildExtractionSchema(fields)));
+  }
+  return validatorCache.get(cacheKey);
+}
+
+function describeError(err) {
+  const field = err.instancePath.replace(/^\//, '');
+  switch (err.keyword) {
+    case 'required': return `${err.params.missingProperty}: missing`;
+    case 'enum':     return `${field}: must be one of ${err.params.allowedValues.map(v => `"${v}"`).join(', ')}`;
+    default:         return `${field || 'response'}: ${err.message}`;
+  }
+}
+
+/**
+ * @param {Object|null} data - Parsed model output
+ * @param {Array} fields - Field definitions
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+export function validateExtraction(data, fields) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { valid: false, errors: ['response: not a JSON object'] };
+  }
+  const validate = getValidator(fields);
+  if (validate(data)) return { valid: true, errors: [] };
+  return { valid: false, errors: validate.errors.map(describeError) };
+}
+
+/**
+ * Follow-up message asking the model to correct its previous answer. It is sent as the next
+ * turn of the same conversation, so the document and the answer are already in context.
+ * @param {string[]} errors - Validation errors from validateExtraction
+ * @returns {string}
+ */
+export function buildRepairPrompt(errors) {
+  return `Your answer did not pass validation.
+
+Problems:
+${errors.map(e => `- ${e}`).join('\n')}
+
+Check the document again and return the corrected JSON object only, with every field from the template.
+Keep the findings you already made; fix only the listed problems.
+Use "Unknown" for text fields the document does not cover.`;
+}
@@ -0,0 +1,102 @@
+/**
+ * Image Service
+ * Normalises scanned images into formats the model accepts (PNG, JPEG, GIF, WebP).
+ * Multi-page TIFFs are split into pages, HEIC/HEIF phone photos are converted to JPEG,
+ * and oversized scans are downscaled. Pages of a multi-page image are batched into
+ * small PDFs, the same way large scanned PDFs are split into page batches.
+ */
+
+import sharp from 'sharp';
+import heicConvert from 'heic-convert';
+import { PDFDocument } from 'pdf-lib';
+
+export const IMAGE_TYPES = ['.png', '.jpg', '.jpeg', '.gif', '.webp', '.tif', '.tiff', '.heic', '.heif'];
+
+// Limits for a single image sent to the model
+const MAX_IMAGE_BYTES = 3.75 * 1024 * 1024;  // ~5MB once base64 encoded
+const MAX_IMAGE_EDGE  = 2000;                // px; larger scans are downscaled
+const MAX_IMAGE_PAGES = 500;
+const JPEG_QUALITY    = 85;
+
+const PASSTHROUGH_TYPES = {
+  '.png':  'image/png',
+  '.jpg':  'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif':  'image/gif',
+  '.webp': 'image/webp'
+};
+
+async function toJpeg(input, options = {}) {
+  return sharp(input, options)
+    .rotate() // honour EXIF orientation of phone photos
+    .resize({ width: MAX_IMAGE_EDGE, height: MAX_IMAGE_EDGE, fit: 'inside', withoutEnlargement: true })
+    .flatten({ background: '#ffffff' })
+    .jpeg({ quality: JPEG_QUALITY })
+    .toBuffer();
+}
+
+/**
+ * Number of pages prepareImagePages will return, without converting them
+ * @param {Buffer} buffer - File contents
+ * @param {string} ext - Lower-case extension including the dot
+ * @returns {Promise<number>}
+ */
+export async function countImagePages(buffer, ext) {
+  if (ext !== '.tif' && ext !== '.tiff') return 1;
+  const { pages = 1 } = await sharp(buffer).metadata();
+  return Math.min(pages, MAX_IMAGE_PAGES);
+}
+
+/**
+ * Split an image file into model-ready pages
+ * @param {Buffer} buffer - File contents
+ * @param {string} ext - Lower-case extension including the dot, e.g. ".tiff"
+ * @returns {Promise<Array<{ data: Buffer, mediaType: string }>>} One entry per page
+ */
+export async function prepareImagePages(buffer, ext) {
+  if (ext === '.heic' || ext === '.heif') {
+    const jpeg = Buffer.from(await heicConvert({ buffer, format: 'JPEG', quality: 0.9 }));
+    return [{ data: await toJpeg(jpeg), mediaType: 'image/jpeg' }];
+  }
+
+  if (ext === '.tif' || ext === '.tiff') {
+    const count = await countImagePages(buffer, ext);
+    const out = [];
+    for (let page = 0; page < count; page++) {
+      out.push({ data: await toJpeg(buffer, { page }), mediaType: 'image/jpeg' });
+    }
+    return out;
+  }
+
+  const mediaType = PASSTHROUGH_TYPES[ext];
+  if (!mediaType) throw new Error(`Unsupported image type: ${ext}`);
+
+  // Send as-is when the model can take it; otherwise re-encode (first frame only for animations)
+  const { width = 0, height = 0 } = await sharp(buffer).metadata();
+  if (buffer.length <= MAX_IMAGE_BYTES && Math.max(width, height) <= MAX_IMAGE_EDGE) {
+    return [{ data: buffer, mediaType }];
+  }
+  return [{ data: await toJpeg(buffer), mediaType: 'image/jpeg' }];
+}
+
+/**
+ * Combine image pages into PDFs of at most batchSize pages each
+ * @param {Array<{ data: Buffer, mediaType: string }>} pages - From prepareImagePages
+ * @param {number} batchSize - Pages per PDF
+ * @returns {Promise<Buffer[]>}
+ */
+export async function buildImagePdfBatches(pages, batchSize) {
+  const batches = [];
+  for (let i = 0; i < pages.length; i += batchSize) {
+    const pdfDoc = await PDFDocument.create();
+    for (const { data, mediaType } of pages.slice(i, i + batchSize)) {
+      const image = mediaType === 'image/png'
+        ? await pdfDoc.embedPng(data)
+        : await pdfDoc.embedJpg(mediaType === 'image/jpeg' ? data : await toJpeg(data));
+      const page = pdfDoc.addPage([image.width, image.height]);
+      page.drawImage(image, { x: 0, y: 0, width: image.width, height: image.height });
+    }
+    batches.push(Buffer.from(await pdfDoc.save()));
+  }
+  return batches;
+}
@@ -0,0 +1,106 @@
+/**
+ * Job Control Service
+ * Pause and cancel for running jobs. A request is saved to jobs/{jobId}/processing/control.json,
+ * so a worker that starts later still sees it, and sent on the job event bus so the worker
+ * running the job hears it straight away. The worker stops starting new cases, lets the cases
+ * in flight finish, saves state and marks the job paused or cancelled.
+ * While a worker runs a job it keeps a heartbeat in jobs/{jobId}/processing/run.json, so a
+ * request for a job nobody is running takes effect straight away instead of waiting forever.
+ */
+
+import { getJsonFromS3, putJsonToS3 } from './s3Service.js';
+import { sendJobControl, onJobControl } from './queueService.js';
+
+export const CONTROL_ACTIONS = ['pause', 'cancel'];
+
+// Job status while the request is waiting for in-flight cases, and once it has taken effect
+export const CONTROL_STATUS = {
+  pause:  { pending: 'pausing',    done: 'paused' },
+  cancel: { pending: 'cancelling', done: 'cancelled' }
+};
+
+// Fallback for missed bus messages (e.g. no Redis between API and worker)
+const CONTROL_POLL_MS = 10000;
+// A run whose heartbeat is older than this has died (worker crash or restart)
+const RUN_STALE_MS = 6 * CONTROL_POLL_MS;
+
+const controlKey = (jobId) => `jobs/${jobId}/processing/control.json`;
+const runKey     = (jobId) => `jobs/${jobId}/processing/run.json`;
+
+const writeHeartbeat = (jobId, running) => putJsonToS3(runKey(jobId), running
+  ? { heartbeatAt: new Date().toISOString() }
+  : { heartbeatAt: null, stoppedAt: new Date().toISOString() }
+).catch(err => console.warn(`[Control] ${jobId}: heartbeat not saved: ${err.message}`));
+
+/**
+ * Ask the worker to pause or cancel a job
+ * @param {string} jobId
+ * @param {string} action - One of CONTROL_ACTIONS
+ * @param {string} requestedBy - Email of the user
+ */
+export async function requestJobControl(jobId, action, requestedBy) {
+  await putJsonToS3(controlKey(jobId), { action, requestedBy, requestedAt: new Date().toISOString() });
+  sendJobControl(jobId, action);
+}
+
+// Called when a job is resumed, so the old request does not stop it again
+export async function clearJobControl(jobId) {
+  await putJsonToS3(controlKey(jobId), { action: null, clearedAt: new Date().toISOString() });
+}
+
+export async function getJobControl(jobId) {
+  try {
+    const { action } = await getJsonFromS3(controlKey(jobId));
+    return CONTROL_ACTIONS.includes(action) ? action : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Whether a worker is running the job right now
+ * @param {string} jobId
+ * @returns {Promise<boolean>} False when no run has a recent heartbeat
+ */
+export async function isJobRunActive(jobId) {
+  try {
+    const { heartbeatAt } = await getJsonFromS3(runKey(jobId));
+    return !!heartbeatAt && Date.now() - new Date(heartbeatAt).getTime() < RUN_STALE_MS;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Follow control requests for a job while the worker runs it, keeping the run's heartbeat
+ * Cancel wins over pause when both arrive. The heartbeat is saved before the request is read,
+ * so a request that finds no run (see isJobRunActive) has saved its status by the time a new
+ * run reads it.
+ * @param {string} jobId
+ * @returns {Promise<{ action: string|null, stop: Function }>} action is read live; call stop() when done
+ */
+export async function watchJobControl(jobId) {
+  await writeHeartbeat(jobId, true);
+  const watcher = { action: await getJobControl(jobId) };
+  const apply = (action) => {
+    if (!CONTROL_ACTIONS.includes(action) || watcher.action === 'cancel') return;
+    if (watcher.action !== action) console.log(`[Control] ${jobId}: ${action} requested`);
+    watcher.action = action;
+  };
+
+  const unsubscribe = onJobControl((id, action) => { if (id === jobId) apply(action); });
+  const timer = setInterval(() => {
+    writeHeartbeat(jobId, true);
+    getJobControl(jobId).then(apply);
+  }, CONTROL_POLL_MS);
+
+  let stopped = false;
+  watcher.stop = () => {
+    if (stopped) return;
+    stopped = true;
+    unsubscribe();
+    clearInterval(timer);
+    writeHeartbeat(jobId, false);
+  };
+  return watcher;
+}
@@ -0,0 +1,132 @@
+/**
+ * OCR Service
+ * Optional local OCR for scanned (image-only) PDFs. Pages are rendered with MuPDF
+ * and read with Tesseract, so the text can go through the cheaper text-chunk path
+ * instead of sending page images to the model.
+ *
+ * Disabled unless OCR_ENABLED=true. Both libraries are loaded on first use.
+ * At most OCR_CONCURRENCY PDFs are read at once, each by a Tesseract worker from a shared
+ * pool, however many cases are being analysed.
+ */
+
+const OCR_DPI         = Number(process.env.OCR_DPI) || 200;
+const OCR_LANGUAGES   = process.env.OCR_LANGUAGES || 'eng';
+const OCR_MAX_PAGES   = Number(process.env.OCR_MAX_PAGES) || 2000;
+const OCR_CONCURRENCY = Math.max(1, Number(process.env.OCR_CONCURRENCY) || 2);
+const OCR_IDLE_MS     = 60000; // idle workers are terminated after this, freeing their memory
+
+export function isOcrEnabled() {
+  return process.env.OCR_ENABLED === 'true';
+}
+
+/**
+ * Average Tesseract confidence (0–100) a scan needs before its OCR text replaces the page images
+ * @returns {number}
+ */
+export function getOcrMinConfidence() {
+  const raw = process.env.OCR_MIN_CONFIDENCE;
+  const n = raw ? Number(raw) : NaN;
+  return Number.isFinite(n) && n >= 0 && n <= 100 ? n : 60;
+}
+
+async function createOcrWorker() {
+  const { createWorker } = await import('tesseract.js');
+  let rejectLoad;
+  // createWorker never settles if the language data cannot be loaded; the error handler is the only signal
+  const loadFailed = new Promise((_, reject) => { rejectLoad = reject; });
+  const worker = await Promise.race([
+    createWorker(OCR_LANGUAGES, 1, {
+      // Traineddata is fetched from the CDN unless a local directory or mirror is configured
+      langPath:  process.env.OCR_LANG_PATH || undefined,
+      cachePath: process.env.OCR_CACHE_PATH || undefined,
+      // Without a handler Tesseract rethrows worker errors outside the calling promise
+      errorHandler: (err) => rejectLoad(new Error(`OCR worker failed: ${err}`))
+    }),
+    loadFailed
+  ]);
+  return worker;
+}
+
+/* ── WORKER POOL ── */
+const pool = { slots: OCR_CONCURRENCY, waiting: [], idle: [] }; // idle: [{ worker, timer }]
+
+async function acquireSlot() {
+  if (pool.slots > 0) { pool.slots--; return; }
+  await new Promise(resolve => pool.waiting.push(resolve));
+}
+
+function releaseSlot() {
+  const next = pool.waiting.shift();
+  if (next) next(); else pool.slots++;
+}
+
+function parkWorker(worker) {
+  const entry = { worker };
+  entry.timer = setTimeout(() => {
+    pool.idle.splice(pool.idle.indexOf(entry), 1);
+    worker.terminate().catch(() => {});
+  }, OCR_IDLE_MS);
+  entry.timer.unref?.();
+  pool.idle.push(entry);
+}
+
+// Run fn with a pooled worker; a worker that failed is terminated rather than reused
+async function withOcrWorker(fn) {
+  await acquireSlot();
+  let worker = null, healthy = false;
+  try {
+    const entry = pool.idle.pop();
+    if (entry) clearTimeout(entry.timer);
+    worker = entry?.worker || await createOcrWorker();
+    const result = await fn(worker);
+    healthy = true;
+    return result;
+  } finally {
+    if (worker && healthy) parkWorker(worker);
+    else await worker?.terminate().catch(() => {});
+    releaseSlot();
+  }
+}
+
+/**
+ * OCR every page of a PDF
+ * @param {Buffer} pdfBuffer - PDF contents
+ * @returns {Promise<Object>} { text, pages: [{ page, confidence, characters }], averageConfidence, pageCount }
+ *   text marks each page with "[Page N]" so findings can be traced back to a page
+ */
+export async function ocrPdf(pdfBuffer) {
+  const mupdf = await import('mupdf');
+  return withOcrWorker(worker => readPages(mupdf, pdfBuffer, worker));
+}
+
+async function readPages(mupdf, pdfBuffer, worker) {
+  const doc = mupdf.Document.openDocument(pdfBuffer, 'application/pdf');
+  const pageCount = Math.min(doc.countPages(), OCR_MAX_PAGES);
+  const scale = mupdf.Matrix.scale(OCR_DPI / 72, OCR_DPI / 72);
+
+  const pages = [], texts = [];
+  try {
+    for (let i = 0; i < pageCount; i++) {
+      const page = doc.loadPage(i);
+      const pixmap = page.toPixmap(scale, mupdf.ColorSpace.DeviceGray, false, true);
+      const png = Buffer.from(pixmap.asPNG());
+      pixmap.destroy();
+      page.destroy();
+
+      const { data } = await worker.recognize(png);
+      const text = (data.text || '').trim();
+      pages.push({ page: i + 1, confidence: Math.round(data.confidence || 0), characters: text.length });
+      texts.push(`[Page ${i + 1}]\n${text}`);
+    }
+  } finally {
+    doc.destroy();
+  }
+
+  // Pages are weighted by how much text they hold, so blank pages do not drag the average down
+  const totalChars = pages.reduce((sum, p) => sum + p.characters, 0);
+  const averageConfidence = totalChars
+    ? Math.round(pages.reduce((sum, p) => sum + p.confidence * p.characters, 0) / totalChars)
+    : 0;
+
+  return { text: texts.join('\n\n'), pages, averageConfidence, pageCount };
+}
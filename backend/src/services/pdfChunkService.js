@@ -8,6 +8,7 @@
 
 import pdf from 'pdf-parse';
 import { PDFDocument } from 'pdf-lib';
+import { DEFAULT_FIELDS, MERGE_RULES } from '../config/fieldDefinitions.js';
 
 // Configuration for large file handling
 export const PDF_CONFIG = {
@@ -29,10 +30,7 @@ export const PDF_CONFIG = {
   MAX_TOTAL_PAGES: 500, // Increased from 150 to handle large documents
   
   // Text chunk size for text-based PDFs
-  TEXT_CHUNK_SIZE: 40000, // ~40K characters per chunk
-  
-  // Delay between API calls (in ms) to avoid rate limits
-  INTER_BATCH_DELAY: 1000 // 1 second between batches
+  TEXT_CHUNK_SIZE: 40000 // ~40K characters per chunk
 };
 
 /**
@@ -65,10 +63,8 @@ export async function analyzePdf(pdfBuffer) {
     let strategy;
     let reason;
     
-    if (fileSize <= PDF_CONFIG.MAX_DIRECT_PDF_SIZE && !isScannedPdf) {
-      strategy = 'direct-text';
-      reason = 'Small text-based PDF, extracting text directly';
-    } else if (fileSize <= PDF_CONFIG.MAX_DIRECT_PDF_SIZE) {
+    if (fileSize <= PDF_CONFIG.MAX_DIRECT_PDF_SIZE) {
+      // Sent whole so the model also sees stamps, signatures and layout
       strategy = 'direct-pdf';
       reason = 'Small PDF within size limits, sending as PDF document';
     } else if (!isScannedPdf && textLength > PDF_CONFIG.MIN_TEXT_LENGTH) {
@@ -106,6 +102,7 @@ export async function analyzePdf(pdfBuffer) {
     try {
       const pdfDoc = await PDFDocument.load(pdfBuffer, { ignoreEncryption: true });
       const pageCount = pdfDoc.getPageCount();
+      const direct = fileSize <= PDF_CONFIG.MAX_DIRECT_PDF_SIZE;
       
       return {
         fileSize,
@@ -115,9 +112,11 @@ export async function analyzePdf(pdfBuffer) {
         textLength: 0,
         avgTextPerPage: 0,
         isScannedPdf: true,
-        strategy: 'page-split',
-        reason: `PDF analysis partial (${error.message}), will split ${pageCount} pages`,
-        estimatedChunks: Math.ceil(Math.min(pageCount, PDF_CONFIG.MAX_TOTAL_PAGES) / PDF_CONFIG.MAX_PAGES_PER_BATCH),
+        strategy: direct ? 'direct-pdf' : 'page-split',
+        reason: direct
+          ? `PDF analysis partial (${error.message}), sending as PDF document`
+          : `PDF analysis partial (${error.message}), will split ${pageCount} pages`,
+        estimatedChunks: direct ? 1 : Math.ceil(Math.min(pageCount, PDF_CONFIG.MAX_TOTAL_PAGES) / PDF_CONFIG.MAX_PAGES_PER_BATCH),
         warning: error.message
       };
     } catch (pdfLibError) {
@@ -139,67 +138,115 @@ export async function analyzePdf(pdfBuffer) {
   }
 }
 
+// Same text layout as pdf-parse's default renderer, with a [Page N] marker before each page
+function renderPageWithMarker(pageData) {
+  return pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false })
+    .then(textContent => {
+      let lastY, text = '';
+      for (const item of textContent.items) {
+        text += (lastY == item.transform[5] || !lastY) ? item.str : '\n' + item.str;
+        lastY = item.transform[5];
+      }
+      return `[Page ${pageData.pageIndex + 1}]\n${text}`;
+    });
+}
+
 /**
- * Extract text from PDF and split into chunks
- * @param {Buffer} pdfBuffer - The PDF file buffer
+ * Split text into chunks on paragraph boundaries
+ * @param {string} text - Full document text
  * @param {number} chunkSize - Target characters per chunk
  * @returns {Array} Array of text chunks with metadata
  */
-export async function extractTextChunks(pdfBuffer, chunkSize = PDF_CONFIG.TEXT_CHUNK_SIZE) {
-  console.log(`[PdfChunk] Extracting text chunks (max ${chunkSize} chars each)...`);
-  
-  const pdfData = await pdf(pdfBuffer);
-  const fullText = pdfData.text;
-  const pageCount = pdfData.numpages;
-  
-  if (!fullText || fullText.trim().length === 0) {
-    console.log('[PdfChunk] No text found in PDF');
-    return [];
-  }
-  
+export function splitTextIntoChunks(text, chunkSize = PDF_CONFIG.TEXT_CHUNK_SIZE) {
   const chunks = [];
   let currentChunk = '';
-  let chunkIndex = 0;
+  
+  const pushChunk = () => {
+    chunks.push({
+      index: chunks.length,
+      type: 'text',
+      content: currentChunk.trim(),
+      charCount: currentChunk.length
+    });
+  };
   
   // Split by paragraphs to maintain context
-  const paragraphs = fullText.split(/\n\s*\n/);
+  const paragraphs = text.split(/\n\s*\n/);
   
   for (const paragraph of paragraphs) {
     if (currentChunk.length + paragraph.length > chunkSize && currentChunk.length > 0) {
-      chunks.push({
-        index: chunkIndex,
-        type: 'text',
-        content: currentChunk.trim(),
-        charCount: currentChunk.length
-      });
+      pushChunk();
       currentChunk = paragraph;
-      chunkIndex++;
     } else {
       currentChunk += (currentChunk ? '\n\n' : '') + paragraph;
     }
   }
   
   // Don't forget the last chunk
-  if (currentChunk.trim().length > 0) {
-    chunks.push({
-      index: chunkIndex,
-      type: 'text',
-      content: currentChunk.trim(),
-      charCount: currentChunk.length
-    });
+  if (currentChunk.trim().length > 0) pushChunk();
+  
+  return chunks;
+}
+
+/**
+ * Extract text from PDF and split into chunks.
+ * Each page starts with a "[Page N]" marker so findings can cite page numbers.
+ * @param {Buffer} pdfBuffer - The PDF file buffer
+ * @param {number} chunkSize - Target characters per chunk
+ * @returns {Array} Array of text chunks with metadata
+ */
+export async function extractTextChunks(pdfBuffer, chunkSize = PDF_CONFIG.TEXT_CHUNK_SIZE) {
+  console.log(`[PdfChunk] Extracting text chunks (max ${chunkSize} chars each)...`);
+  
+  const pdfData = await pdf(pdfBuffer, { pagerender: renderPageWithMarker });
+  const fullText = pdfData.text;
+  
+  if (!fullText || fullText.replace(/\[Page \d+\]/g, '').trim().length === 0) {
+    console.log('[PdfChunk] No text found in PDF');
+    return [];
   }
   
+  const chunks = splitTextIntoChunks(fullText, chunkSize);
   console.log(`[PdfChunk] Created ${chunks.length} text chunks`);
   return chunks;
 }
 
+async function buildBatch(pdfDoc, pageIndexes, totalPages) {
+  const batchDoc = await PDFDocument.create();
+  const copiedPages = await batchDoc.copyPages(pdfDoc, pageIndexes);
+  copiedPages.forEach(page => batchDoc.addPage(page));
+  const buffer = Buffer.from(await batchDoc.save());
+  return {
+    startPage: pageIndexes[0] + 1,
+    endPage: pageIndexes[pageIndexes.length - 1] + 1,
+    totalPages,
+    pageCount: pageIndexes.length,
+    buffer,
+    size: buffer.length
+  };
+}
+
+// One batch per page, skipping pages that cannot be copied
+async function* singlePageBatches(pdfDoc, pageIndexes, totalPages) {
+  for (const pi of pageIndexes) {
+    try {
+      const batch = await buildBatch(pdfDoc, [pi], totalPages);
+      console.log(`[PdfChunk] Created single-page batch: page ${pi + 1} (${(batch.size / 1024 / 1024).toFixed(2)}MB)`);
+      yield batch;
+    } catch (pageError) {
+      console.error(`[PdfChunk] Failed to extract page ${pi + 1}:`, pageError.message);
+    }
+  }
+}
+
 /**
- * Split PDF into page batches with size control
+ * Split PDF into page batches with size control.
+ * Batches are built one at a time as they are consumed, so only one is held in memory.
  * @param {Buffer} pdfBuffer - The PDF file buffer
  * @param {number} pagesPerBatch - Target pages per batch (may be reduced for large pages)
- * @returns {Array} Array of batch objects with PDF buffers
+ * @yields {Object} { batchIndex, startPage, endPage, totalPages, pageCount, buffer, size }
  */
-export async function splitPdfIntoBatches(pdfBuffer, pagesPerBatch = PDF_CONFIG.MAX_PAGES_PER_BATCH) {
+export async function* splitPdfIntoBatches(pdfBuffer, pagesPerBatch = PDF_CONFIG.MAX_PAGES_PER_BATCH) {
   console.log(`[PdfChunk] Splitting PDF into batches (target: ${pagesPerBatch} pages per batch)...`);
   
   const pdfDoc = await PDFDocument.load(pdfBuffer, { ignoreEncryption: true });
@@ -210,124 +257,42 @@ export async function splitPdfIntoBatches(pdfBuffer, pagesPerBatch = PDF_CONFIG.
     console.warn(`[PdfChunk] PDF has ${totalPages} pages, limiting to ${PDF_CONFIG.MAX_TOTAL_PAGES}`);
   }
   
-  const batches = [];
-  let currentBatchPages = [];
-  let currentBatchStartPage = 0;
-  
-  for (let pageIndex = 0; pageIndex < maxPages; pageIndex++) {
-    currentBatchPages.push(pageIndex);
+  let batchIndex = 0;
+  for (let start = 0; start < maxPages; start += pagesPerBatch) {
+    const pageIndexes = [];
+    for (let pi = start; pi < Math.min(start + pagesPerBatch, maxPages); pi++) pageIndexes.push(pi);
     
-    // Check if we should finalize this batch
-    const shouldFinalize = 
-      currentBatchPages.length >= pagesPerBatch || // Hit page limit
-      pageIndex === maxPages - 1; // Last page
+    let batch = null;
+    try {
+      batch = await buildBatch(pdfDoc, pageIndexes, totalPages);
+    } catch (error) {
+      console.error(`[PdfChunk] Error creating batch for pages ${start + 1}-${start + pageIndexes.length}:`, error.message);
+    }
     
-    if (shouldFinalize && currentBatchPages.length > 0) {
-      try {
-        // Create a new PDF with these pages
-        const batchDoc = await PDFDocument.create();
-        const copiedPages = await batchDoc.copyPages(pdfDoc, currentBatchPages);
-        copiedPages.forEach(page => batchDoc.addPage(page));
-        
-        const batchBuffer = Buffer.from(await batchDoc.save());
-        const batchSizeMB = batchBuffer.length / 1024 / 1024;
-        
-        // Check if batch is too large
-        if (batchBuffer.length > PDF_CONFIG.MAX_BATCH_SIZE && currentBatchPages.length > 1) {
-          // Batch too large, split into individual pages
-          console.log(`[PdfChunk] Batch too large (${batchSizeMB.toFixed(2)}MB), splitting into individual pages...`);
-          
-          for (const pi of currentBatchPages) {
-            try {
-              const singleDoc = await PDFDocument.create();
-              const [copiedPage] = await singleDoc.copyPages(pdfDoc, [pi]);
-              singleDoc.addPage(copiedPage);
-              
-              const singleBuffer = Buffer.from(await singleDoc.save());
-              
-              batches.push({
-                batchIndex: batches.length,
-                startPage: pi + 1,
-                endPage: pi + 1,
-                totalPages: totalPages,
-                pageCount: 1,
-                buffer: singleBuffer,
-                size: singleBuffer.length,
-                base64: singleBuffer.toString('base64')
-              });
-              
-              console.log(`[PdfChunk] Created single-page batch: page ${pi + 1} (${(singleBuffer.length / 1024 / 1024).toFixed(2)}MB)`);
-            } catch (pageError) {
-              console.error(`[PdfChunk] Failed to extract page ${pi + 1}:`, pageError.message);
-            }
-          }
-        } else {
-          // Batch size is OK
-          batches.push({
-            batchIndex: batches.length,
-            startPage: currentBatchStartPage + 1,
-            endPage: pageIndex + 1,
-            totalPages: totalPages,
-            pageCount: currentBatchPages.length,
-            buffer: batchBuffer,
-            size: batchBuffer.length,
-            base64: batchBuffer.toString('base64')
-          });
-          
-          console.log(`[PdfChunk] Created batch ${batches.length}: pages ${currentBatchStartPage + 1}-${pageIndex + 1} (${batchSizeMB.toFixed(2)}MB, ${currentBatchPages.length} pages)`);
-        }
-        
-        // Reset for next batch
-        currentBatchPages = [];
-        currentBatchStartPage = pageIndex + 1;
-        
-      } catch (error) {
-        console.error(`[PdfChunk] Error creating batch for pages ${currentBatchStartPage + 1}-${pageIndex + 1}:`, error.message);
-        
-        // Try individual pages if batch fails
-        for (const pi of currentBatchPages) {
-          try {
-            const singleDoc = await PDFDocument.create();
-            const [copiedPage] = await singleDoc.copyPages(pdfDoc, [pi]);
-            singleDoc.addPage(copiedPage);
-            
-            const singleBuffer = Buffer.from(await singleDoc.save());
-            
-            batches.push({
-              batchIndex: batches.length,
-              startPage: pi + 1,
-              endPage: pi + 1,
-              totalPages: totalPages,
-              pageCount: 1,
-              buffer: singleBuffer,
-              size: singleBuffer.length,
-              base64: singleBuffer.toString('base64')
-            });
-            
-            console.log(`[PdfChunk] Created single-page fallback batch: page ${pi + 1}`);
-          } catch (pageError) {
-            console.error(`[PdfChunk] Failed to extract page ${pi + 1}:`, pageError.message);
-          }
-        }
-        
-        // Reset for next batch
-        currentBatchPages = [];
-        currentBatchStartPage = pageIndex + 1;
-      }
+    if (batch && (batch.size <= PDF_CONFIG.MAX_BATCH_SIZE || pageIndexes.length === 1)) {
+      console.log(`[PdfChunk] Created batch ${batchIndex + 1}: pages ${batch.startPage}-${batch.endPage} (${(batch.size / 1024 / 1024).toFixed(2)}MB, ${batch.pageCount} pages)`);
+      yield { batchIndex: batchIndex++, ...batch };
+      continue;
+    }
+    
+    // Batch too large or failed to build: fall back to individual pages
+    if (batch) console.log(`[PdfChunk] Batch too large (${(batch.size / 1024 / 1024).toFixed(2)}MB), splitting into individual pages...`);
+    for await (const single of singlePageBatches(pdfDoc, pageIndexes, totalPages)) {
+      yield { batchIndex: batchIndex++, ...single };
     }
   }
   
-  console.log(`[PdfChunk] Created ${batches.length} batches total for ${maxPages} pages`);
-  return batches;
+  console.log(`[PdfChunk] Created ${batchIndex} batches total for ${maxPages} pages`);
 }
 
 /**
  * Merge extraction results from multiple chunks/pages
  * @param {Array} results - Array of extraction results from Claude
  * @param {Object} documentInfo - Original document info
+ * @param {Array} fields - Field definitions; each field's mergeRule decides how chunk values combine
  * @returns {Object} Merged and consolidated result
  */
-export function mergeExtractionResults(results, documentInfo = {}) {
+export function mergeExtractionResults(results, documentInfo = {}, fields = DEFAULT_FIELDS) {
   if (!results || results.length === 0) {
     return null;
   }
@@ -348,100 +313,67 @@ export function mergeExtractionResults(results, documentInfo = {}) {
   
   // Start with first result as base
   const merged = { ...validResults[0] };
-  
-  // Fields that should be concatenated (with deduplication)
-  const concatenateFields = [
-    'property_address',
-    'enforceability_rationale',
-    'recommended_actions',
-    'advocate_adverse_remarks'
-  ];
-  
-  // Risk priority (lower index = higher priority/worse)
-  const riskPriority = ['High', 'Medium', 'Low', 'Manual Review Required', 'Unknown'];
-  const enforceabilityPriority = ['Not Enforceable', 'Enforceable with Conditions', 'Enforceable', 'Manual Review Required', 'Unknown'];
-  
-  // Fields where YES overrides NO
-  const yesOverridesFields = [
-    'encumbrances_adverse_entries',
-    'subsequent_charges',
-    'prior_charge_subsisting',
-    'litigation_lis_pendens',
-    'stamping_registration_issues',
-    'mortgage_perfection_issues'
-  ];
-  
-  // Fields where we take first non-Unknown value
-  const firstValidFields = [
-    'appl_no',
-    'borrower_name',
-    'property_type',
-    'state',
-    'tsr_date',
-    'roc_charge_flag',
-    'mutation_status',
-    'revenue_municipal_dues',
-    'land_use_zoning_status',
-    'ownership_title_chain_status'
-  ];
+  const isBlank = (v) => !v || v === 'Unknown' || v === 'Not in this section';
   
   // Process remaining results
   for (let i = 1; i < validResults.length; i++) {
     const result = validResults[i];
     
-    // Concatenate fields
-    for (const field of concatenateFields) {
-      if (result[field] && result[field] !== 'Unknown' && result[field] !== 'Not in this section') {
-        if (merged[field] && merged[field] !== 'Unknown' && merged[field] !== 'Not in this section') {
-          // Avoid duplicates
-          if (!merged[field].includes(result[field])) {
-            merged[field] = `${merged[field]}; ${result[field]}`;
+    for (const field of fields) {
+      const { key } = field;
+      const value = result[key];
+      
+      switch (field.mergeRule) {
+        case MERGE_RULES.CONCAT:
+          // Concatenate (with deduplication)
+          if (!isBlank(value)) {
+            if (!isBlank(merged[key])) {
+              if (!String(merged[key]).includes(value)) merged[key] = `${merged[key]}; ${value}`;
+            } else {
+              merged[key] = value;
+            }
           }
-        } else {
-          merged[field] = result[field];
+          break;
+        
+        case MERGE_RULES.WORST: {
+          // Earlier in enumValues = more severe; anything else ranks below all of them
+          const priority = [...(field.enumValues || []), 'Manual Review Required', 'Unknown'];
+          const currentIndex = priority.indexOf(merged[key]);
+          const newIndex = priority.indexOf(value);
+          if (newIndex !== -1 && (currentIndex === -1 || newIndex < currentIndex)) {
+            merged[key] = value;
+          }
+          break;
         }
-      }
-    }
-    
-    // Take worst risk rating
-    const currentRiskIndex = riskPriority.indexOf(merged.risk_rating);
-    const newRiskIndex = riskPriority.indexOf(result.risk_rating);
-    if (newRiskIndex !== -1 && (currentRiskIndex === -1 || newRiskIndex < currentRiskIndex)) {
-      merged.risk_rating = result.risk_rating;
-    }
-    
-    // Take worst enforceability
-    const currentEnfIndex = enforceabilityPriority.indexOf(merged.enforceability_decision);
-    const newEnfIndex = enforceabilityPriority.indexOf(result.enforceability_decision);
-    if (newEnfIndex !== -1 && (currentEnfIndex === -1 || newEnfIndex < currentEnfIndex)) {
-      merged.enforceability_decision = result.enforceability_decision;
-    }
-    
-    // Yes overrides No
-    for (const field of yesOverridesFields) {
-      if (result[field] && result[field].toLowerCase().startsWith('yes')) {
-        merged[field] = result[field];
-      }
-    }
-    
-    // First valid value
-    for (const field of firstValidFields) {
-      if ((!merged[field] || merged[field] === 'Unknown' || merged[field] === 'Not in this section') && 
-          result[field] && result[field] !== 'Unknown' && result[field] !== 'Not in this section') {
-        merged[field] = result[field];
+        
+        case MERGE_RULES.YES_OVERRIDES:
+          if (typeof value === 'string' && value.toLowerCase().startsWith('yes')) {
+            merged[key] = value;
+          }
+          break;
+        
+        case MERGE_RULES.AVERAGE:
+          // Averaged once all chunks are seen
+          break;
+        
+        default:
+          // First valid value
+          if (isBlank(merged[key]) && !isBlank(value)) {
+            merged[key] = value;
+          }
       }
     }
   }
   
-  // Calculate average confidence
-  const confidenceScores = validResults
-    .map(r => r.confidence_score)
-    .filter(c => typeof c === 'number' && !isNaN(c));
-  
-  if (confidenceScores.length > 0) {
-    merged.confidence_score = Math.round(
-      confidenceScores.reduce((sum, c) => sum + c, 0) / confidenceScores.length
-    );
+  // Average numeric fields
+  for (const field of fields.filter(f => f.mergeRule === MERGE_RULES.AVERAGE)) {
+    const values = validResults
+      .map(r => r[field.key])
+      .filter(v => typeof v === 'number' && !isNaN(v));
+    
+    if (values.length > 0) {
+      merged[field.key] = Math.round(values.reduce((sum, v) => sum + v, 0) / values.length);
+    }
   }
   
   // Add metadata
@@ -465,7 +397,6 @@ export function getProcessingEstimates(analysis) {
   let estimatedApiCalls;
   
   switch (strategy) {
-    case 'direct-text':
     case 'direct-pdf':
       estimatedApiCalls = 1;
       estimatedTimeMinutes = 0.5;
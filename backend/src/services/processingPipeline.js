@@ -0,0 +1,360 @@
+/**
+ * Processing Pipeline
+ * The one path from document bytes to a validated, merged extraction, used by the
+ * worker for every document and by the upload routes to report the plan up front.
+ *
+ * Each document is handled by the first registered strategy whose appliesTo() accepts it.
+ * A strategy is a plugin object:
+ *   {
+ *     name:        'page-split',
+ *     description: 'Human readable reason shown to users',
+ *     appliesTo:   async (doc) => boolean,
+ *     chunks:      async function* (doc, context) { yield { content, mediaType, label, pageOffset } }
+ *   }
+ * pageOffset is added to the page numbers the model cites (e.g. 5 for a batch starting at page 6);
+ * null when the content has no page numbers.
+ * doc is { type, size, buffer, getPdfAnalysis() }; context collects per-document extras (e.g. OCR stats).
+ * Chunks are sent to the model one by one, validated, and merged with the field merge rules.
+ */
+
+import { invokeModel, parseJsonResponse } from './bedrockService.js';
+import {
+  analyzePdf, extractTextChunks, splitTextIntoChunks, splitPdfIntoBatches,
+  mergeExtractionResults, PDF_CONFIG
+} from './pdfChunkService.js';
+import { extractDocumentText, TEXT_DOCUMENT_TYPES } from './documentTextService.js';
+import { prepareImagePages, buildImagePdfBatches, countImagePages, IMAGE_TYPES } from './imageService.js';
+import { isOcrEnabled, getOcrMinConfidence, ocrPdf } from './ocrService.js';
+import { validateExtraction, buildRepairPrompt } from './extractionValidator.js';
+import { buildReducePrompt } from './promptBuilder.js';
+import { normalizeConfidence } from '../config/confidence.js';
+
+export const SUPPORTED_DOCUMENT_TYPES = ['.pdf', ...IMAGE_TYPES, ...TEXT_DOCUMENT_TYPES];
+
+const strategies = [];
+
+/**
+ * Add a processing strategy
+ * @param {Object} strategy - See the module header for the shape
+ * @param {Object} options
+ * @param {string} options.before - Name of an existing strategy to take precedence over
+ */
+export function registerStrategy(strategy, { before } = {}) {
+  const index = before ? strategies.findIndex(s => s.name === before) : -1;
+  if (index === -1) strategies.push(strategy);
+  else strategies.splice(index, 0, strategy);
+}
+
+/* ── BUILT-IN STRATEGIES ── */
+// pagesMarked: the text carries [Page N] markers, so cited pages are already absolute
+async function* textChunks(text, pagesMarked) {
+  for (const chunk of splitTextIntoChunks(text)) {
+    yield { content: chunk.content, mediaType: 'text', label: `text chunk ${chunk.index + 1}`, pageOffset: pagesMarked ? 0 : null };
+  }
+}
+
+async function* pageBatches(doc) {
+  for await (const batch of splitPdfIntoBatches(doc.buffer)) {
+    yield {
+      content: batch.buffer.toString('base64'), mediaType: 'pdf',
+      label: `pages ${batch.startPage}-${batch.endPage}`, pageOffset: batch.startPage - 1
+    };
+  }
+}
+
+const isPdf = (doc) => doc.type === '.pdf';
+
+registerStrategy({
+  name: 'direct-pdf',
+  description: 'Small PDF within size limits, sending as PDF document',
+  appliesTo: async (doc) => isPdf(doc) && doc.size <= PDF_CONFIG.MAX_DIRECT_PDF_SIZE,
+  async *chunks(doc) {
+    yield { content: doc.buffer.toString('base64'), mediaType: 'pdf', label: 'document', pageOffset: 0 };
+  }
+});
+
+registerStrategy({
+  name: 'text-chunk',
+  description: 'Large text PDF, extracting and chunking text',
+  appliesTo: async (doc) => isPdf(doc) && (await doc.getPdfAnalysis()).strategy === 'text-chunk',
+  async *chunks(doc) {
+    for (const chunk of await extractTextChunks(doc.buffer)) {
+      yield { content: chunk.content, mediaType: 'text', label: `text chunk ${chunk.index + 1}`, pageOffset: 0 };
+    }
+  }
+});
+
+registerStrategy({
+  name: 'ocr-text',
+  description: 'Large scanned PDF, reading pages with local OCR (page batches if OCR is unreliable)',
+  appliesTo: async (doc) => isPdf(doc) && isOcrEnabled() && (await doc.getPdfAnalysis()).strategy === 'page-split',
+  async *chunks(doc, context) {
+    let ocr = null;
+    try {
+      const started = Date.now();
+      ocr = await ocrPdf(doc.buffer);
+      const minConfidence = getOcrMinConfidence();
+      const usable = ocr.text.length > PDF_CONFIG.MIN_TEXT_LENGTH && ocr.averageConfidence >= minConfidence;
+      console.log(`[OCR] ${ocr.pageCount} pages, confidence ${ocr.averageConfidence} (min ${minConfidence}), ` +
+        `${((Date.now() - started) / 1000).toFixed(1)}s${usable ? '' : ' - falling back to page images'}`);
+      if (!usable) ocr = null;
+    } catch (err) {
+      console.error('[OCR] Failed, falling back to page images:', err.message);
+    }
+
+    if (!ocr) {
+      context.strategy = 'page-split';
+      yield* pageBatches(doc);
+      return;
+    }
+    context.ocr = { engine: 'tesseract', averageConfidence: ocr.averageConfidence, pages: ocr.pages };
+    yield* textChunks(ocr.text, true);
+  }
+});
+
+registerStrategy({
+  name: 'page-split',
+  description: 'Large scanned PDF, splitting into page batches',
+  appliesTo: async (doc) => isPdf(doc),
+  chunks: pageBatches
+});
+
+registerStrategy({
+  name: 'image',
+  description: 'Image, converted to a supported format; multi-page scans in page batches',
+  appliesTo: async (doc) => IMAGE_TYPES.includes(doc.type),
+  async *chunks(doc) {
+    const pages = await prepareImagePages(doc.buffer, doc.type);
+    if (pages.length === 1) {
+      yield { content: pages[0].data.toString('base64'), mediaType: pages[0].mediaType, label: 'image', pageOffset: 0 };
+      return;
+    }
+    const batches = await buildImagePdfBatches(pages, PDF_CONFIG.MAX_PAGES_PER_BATCH);
+    for (const [i, batch] of batches.entries()) {
+      yield {
+        content: batch.toString('base64'), mediaType: 'pdf',
+        label: `image batch ${i + 1}/${batches.length}`, pageOffset: i * PDF_CONFIG.MAX_PAGES_PER_BATCH
+      };
+    }
+  }
+});
+
+registerStrategy({
+  name: 'document-text',
+  description: 'Word or text document, extracting text',
+  appliesTo: async (doc) => TEXT_DOCUMENT_TYPES.includes(doc.type),
+  async *chunks(doc) {
+    const text = await extractDocumentText(doc.buffer, doc.type);
+    if (!text) throw new Error('No readable text in document');
+    yield* textChunks(text, false);
+  }
+});
+
+/* ── PLANNING ── */
+function createDocument(buffer, type) {
+  let pdfAnalysis = null;
+  return {
+    type,
+    size: buffer.length,
+    buffer,
+    // pdf-parse is only run when a strategy needs it (small PDFs never do)
+    getPdfAnalysis: async () => (pdfAnalysis ??= await analyzePdf(buffer))
+  };
+}
+
+async function selectStrategy(doc) {
+  for (const strategy of strategies) {
+    if (await strategy.appliesTo(doc)) return strategy;
+  }
+  throw new Error(`Unsupported document type: ${doc.type}`);
+}
+
+/**
+ * Decide how a document will be processed, without calling the model
+ * @param {Buffer} buffer - Document contents
+ * @param {string} type - Lower-case extension including the dot
+ * @returns {Promise<Object>} PDF analysis fields (for PDFs), page counts (for images) plus { strategy, reason }
+ */
+export async function planDocument(buffer, type) {
+  const doc = createDocument(buffer, type);
+  let analysis = { fileSize: buffer.length };
+  if (isPdf(doc)) {
+    analysis = await doc.getPdfAnalysis();
+  } else if (IMAGE_TYPES.includes(type)) {
+    // Multi-page scans go out in page batches, one call each (see the image strategy)
+    const pageCount = await countImagePages(buffer, type);
+    analysis.pageCount = pageCount;
+    analysis.estimatedChunks = pageCount > 1 ? Math.ceil(pageCount / PDF_CONFIG.MAX_PAGES_PER_BATCH) : 1;
+  }
+  const strategy = await selectStrategy(doc);
+  return {
+    ...analysis,
+    strategy: strategy.name,
+    reason: analysis.strategy === strategy.name ? analysis.reason : strategy.description
+  };
+}
+
+/* ── EXTRACT + VALIDATE ONE CHUNK ── */
+function parseExtraction(text) {
+  const data = parseJsonResponse(text);
+  if (data && 'confidence_score' in data) {
+    const score = normalizeConfidence(data.confidence_score);
+    if (score !== null) data.confidence_score = score; // non-numeric values are left for the validator to report
+  }
+  return data;
+}
+
+// Invalid output gets one re-ask listing the schema errors, as a follow-up turn after the chunk and
+// the first answer so the model can look up what is missing, before the chunk is dropped
+async function extractChunk(content, mediaType, { systemPrompt, modelId, fields }) {
+  const first = await invokeModel(content, mediaType, systemPrompt, { modelId });
+  let inputTokens = first.inputTokens, outputTokens = first.outputTokens;
+  let data  = parseExtraction(first.text);
+  let check = validateExtraction(data, fields);
+
+  if (!check.valid) {
+    console.warn(`[Pipeline] Invalid extraction (${check.errors.length} errors), asking for repair`);
+    const repair = await invokeModel(content, mediaType, systemPrompt, {
+      modelId, followUp: { answer: first.text, message: buildRepairPrompt(check.errors) }
+    });
+    inputTokens += repair.inputTokens; outputTokens += repair.outputTokens;
+    data  = parseExtraction(repair.text);
+    check = validateExtraction(data, fields);
+  }
+
+  return { data: check.valid ? data : null, errors: check.errors, inputTokens, outputTokens };
+}
+
+/* ── EVIDENCE ── */
+const MAX_QUOTE_LENGTH = 300;
+
+/**
+ * Keep well-formed citations for known fields and turn cited pages into document page numbers
+ * @param {*} raw - evidence as returned by the model
+ * @param {Array} fields - Field definitions
+ * @param {number|null} pageOffset - From the chunk; null when pages are not known
+ * @returns {Array<{ field: string, quote: string, page: number|null }>}
+ */
+function normalizeEvidence(raw, fields, pageOffset) {
+  if (!Array.isArray(raw)) return [];
+  const keys = new Set(fields.map(f => f.key));
+  return raw
+    .filter(e => e && keys.has(e.field) && typeof e.quote === 'string' && e.quote.trim())
+    .map(e => {
+      const page = Number.parseInt(e.page, 10);
+      return {
+        field: e.field,
+        quote: e.quote.trim().slice(0, MAX_QUOTE_LENGTH),
+        page:  pageOffset !== null && pageOffset !== undefined && page > 0 ? page + pageOffset : null
+      };
+    });
+}
+
+// All chunks' citations, de-duplicated, in field order then page order
+function collectEvidence(findings, fields) {
+  const order = new Map(fields.map((f, i) => [f.key, i]));
+  const seen = new Set();
+  return findings
+    .flatMap(f => f.data.evidence || [])
+    .filter(e => {
+      const key = `${e.document ?? ''}|${e.field}|${e.quote}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .sort((a, b) => (order.get(a.field) - order.get(b.field)) || ((a.page ?? Infinity) - (b.page ?? Infinity)));
+}
+
+/* ── REDUCE CHUNK FINDINGS ── */
+// Larger reduce prompts are not worth the cost; the heuristic merge handles them
+const REDUCE_MAX_CHARS = Number(process.env.REDUCE_MAX_CHARS) || 150000;
+
+export function isReduceEnabled() {
+  return process.env.REDUCE_PASS === 'true';
+}
+
+// One model call over all chunk findings; data is null when the heuristic merge should be used instead
+async function reduceFindings(findings, { systemPrompt, modelId, fields }, source) {
+  // Citations are kept from the chunks, so they are not sent back
+  const prompt = buildReducePrompt(findings.map(({ label, data: { evidence, ...data } }) => ({ label, data })), source);
+  if (prompt.length > REDUCE_MAX_CHARS) {
+    console.warn(`[Pipeline] Reduce skipped: ${prompt.length} chars of findings (max ${REDUCE_MAX_CHARS})`);
+    return { data: null, inputTokens: 0, outputTokens: 0 };
+  }
+
+  try {
+    const { text, inputTokens, outputTokens } = await invokeModel(prompt, 'text', systemPrompt, { modelId });
+    const data  = parseExtraction(text);
+    const check = validateExtraction(data, fields);
+    if (!check.valid) console.warn(`[Pipeline] Reduce output invalid (${check.errors.slice(0, 3).join('; ')}), using heuristic merge`);
+    return { data: check.valid ? data : null, inputTokens, outputTokens };
+  } catch (err) {
+    console.error('[Pipeline] Reduce failed, using heuristic merge:', err.message);
+    return { data: null, inputTokens: 0, outputTokens: 0 };
+  }
+}
+
+/**
+ * Combine several valid extractions into one: the reduce pass when enabled, otherwise the field merge rules
+ * @param {Array<{ label: string, data: Object }>} findings - At least two, in order
+ * @param {Object} analysisConfig - { systemPrompt, modelId, fields }
+ * @param {string} source - 'sections' (chunks of one document) or 'documents' (files of one case)
+ * @returns {Promise<Object>} { data, mergeMethod: 'model'|'heuristic', inputTokens, outputTokens }
+ */
+export async function combineFindings(findings, analysisConfig, source = 'sections') {
+  let inputTokens = 0, outputTokens = 0;
+  if (isReduceEnabled()) {
+    const reduced = await reduceFindings(findings, analysisConfig, source);
+    inputTokens += reduced.inputTokens; outputTokens += reduced.outputTokens;
+    if (reduced.data) {
+      const data = {
+        ...reduced.data, evidence: collectEvidence(findings, analysisConfig.fields),
+        _chunked: true, _chunks_processed: findings.length
+      };
+      return { data, mergeMethod: 'model', inputTokens, outputTokens };
+    }
+  }
+
+  const data = mergeExtractionResults(findings.map(f => f.data), {}, analysisConfig.fields);
+  data.evidence = collectEvidence(findings, analysisConfig.fields);
+  return { data, mergeMethod: 'heuristic', inputTokens, outputTokens };
+}
+
+/* ── PROCESS ONE DOCUMENT ── */
+/**
+ * Run a document through its strategy, the model and the merge rules
+ * @param {Buffer} buffer - Document contents
+ * @param {string} type - Lower-case extension including the dot
+ * @param {Object} analysisConfig - { systemPrompt, modelId, fields } pinned for the job
+ * @returns {Promise<Object>} { success, data, strategy, mergeMethod, chunksProcessed, totalInput, totalOutput, validationErrors, ocr }
+ *   mergeMethod is 'single' (one chunk), 'model' (reduce pass) or 'heuristic' (field merge rules)
+ */
+export async function processDocument(buffer, type, analysisConfig) {
+  const doc = createDocument(buffer, type);
+  const strategy = await selectStrategy(doc);
+  const context = { strategy: strategy.name };
+
+  const findings = [];
+  let totalInput = 0, totalOutput = 0, validationErrors = [];
+
+  for await (const chunk of strategy.chunks(doc, context)) {
+    const { data, errors, inputTokens, outputTokens } = await extractChunk(chunk.content, chunk.mediaType, analysisConfig);
+    totalInput += inputTokens; totalOutput += outputTokens;
+    if (data) {
+      data.evidence = normalizeEvidence(data.evidence, analysisConfig.fields, chunk.pageOffset);
+      findings.push({ label: chunk.label, data });
+    }
+    else {
+      validationErrors = errors;
+      console.warn(`[Pipeline] No valid extraction for ${chunk.label}`);
+    }
+  }
+
+  const summary = { strategy: context.strategy, chunksProcessed: findings.length, ocr: context.ocr };
+  if (!findings.length) return { success: false, data: null, validationErrors, totalInput, totalOutput, ...summary };
+  if (findings.length === 1) return { success: true, data: findings[0].data, mergeMethod: 'single', totalInput, totalOutput, ...summary };
+
+  const { data, mergeMethod, inputTokens, outputTokens } = await combineFindings(findings, analysisConfig);
+  totalInput += inputTokens; totalOutput += outputTokens;
+  return { success: true, data, mergeMethod, totalInput, totalOutput, ...summary };
+}
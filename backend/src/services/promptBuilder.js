@@ -0,0 +1,160 @@
+/**
+ * Prompt Builder
+ * Composes the model system prompt from the Masters configuration
+ * (systemRole, scope, riskClassification, fields, documentTypes) curated in the Masters screen.
+ */
+
+import { getJsonFromS3 } from './s3Service.js';
+import { getFieldDefinitions, isExtracted } from '../config/fieldDefinitions.js';
+import { getDocumentTypeFields } from '../config/documentTypes.js';
+import { CONFIDENCE_MIN, CONFIDENCE_MAX } from '../config/confidence.js';
+
+const MASTERS_KEY = 'masters/legal_audit_prompt.json';
+
+const BASE_ROLE = 'You are a legal document audit assistant for a bank/NBFC.';
+
+/**
+ * Load the current Masters prompt configuration from S3
+ * @returns {Object} Masters prompt document
+ */
+export async function loadMastersPrompt() {
+  return getJsonFromS3(MASTERS_KEY);
+}
+
+function bulletList(items) {
+  return (items || [])
+    .map(item => item?.trim())
+    .filter(Boolean)
+    .map(item => `- ${item}`)
+    .join('\n');
+}
+
+function buildScopeSection(scope) {
+  const list = bulletList(scope);
+  if (!list) return '';
+  return `SCOPE OF REVIEW\nExamine the document for each of these areas:\n${list}`;
+}
+
+function buildRiskSection(riskClassification = {}) {
+  const levels = [
+    ['High', riskClassification.high],
+    ['Medium', riskClassification.medium],
+    ['Low', riskClassification.low]
+  ].filter(([, items]) => bulletList(items));
+  if (!levels.length) return '';
+
+  const criteria = levels
+    .map(([label, items]) => `${label} risk criteria:\n${bulletList(items)}`)
+    .join('\n\n');
+
+  return `RISK CLASSIFICATION
+Set risk_rating to the most severe level whose criteria match any finding:
+High if any High criterion applies; otherwise Medium if any Medium criterion applies; otherwise Low.
+
+${criteria}`;
+}
+
+function buildDocumentTypeSection(documentType) {
+  if (!documentType) return '';
+  const instructions = documentType.instructions?.trim();
+  return `DOCUMENT TYPE\nThis document has been classified as: ${documentType.label}.${instructions ? `\n${instructions}` : ''}`;
+}
+
+// Placeholder the model sees for each field in the JSON template
+function templateValue(field) {
+  switch (field.type) {
+    case 'enum':   return field.enumValues.join('|');
+    case 'date':   return 'DD-MM-YYYY';
+    case 'number': return 0;
+    default:       return 'string';
+  }
+}
+
+function buildOutputSchemaSection(fields) {
+  const list = bulletList(fields.map(f =>
+    f.description?.trim() ? `${f.header} (${f.key}): ${f.description.trim()}` : `${f.header} (${f.key})`
+  ));
+  return `REPORT COLUMNS\nYour findings populate these audit report columns:\n${list}`;
+}
+
+// Where in the document each finding comes from; not a report column
+const EVIDENCE_TEMPLATE = [{ field: 'field_key', quote: 'verbatim text', page: 1 }];
+
+const EVIDENCE_RULE = `evidence cites the passages behind your findings: for each field with a finding, up to 2 entries with the field key,
+a short verbatim quote from the document (under 200 characters) and its page number. Use the PDF page number, or the nearest
+[Page N] marker above the quote; use null when the document has no page numbers. Do not cite fields that are Unknown.`;
+
+function buildOutputInstructions(fields) {
+  const template = { ...Object.fromEntries(fields.map(f => [f.key, templateValue(f)])), evidence: EVIDENCE_TEMPLATE };
+  const confidenceRule = fields.some(f => f.key === 'confidence_score')
+    ? `\nconfidence_score is an integer from ${CONFIDENCE_MIN} to ${CONFIDENCE_MAX}: how sure you are that the extracted values are correct and complete.`
+    : '';
+  return `Analyze this legal document and extract structured information.
+Return ONLY a valid JSON object with these exact fields:
+${JSON.stringify(template)}${confidenceRule}
+${EVIDENCE_RULE}
+No markdown. No explanation. Just JSON.`;
+}
+
+/**
+ * Build the system prompt from a Masters prompt document
+ * @param {Object} masters - Masters prompt (may be empty if unavailable)
+ * @param {Object} [documentType] - Classified type; adds its instructions and limits the fields to its subset
+ * @returns {string} System prompt text
+ */
+export function buildSystemPrompt(masters = {}, documentType = null) {
+  const fields = getDocumentTypeFields(getFieldDefinitions(masters), documentType).filter(isExtracted);
+  return [
+    BASE_ROLE,
+    masters.systemRole?.trim(),
+    buildDocumentTypeSection(documentType),
+    buildScopeSection(masters.scope),
+    buildRiskSection(masters.riskClassification),
+    buildOutputSchemaSection(fields),
+    buildOutputInstructions(fields)
+  ].filter(Boolean).join('\n\n');
+}
+
+const REDUCE_INTROS = {
+  sections: {
+    heading: 'Section',
+    intro: `This document was too large to review in one pass, so it was reviewed in sections.
+The findings from each section follow, in document order.
+
+Combine them into ONE final assessment of the whole document:`
+  },
+  documents: {
+    heading: 'Document',
+    intro: `These documents were submitted together for one loan application and were reviewed one by one.
+The findings from each document follow.
+
+Each document is one section of the application's title file. Combine them into ONE final assessment of the
+whole application:`
+  }
+};
+
+/**
+ * Follow-up prompt that consolidates several findings into one assessment
+ * @param {Array<{ label: string, data: Object }>} findings - Valid extraction per chunk or document, in order
+ * @param {string} source - 'sections' (chunks of one large document) or 'documents' (files of one application)
+ * @returns {string}
+ */
+export function buildReducePrompt(findings, source = 'sections') {
+  const { heading, intro } = REDUCE_INTROS[source] || REDUCE_INTROS.sections;
+  const sections = findings
+    .map(({ label, data }, i) => `[${heading} ${i + 1}: ${label}]\n${JSON.stringify(data)}`)
+    .join('\n\n');
+
+  return `${intro}
+- Read the sections together. An issue raised in one section may be resolved in another; for example, a mortgage or charge created in one section and released or satisfied in a later one is not outstanding.
+- State each finding once. Do not repeat rationales that appear in several sections.
+- risk_rating and enforceability_decision must reflect the whole document, applying the risk criteria above.
+- Where sections disagree, prefer the later or more specific record.
+- confidence_score is your confidence in the consolidated result.
+- Leave evidence as an empty array; the section citations are kept separately.
+
+SECTION FINDINGS
+${sections}
+
+Return the single consolidated JSON object only, with every field from the template above.`;
+}
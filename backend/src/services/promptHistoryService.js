@@ -0,0 +1,180 @@
+/**
+ * Prompt History Service
+ * Archives every Masters prompt version as an immutable snapshot and diffs versions.
+ *
+ * S3 layout:
+ *   masters/prompt_history.json            index of versions (newest first)
+ *   masters/prompt_versions/{version}.json full prompt content per version
+ */
+
+import { getJsonFromS3, getJsonWithEtagFromS3, putJsonToS3, isPreconditionFailed } from './s3Service.js';
+import { getFieldDefinitions } from '../config/fieldDefinitions.js';
+import { getDocumentTypes } from '../config/documentTypes.js';
+
+const HISTORY_KEY  = 'masters/prompt_history.json';
+const versionKey   = (version) => `masters/prompt_versions/${version}.json`;
+const VERSION_PATTERN = /^\d+\.\d+\.\d+$/;
+const HISTORY_WRITE_ATTEMPTS = 5;
+
+/**
+ * @param {*} version
+ * @returns {boolean} Whether it is a version string such as "1.0.3" (and safe in an S3 key)
+ */
+export const isValidVersion = (version) => typeof version === 'string' && VERSION_PATTERN.test(version);
+
+/**
+ * Bring a hand-written version into the 1.0.3 form ("v1.2" → "1.2.0")
+ * @param {*} version
+ * @returns {string|null} null when it cannot be read as a version
+ */
+export function normalizeVersion(version) {
+  const match = String(version ?? '').trim().match(/^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?$/i);
+  return match ? `${Number(match[1])}.${Number(match[2] || 0)}.${Number(match[3] || 0)}` : null;
+}
+
+// Prompt changes read the current version and write the next one, so they run one at a time
+let promptLock = Promise.resolve();
+export function withPromptLock(fn) {
+  const run = promptLock.then(fn);
+  promptLock = run.catch(() => {});
+  return run;
+}
+
+// Sections compared by diffPrompts, in display order
+const DIFF_SECTIONS = [
+  { key: 'systemRole',              label: 'System Role',        get: p => (p.systemRole || '').split('\n') },
+  { key: 'scope',                   label: 'Review Scope',       get: p => p.scope || [] },
+  { key: 'riskClassification.high', label: 'High Risk Criteria', get: p => p.riskClassification?.high || [] },
+  { key: 'riskClassification.medium', label: 'Medium Risk Criteria', get: p => p.riskClassification?.medium || [] },
+  { key: 'riskClassification.low',  label: 'Low Risk Criteria',  get: p => p.riskClassification?.low || [] },
+  { key: 'fields',                  label: 'Output Fields',      get: p => getFieldDefinitions(p).map(describeField) },
+  { key: 'documentTypes',           label: 'Document Types',     get: p => getDocumentTypes(p).map(describeDocumentType) },
+  { key: 'minConfidence',           label: 'Minimum Confidence', get: p => p.minConfidence === undefined ? [] : [String(p.minConfidence)] }
+];
+
+// One comparable line per field definition
+function describeField(f) {
+  return [
+    f.key, f.header, f.type, f.mergeRule,
+    f.enumValues?.length ? f.enumValues.join('/') : null,
+    f.extract === false ? 'report only' : null,
+    f.description || null
+  ].filter(Boolean).join(' | ');
+}
+
+// One comparable line per document type
+function describeDocumentType(t) {
+  return [
+    t.key, t.label,
+    t.filenamePatterns?.length ? t.filenamePatterns.join(' / ') : null,
+    t.fieldKeys?.length ? t.fieldKeys.join(',') : 'all fields',
+    t.instructions || null
+  ].filter(Boolean).join(' | ');
+}
+
+export async function getPromptHistory() {
+  const { versions } = await readHistory();
+  return { versions };
+}
+
+async function readHistory() {
+  try {
+    const { data, etag } = await getJsonWithEtagFromS3(HISTORY_KEY);
+    return { versions: data.versions || [], etag };
+  } catch (err) {
+    if (err.name !== 'NoSuchKey') throw err;
+    return { versions: [], etag: null };
+  }
+}
+
+/**
+ * Fetch the full content of an archived version
+ * @param {string} version - Semver string, e.g. "1.0.3"
+ * @returns {Object|null} Prompt snapshot or null if it was never archived
+ */
+export async function getPromptVersion(version) {
+  if (!isValidVersion(version)) return null;
+  try {
+    return await getJsonFromS3(versionKey(version));
+  } catch (err) {
+    if (err.name !== 'NoSuchKey') throw err;
+    return null;
+  }
+}
+
+/**
+ * Archive a prompt version. Snapshots are write-once: an existing version is never overwritten.
+ * Both writes are conditional, so API instances saving at the same time cannot lose a version:
+ * a snapshot that another instance created first is a 409, and the index is re-read and retried.
+ * @param {Object} prompt - Full prompt document (must carry version/updatedAt/updatedBy)
+ * @param {Object} details - Extra index fields, e.g. { action: 'rollback', rolledBackFrom: '1.0.2' }
+ * @returns {Object} The history entry
+ */
+export async function archivePromptVersion(prompt, details = {}) {
+  if (!isValidVersion(prompt.version)) throw new Error(`Invalid prompt version: ${prompt.version}`);
+
+  if (!(await getPromptVersion(prompt.version))) {
+    try {
+      await putJsonToS3(versionKey(prompt.version), prompt, { ifNoneMatch: '*' });
+    } catch (err) {
+      if (!isPreconditionFailed(err)) throw err;
+      throw Object.assign(new Error(`Version ${prompt.version} was just saved by someone else. Reload and try again.`), { status: 409 });
+    }
+  }
+
+  const entry = {
+    version:   prompt.version,
+    updatedAt: prompt.updatedAt || new Date().toISOString(),
+    updatedBy: prompt.updatedBy || 'system',
+    action:    'update',
+    ...details
+  };
+  for (let attempt = 1; ; attempt++) {
+    const { versions, etag } = await readHistory();
+    const existing = versions.find(v => v.version === prompt.version);
+    if (existing) return existing;
+    try {
+      await putJsonToS3(HISTORY_KEY, { versions: [entry, ...versions], lastUpdated: new Date().toISOString() },
+        etag ? { ifMatch: etag } : { ifNoneMatch: '*' });
+      return entry;
+    } catch (err) {
+      if (!isPreconditionFailed(err) || attempt >= HISTORY_WRITE_ATTEMPTS) throw err;
+    }
+  }
+}
+
+// Longest-common-subsequence line diff → [{ op: 'equal'|'add'|'remove', value }]
+function diffLines(before, after) {
+  const n = before.length, m = after.length;
+  const lcs = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = before[i] === after[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const changes = [];
+  let i = 0, j = 0;
+  while (i < n && j < m) {
+    if (before[i] === after[j])              { changes.push({ op: 'equal',  value: before[i] }); i++; j++; }
+    else if (lcs[i + 1][j] >= lcs[i][j + 1]) { changes.push({ op: 'remove', value: before[i] }); i++; }
+    else                                     { changes.push({ op: 'add',    value: after[j] });  j++; }
+  }
+  while (i < n) changes.push({ op: 'remove', value: before[i++] });
+  while (j < m) changes.push({ op: 'add',    value: after[j++] });
+  return changes;
+}
+
+/**
+ * Section-by-section diff between two prompt versions
+ * @param {Object} from - Older prompt
+ * @param {Object} to - Newer prompt
+ * @returns {Object} { from, to, sections: [{ key, label, changed, changes }] }
+ */
+export function diffPrompts(from, to) {
+  const sections = DIFF_SECTIONS.map(({ key, label, get }) => {
+    const changes = diffLines(get(from), get(to));
+    return { key, label, changed: changes.some(c => c.op !== 'equal'), changes };
+  });
+  return { from: from.version, to: to.version, sections };
+}
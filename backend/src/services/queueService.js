@@ -1,5 +1,7 @@
 import { Queue, Worker } from 'bullmq';
 import Redis from 'ioredis';
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
 
 // Redis connections (BullMQ requires separate connections for Queue and Worker)
 let queueConnection = null;
@@ -149,7 +151,160 @@ export function registerJobHandler(queueName, handler) {
 
 export { queueConnection as redisConnection, documentQueue };
 
-// Job status store (in-memory for SSE, backed by Redis for persistence)
+// ─────────────────────────────────────────────────────────
+// Job event bus
+// Job events and status updates go through an in-process
+// EventEmitter. When Redis is configured they are also
+// published on a pub/sub channel, so SSE clients connected to
+// any API instance see progress from a separate worker process.
+// ─────────────────────────────────────────────────────────
+const EVENTS_CHANNEL = 'legal-audit:job-events';
+const INSTANCE_ID    = randomUUID();
+const localBus       = new EventEmitter();
+let eventSubscriber  = null;
+
+localBus.on('message', applyJobMessage);
+
+export async function initializeEventBus() {
+  if (useInMemoryQueue || !queueConnection) {
+    console.log('✓ Job events: in-process only (no Redis)');
+    return { useInMemory: true };
+  }
+
+  try {
+    eventSubscriber = createRedisConnection('Events');
+    await eventSubscriber.subscribe(EVENTS_CHANNEL);
+    eventSubscriber.on('message', (channel, raw) => {
+      if (channel !== EVENTS_CHANNEL) return;
+      try {
+        const message = JSON.parse(raw);
+        if (message.origin !== INSTANCE_ID) localBus.emit('message', message);
+      } catch (err) {
+        console.error('[Events] Bad message:', err.message);
+      }
+    });
+    console.log('✓ Job events: Redis pub/sub');
+    return { useInMemory: false };
+  } catch (err) {
+    console.warn('⚠️  Job event subscription failed, events stay in-process:', err.message);
+    eventSubscriber?.disconnect();
+    eventSubscriber = null;
+    return { useInMemory: true };
+  }
+}
+
+export async function closeEventBus() {
+  if (eventSubscriber) {
+    await eventSubscriber.quit().catch(() => {});
+    eventSubscriber = null;
+  }
+}
+
+function publishJobMessage(message) {
+  localBus.emit('message', message);
+  if (eventSubscriber && queueConnection) {
+    queueConnection
+      .publish(EVENTS_CHANNEL, JSON.stringify({ ...message, origin: INSTANCE_ID }))
+      .catch(err => console.error('[Events] Publish failed:', err.message));
+  }
+}
+
+function applyJobMessage({ type, jobId, id, event, data, updates, action }) {
+  if (type === 'status') {
+    // For a job this process never loaded the entry stays partial; /status fills it from metadata.json
+    const current = jobStatusMap.get(jobId) || {};
+    jobStatusMap.set(jobId, { ...current, ...updates });
+  } else if (type === 'event') {
+    writeToSSEClients(jobId, { id, event, data });
+  } else if (type === 'control') {
+    controlHandlers.forEach(handler => handler(jobId, action));
+  }
+}
+
+// Pause / cancel requests reach whichever process is running the job the same way
+const controlHandlers = new Set();
+
+export function sendJobControl(jobId, action) {
+  publishJobMessage({ type: 'control', jobId, action });
+}
+
+/**
+ * Listen for job control messages from any process
+ * @param {Function} handler - (jobId, action) => void
+ * @returns {Function} Unsubscribe
+ */
+export function onJobControl(handler) {
+  controlHandlers.add(handler);
+  return () => controlHandlers.delete(handler);
+}
+
+// ─────────────────────────────────────────────────────────
+// Per-job event log
+// Every job event gets a monotonically increasing id and is
+// kept in a bounded log (Redis list, or memory without Redis)
+// so reconnecting SSE clients can replay what they missed.
+// ─────────────────────────────────────────────────────────
+const EVENT_LOG_SIZE = 500;
+const EVENT_LOG_TTL  = 7 * 24 * 60 * 60; // seconds
+const eventSeqKey    = (jobId) => `legal-audit:job-event-seq:${jobId}`;
+const eventLogKey    = (jobId) => `legal-audit:job-event-log:${jobId}`;
+const memoryEventLogs = new Map(); // jobId -> { seq, events }
+
+// Id assignment and append in one atomic step, so ids stay ordered across processes
+const APPEND_EVENT_SCRIPT = `
+local id = redis.call('INCR', KEYS[1])
+redis.call('RPUSH', KEYS[2], '{"id":' .. id .. ',"event":' .. ARGV[1] .. ',"data":' .. ARGV[2] .. '}')
+redis.call('LTRIM', KEYS[2], -tonumber(ARGV[3]), -1)
+redis.call('EXPIRE', KEYS[1], ARGV[4])
+redis.call('EXPIRE', KEYS[2], ARGV[4])
+return id`;
+
+const useRedisEventLog = () => !useInMemoryQueue && !!queueConnection;
+
+async function appendJobEvent(jobId, event, data) {
+  if (useRedisEventLog()) {
+    if (!queueConnection.appendJobEvent) {
+      queueConnection.defineCommand('appendJobEvent', { numberOfKeys: 2, lua: APPEND_EVENT_SCRIPT });
+    }
+    const id = await queueConnection.appendJobEvent(
+      eventSeqKey(jobId), eventLogKey(jobId),
+      JSON.stringify(event), JSON.stringify(data ?? null), EVENT_LOG_SIZE, EVENT_LOG_TTL
+    );
+    return { id: Number(id), event, data };
+  }
+
+  if (!memoryEventLogs.has(jobId)) memoryEventLogs.set(jobId, { seq: 0, events: [] });
+  const log   = memoryEventLogs.get(jobId);
+  const entry = { id: ++log.seq, event, data };
+  log.events.push(entry);
+  if (log.events.length > EVENT_LOG_SIZE) log.events.splice(0, log.events.length - EVENT_LOG_SIZE);
+  return entry;
+}
+
+/**
+ * Events logged for a job after the given id, oldest first
+ * @param {string} jobId
+ * @param {number} lastEventId - Last id the client received
+ * @returns {Promise<Array<{id:number, event:string, data:any}>>}
+ */
+export async function getJobEventsSince(jobId, lastEventId) {
+  let events;
+  if (useRedisEventLog()) {
+    const raw = await queueConnection.lrange(eventLogKey(jobId), 0, -1);
+    events = raw.map(item => JSON.parse(item));
+  } else {
+    events = memoryEventLogs.get(jobId)?.events || [];
+  }
+  return events.filter(e => e.id > lastEventId);
+}
+
+// Newest id handed out for a job, 0 when its log is empty (or was lost: memory log after a restart, expired key)
+async function getLatestJobEventId(jobId) {
+  if (useRedisEventLog()) return Number(await queueConnection.get(eventSeqKey(jobId))) || 0;
+  return memoryEventLogs.get(jobId)?.seq || 0;
+}
+
+// Job status store (in-memory per process, kept in sync across processes by the event bus)
 const jobStatusMap = new Map();
 
 export function getJobStatus(jobId) {
@@ -161,20 +316,60 @@ export function setJobStatus(jobId, status) {
 }
 
 export function updateJobStatus(jobId, updates) {
-  const current = jobStatusMap.get(jobId) || {};
-  const updated = { ...current, ...updates, updatedAt: new Date().toISOString() };
-  jobStatusMap.set(jobId, updated);
-  return updated;
+  publishJobMessage({ type: 'status', jobId, updates: { ...updates, updatedAt: new Date().toISOString() } });
+  return jobStatusMap.get(jobId);
 }
 
 // SSE clients management
+// jobId -> Map(res -> { res, lastSentId, replaying, buffer })
 const sseClients = new Map();
 
-export function addSSEClient(jobId, res) {
+function sendToClient(client, { id, event, data }) {
+  if (id && id <= client.lastSentId) return; // already delivered by replay
+  try {
+    client.res.write(`${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    if (id) client.lastSentId = id;
+  } catch (err) {
+    console.error('SSE write error:', err);
+  }
+}
+
+/**
+ * Register an SSE response for a job's events
+ * @param {string} jobId
+ * @param {Object} res - Express response
+ * @param {number|null} lastEventId - From Last-Event-ID; events after it are replayed first
+ */
+export async function addSSEClient(jobId, res, lastEventId = null) {
   if (!sseClients.has(jobId)) {
-    sseClients.set(jobId, new Set());
+    sseClients.set(jobId, new Map());
+  }
+  const replaying = lastEventId !== null;
+  const client = { res, lastSentId: lastEventId || 0, replaying, buffer: [] };
+  sseClients.get(jobId).set(res, client);
+  if (!replaying) return;
+
+  // Live events arriving during the replay are buffered, then de-duplicated by id
+  try {
+    if (lastEventId > await getLatestJobEventId(jobId)) {
+      // The log restarted since the client's last event, so its ids are reused: start over
+      client.lastSentId = 0;
+      sendToClient(client, { event: 'resync', data: { reason: 'Event log restarted' } });
+      return;
+    }
+    const missed = await getJobEventsSince(jobId, lastEventId);
+    if (missed.length && missed[0].id > lastEventId + 1) {
+      // Older events were trimmed from the log; the client should reload state
+      sendToClient(client, { event: 'resync', data: { reason: 'Some events are no longer available' } });
+    }
+    missed.forEach(entry => sendToClient(client, entry));
+  } catch (err) {
+    console.error('[SSE] Replay failed:', err.message);
+    sendToClient(client, { event: 'resync', data: { reason: 'Replay unavailable' } });
+  } finally {
+    client.replaying = false;
+    client.buffer.splice(0).forEach(entry => sendToClient(client, entry));
   }
-  sseClients.get(jobId).add(res);
 }
 
 export function removeSSEClient(jobId, res) {
@@ -186,15 +381,21 @@ export function removeSSEClient(jobId, res) {
   }
 }
 
-export function broadcastToJob(jobId, event, data) {
+function writeToSSEClients(jobId, entry) {
   if (sseClients.has(jobId)) {
-    const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
     sseClients.get(jobId).forEach(client => {
-      try {
-        client.write(message);
-      } catch (err) {
-        console.error('SSE write error:', err);
-      }
+      if (client.replaying) client.buffer.push(entry);
+      else sendToClient(client, entry);
     });
   }
 }
+
+export function broadcastToJob(jobId, event, data) {
+  appendJobEvent(jobId, event, data)
+    .then(entry => publishJobMessage({ type: 'event', jobId, ...entry }))
+    .catch(err => {
+      // Still deliver live, just without an id (cannot be replayed)
+      console.error('[Events] Event log append failed:', err.message);
+      publishJobMessage({ type: 'event', jobId, event, data });
+    });
+}
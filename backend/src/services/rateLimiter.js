@@ -0,0 +1,209 @@
+/**
+ * Bedrock Rate Limiter
+ * Keeps model calls inside the account's Bedrock quotas. Each model has two token buckets,
+ * requests per minute and tokens per minute, shared by every call in every worker process:
+ * in Redis when it is configured, in memory otherwise. A call reserves one request and its
+ * estimated tokens before it is sent, and settles the difference once the real usage is known.
+ *
+ * How many cases are analysed at once adapts AIMD-style: the limit grows by one after a full
+ * round of successful calls and halves when Bedrock throttles.
+ *
+ * Environment:
+ *   BEDROCK_REQUESTS_PER_MINUTE  (default 100)
+ *   BEDROCK_TOKENS_PER_MINUTE    (default 1000000)
+ *   ANALYSIS_MAX_CONCURRENCY     (default 50)  cases analysed at once when nothing is throttled
+ *   ANALYSIS_MIN_CONCURRENCY     (default 2)   floor the limit never halves below
+ */
+
+import { redisConnection, isUsingInMemoryQueue } from './queueService.js';
+
+const DEFAULTS = { requestsPerMinute: 100, tokensPerMinute: 1000000, maxConcurrency: 50, minConcurrency: 2 };
+const WINDOW_MS          = 60000;
+const DECREASE_COOLDOWN  = 10000;  // throttles arriving together halve the limit once
+const MAX_WAIT_MS        = 5000;   // re-check the buckets at least this often while waiting
+const BUCKET_TTL_MS      = 2 * WINDOW_MS;
+
+const bucketKey = (modelId, kind) => `legal-audit:bedrock-rate:${modelId}:${kind}`;
+
+const readInt = (name, fallback) => {
+  const n = parseInt(process.env[name], 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+};
+
+export function getRateLimitConfig() {
+  const maxConcurrency = readInt('ANALYSIS_MAX_CONCURRENCY', DEFAULTS.maxConcurrency);
+  return {
+    requestsPerMinute: readInt('BEDROCK_REQUESTS_PER_MINUTE', DEFAULTS.requestsPerMinute),
+    tokensPerMinute:   readInt('BEDROCK_TOKENS_PER_MINUTE', DEFAULTS.tokensPerMinute),
+    maxConcurrency,
+    minConcurrency:    Math.min(maxConcurrency, readInt('ANALYSIS_MIN_CONCURRENCY', DEFAULTS.minConcurrency))
+  };
+}
+
+/* ── SHARED BUCKETS (Redis) ── */
+// Both buckets refill continuously; a call goes ahead only when both hold enough, and then
+// takes from both in the same step. Returns 0 when granted, otherwise milliseconds to wait.
+const ACQUIRE_SCRIPT = `
+local now, rpm, tpm, cost, ttl = tonumber(ARGV[1]), tonumber(ARGV[2]), tonumber(ARGV[3]), tonumber(ARGV[4]), tonumber(ARGV[5])
+local function level(key, cap)
+  local v = redis.call('HMGET', key, 'level', 'ts')
+  local lvl, ts = tonumber(v[1]) or cap, tonumber(v[2]) or now
+  return math.min(cap, lvl + math.max(0, now - ts) * cap / ${WINDOW_MS})
+end
+local req, tok = level(KEYS[1], rpm), level(KEYS[2], tpm)
+cost = math.min(cost, tpm)
+local wait = 0
+if req < 1 then wait = (1 - req) * ${WINDOW_MS} / rpm end
+if tok < cost then wait = math.max(wait, (cost - tok) * ${WINDOW_MS} / tpm) end
+if wait == 0 then req = req - 1; tok = tok - cost end
+redis.call('HSET', KEYS[1], 'level', tostring(req), 'ts', tostring(now))
+redis.call('HSET', KEYS[2], 'level', tostring(tok), 'ts', tostring(now))
+redis.call('PEXPIRE', KEYS[1], ttl)
+redis.call('PEXPIRE', KEYS[2], ttl)
+return math.ceil(wait)`;
+
+// Give back (or take more of) the token bucket once real usage is known; optionally empty the
+// request bucket so every process pauses after a throttle
+const SETTLE_SCRIPT = `
+local now, rpm, tpm, delta, drain, ttl = tonumber(ARGV[1]), tonumber(ARGV[2]), tonumber(ARGV[3]), tonumber(ARGV[4]), ARGV[5] == '1', tonumber(ARGV[6])
+local function update(key, cap, change, floor)
+  local v = redis.call('HMGET', key, 'level', 'ts')
+  local lvl, ts = tonumber(v[1]) or cap, tonumber(v[2]) or now
+  lvl = math.min(cap, lvl + math.max(0, now - ts) * cap / ${WINDOW_MS}) + change
+  if floor then lvl = math.min(lvl, 0) end
+  redis.call('HSET', key, 'level', tostring(math.min(cap, lvl)), 'ts', tostring(now))
+  redis.call('PEXPIRE', key, ttl)
+end
+update(KEYS[2], tpm, -delta, false)
+if drain then update(KEYS[1], rpm, 0, true) end
+return 1`;
+
+const useRedis = () => !isUsingInMemoryQueue() && !!redisConnection;
+
+function defineScripts() {
+  if (redisConnection.acquireBedrockCapacity) return;
+  redisConnection.defineCommand('acquireBedrockCapacity', { numberOfKeys: 2, lua: ACQUIRE_SCRIPT });
+  redisConnection.defineCommand('settleBedrockUsage',     { numberOfKeys: 2, lua: SETTLE_SCRIPT });
+}
+
+/* ── LOCAL BUCKETS (no Redis) ── */
+const memoryBuckets = new Map(); // key -> { level, ts }
+
+function refill(key, cap, now) {
+  const b = memoryBuckets.get(key) || { level: cap, ts: now };
+  b.level = Math.min(cap, b.level + Math.max(0, now - b.ts) * cap / WINDOW_MS);
+  b.ts = now;
+  memoryBuckets.set(key, b);
+  return b;
+}
+
+function acquireLocal(modelId, cost, { requestsPerMinute: rpm, tokensPerMinute: tpm }) {
+  const now = Date.now();
+  const req = refill(bucketKey(modelId, 'requests'), rpm, now);
+  const tok = refill(bucketKey(modelId, 'tokens'), tpm, now);
+  cost = Math.min(cost, tpm);
+  let wait = 0;
+  if (req.level < 1)    wait = (1 - req.level) * WINDOW_MS / rpm;
+  if (tok.level < cost) wait = Math.max(wait, (cost - tok.level) * WINDOW_MS / tpm);
+  if (wait === 0) { req.level -= 1; tok.level -= cost; }
+  return Math.ceil(wait);
+}
+
+function settleLocal(modelId, delta, drain, { requestsPerMinute: rpm, tokensPerMinute: tpm }) {
+  const now = Date.now();
+  const tok = refill(bucketKey(modelId, 'tokens'), tpm, now);
+  tok.level = Math.min(tpm, tok.level - delta);
+  if (drain) {
+    const req = refill(bucketKey(modelId, 'requests'), rpm, now);
+    req.level = Math.min(req.level, 0);
+  }
+}
+
+let redisFailureLogged = false;
+async function runBucketOp(redisOp, localOp) {
+  if (useRedis()) {
+    try {
+      defineScripts();
+      return Number(await redisOp());
+    } catch (err) {
+      if (!redisFailureLogged) console.warn('[RateLimit] Redis unavailable, limiting this process only:', err.message);
+      redisFailureLogged = true;
+    }
+  }
+  return localOp();
+}
+
+/**
+ * Wait until the model's buckets allow one more call of the given size
+ * @param {string} modelId
+ * @param {number} estimatedTokens - Input plus reserved output tokens
+ * @returns {Promise<{ modelId: string, reserved: number }>} Pass to settleCapacity after the call
+ */
+export async function acquireCapacity(modelId, estimatedTokens) {
+  const config = getRateLimitConfig();
+  const cost = Math.max(1, Math.round(estimatedTokens));
+  for (;;) {
+    const wait = await runBucketOp(
+      () => redisConnection.acquireBedrockCapacity(
+        bucketKey(modelId, 'requests'), bucketKey(modelId, 'tokens'),
+        Date.now(), config.requestsPerMinute, config.tokensPerMinute, cost, BUCKET_TTL_MS
+      ),
+      () => acquireLocal(modelId, cost, config)
+    );
+    if (wait <= 0) return { modelId, reserved: Math.min(cost, config.tokensPerMinute) };
+    // Jitter keeps waiting callers from retrying in lockstep
+    await new Promise(r => setTimeout(r, Math.min(wait, MAX_WAIT_MS) + Math.random() * 250));
+  }
+}
+
+/**
+ * Correct the token bucket with the tokens the call really used
+ * @param {Object} reservation - From acquireCapacity
+ * @param {number} usedTokens - Input plus output tokens reported by Bedrock (0 when the call failed)
+ * @param {Object} [options]
+ * @param {boolean} [options.throttled] - Bedrock throttled the call: empties the request bucket as well
+ */
+export async function settleCapacity({ modelId, reserved }, usedTokens, { throttled = false } = {}) {
+  const config = getRateLimitConfig();
+  const delta  = Math.round(usedTokens - reserved);
+  await runBucketOp(
+    () => redisConnection.settleBedrockUsage(
+      bucketKey(modelId, 'requests'), bucketKey(modelId, 'tokens'),
+      Date.now(), config.requestsPerMinute, config.tokensPerMinute, delta, throttled ? '1' : '0', BUCKET_TTL_MS
+    ),
+    () => settleLocal(modelId, delta, throttled, config)
+  );
+}
+
+/* ── ADAPTIVE CONCURRENCY (AIMD) ── */
+const adaptive = { limit: null, lastDecrease: 0 };
+
+function currentLimit() {
+  const { maxConcurrency, minConcurrency } = getRateLimitConfig();
+  if (adaptive.limit === null) adaptive.limit = maxConcurrency;
+  adaptive.limit = Math.min(maxConcurrency, Math.max(minConcurrency, adaptive.limit));
+  return adaptive.limit;
+}
+
+/**
+ * How many cases may be analysed at once right now
+ * @returns {number}
+ */
+export function getConcurrencyLimit() {
+  return Math.floor(currentLimit());
+}
+
+// Additive increase: +1 once every `limit` successful calls
+export function recordSuccess() {
+  adaptive.limit = currentLimit() + 1 / currentLimit();
+}
+
+// Multiplicative decrease, at most once per cooldown
+export function recordThrottle() {
+  const now = Date.now();
+  const before = getConcurrencyLimit();
+  if (now - adaptive.lastDecrease < DECREASE_COOLDOWN) return;
+  adaptive.lastDecrease = now;
+  adaptive.limit = currentLimit() / 2;
+  console.warn(`[RateLimit] Throttled by Bedrock — concurrency ${before} → ${getConcurrencyLimit()}`);
+}
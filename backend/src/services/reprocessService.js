@@ -0,0 +1,96 @@
+/**
+ * Reprocess Service
+ * Re-runs analysis for chosen cases of a finished job. Reprocessing works on whole cases,
+ * since a case's documents are combined into one report row; picking one document re-runs its case.
+ *
+ * Selected cases get their documents set back to pending and their attempt number raised, so
+ * the worker treats the saved result as stale and analyses them again. The job then goes through
+ * the normal analysis path and the report is regenerated from every case's latest result.
+ */
+
+// Job states in which the analysis is finished and cases can be re-run
+export const REPROCESSABLE_STATUSES = ['completed', 'analysis-complete'];
+
+/**
+ * Cases matching any of the criteria
+ * @param {Object} queueData - queue.json
+ * @param {Object} criteria
+ * @param {boolean} [criteria.failed] - Cases that failed, or that left a document out
+ * @param {number} [criteria.belowConfidence] - Cases with a confidence score under this value
+ * @param {string[]} [criteria.caseIds]
+ * @param {string[]} [criteria.documentIds] - The cases containing these documents
+ * @returns {Array<Object>} Matching cases from queueData.cases, in job order
+ */
+export function selectCasesForReprocess(queueData, { failed, belowConfidence, caseIds = [], documentIds = [] }) {
+  const docsById = new Map(queueData.documents.map(d => [d.id, d]));
+  const picked = new Set([
+    ...caseIds,
+    ...documentIds.map(id => queueData.cases.find(c => c.documents.includes(id))?.id).filter(Boolean)
+  ]);
+
+  return queueData.cases.filter(c => {
+    if (picked.has(c.id)) return true;
+    if (failed && (c.status === 'failed' || c.documents.some(id => docsById.get(id)?.status === 'failed'))) return true;
+    return belowConfidence != null && typeof c.confidence === 'number' && c.confidence < belowConfidence;
+  });
+}
+
+/**
+ * Check a reprocess request body
+ * @param {Object} body
+ * @returns {string[]} Errors, empty when valid
+ */
+export function validateReprocessRequest({ failed, belowConfidence, caseIds, documentIds, promptVersion }) {
+  const errors = [];
+  if (failed !== undefined && typeof failed !== 'boolean') errors.push('failed must be true or false');
+  if (belowConfidence !== undefined &&
+      (typeof belowConfidence !== 'number' || belowConfidence < 0 || belowConfidence > 100)) {
+    errors.push('belowConfidence must be a number from 0 to 100');
+  }
+  for (const [name, list] of [['caseIds', caseIds], ['documentIds', documentIds]]) {
+    if (list !== undefined && (!Array.isArray(list) || list.some(id => typeof id !== 'string'))) {
+      errors.push(`${name} must be a list of IDs`);
+    }
+  }
+  if (promptVersion !== undefined && promptVersion !== null && typeof promptVersion !== 'string') {
+    errors.push('promptVersion must be a version string');
+  }
+  if (!failed && belowConfidence === undefined && !caseIds?.length && !documentIds?.length) {
+    errors.push('Choose failed, belowConfidence, caseIds or documentIds');
+  }
+  return errors;
+}
+
+/**
+ * Queue the cases for another analysis run
+ * @param {Object} queueData - Modified in place
+ * @param {Array<Object>} cases - From selectCasesForReprocess
+ * @param {Object} options
+ * @param {string|null} options.promptVersion - Archived Masters version to use instead of the job's pinned one
+ * @param {string} options.requestedBy - Email of the user
+ * @returns {Object} The run recorded in queueData.reprocessRuns
+ */
+export function markCasesForReprocess(queueData, cases, { promptVersion = null, requestedBy }) {
+  const docsById = new Map(queueData.documents.map(d => [d.id, d]));
+  for (const c of cases) {
+    c.attempt = (c.attempt || 0) + 1;
+    c.status  = 'pending';
+    delete c.reason;
+    delete c.confidence;
+    // Without an override the case goes back to the job's pinned version
+    if (promptVersion && promptVersion !== queueData.promptVersion) c.promptVersion = promptVersion;
+    else delete c.promptVersion;
+    c.documents.forEach(id => { docsById.get(id).status = 'pending'; });
+  }
+
+  const run = {
+    requestedAt: new Date().toISOString(), requestedBy,
+    promptVersion: promptVersion || queueData.promptVersion || null,
+    caseIds: cases.map(c => c.id),
+    documentCount: cases.reduce((sum, c) => sum + c.documents.length, 0)
+  };
+  queueData.reprocessRuns = [...(queueData.reprocessRuns || []), run];
+  queueData.processedCount = queueData.documents.filter(d => d.status !== 'pending').length;
+  queueData.status = 'processing';
+  return run;
+}
@@ -1,6 +1,7 @@
 import { S3Client, PutObjectCommand, GetObjectCommand, ListObjectsV2Command, HeadObjectCommand } from '@aws-sdk/client-s3';
 import { Upload } from '@aws-sdk/lib-storage';
 import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+import { DEFAULT_FIELDS } from '../config/fieldDefinitions.js';
 
 const s3Client = new S3Client({
   region: process.env.AWS_REGION || 'ap-south-1',
@@ -46,33 +47,9 @@ const DEFAULT_PROMPT = {
       "Minor administrative gaps with documented fixes"
     ]
   },
-  outputSchema: [
-    "Appl_No / Loan_No",
-    "Borrower_Name",
-    "Property_Address",
-    "Property_Type (Res/Comm/Agr)",
-    "State",
-    "TSR_Date",
-    "Ownership_Title_Chain_Status",
-    "Encumbrances_Adverse_Entries",
-    "Subsequent_Charges_After_Our_Mortgage",
-    "Prior_Charge_Subsisting",
-    "ROC_Charge_Flag (If Company/LLP)",
-    "Litigation_LisPendens_Attachments",
-    "Mutation_Status",
-    "Revenue_Municipal_Dues",
-    "Land_Use_Zoning_NA_Conversion_Status",
-    "Stamping_Registration_Issues",
-    "Mortgage_Perfection_Issues",
-    "Advocate_TSR_Adverse_Remarks",
-    "Risk_Rating",
-    "Enforceability_Decision",
-    "Enforceability_Rationale",
-    "Recommended_Actions",
-    "Next_Review_Due_Date",
-    "Prepared_By",
-    "Reviewed_By (Legal/RCU)"
-  ]
+  // Column headers, kept in sync with `fields` (the registry that drives prompt, merge and report)
+  outputSchema: DEFAULT_FIELDS.map(f => f.header),
+  fields: DEFAULT_FIELDS
 };
 
 export async function initializeS3Bucket() {
@@ -110,6 +87,7 @@ export async function initializeS3Bucket() {
               email: process.env.SUPER_ADMIN_EMAIL || 'admin@acc.com',
               name: 'Super Admin',
               role: 'admin',
+              status: 'active',
               createdAt: new Date().toISOString()
             }
           ]
@@ -196,15 +174,36 @@ export async function getJsonFromS3(key) {
   return JSON.parse(str);
 }
 
-export async function putJsonToS3(key, data) {
+// JSON plus the ETag to pass as ifMatch when writing it back
+export async function getJsonWithEtagFromS3(key) {
+  const response = await s3Client.send(new GetObjectCommand({
+    Bucket: BUCKET,
+    Key: key
+  }));
+  const str = await response.Body.transformToString();
+  return { data: JSON.parse(str), etag: response.ETag };
+}
+
+/**
+ * @param {string} key
+ * @param {Object} data
+ * @param {Object} [conditions] - ifMatch: only overwrite this ETag; ifNoneMatch: '*' to only create.
+ *   A failed condition throws (see isPreconditionFailed)
+ */
+export async function putJsonToS3(key, data, { ifMatch, ifNoneMatch } = {}) {
   await s3Client.send(new PutObjectCommand({
     Bucket: BUCKET,
     Key: key,
     Body: JSON.stringify(data, null, 2),
-    ContentType: 'application/json'
+    ContentType: 'application/json',
+    ...(ifMatch && { IfMatch: ifMatch }),
+    ...(ifNoneMatch && { IfNoneMatch: ifNoneMatch })
   }));
 }
 
+// A conditional write lost to a concurrent one (412, or 409 while both were in flight)
+export const isPreconditionFailed = (err) => [409, 412].includes(err.$metadata?.httpStatusCode);
+
 export async function listS3Objects(prefix, maxKeys = 10000) {
   const allObjects = [];
   let continuationToken = null;
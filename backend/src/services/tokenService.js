@@ -0,0 +1,59 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+const ISSUER = 'legal-audit-platform';
+
+// Read on use, like the secret, so a value from Secrets Manager is seen
+const getTokenTtl = () => process.env.AUTH_TOKEN_TTL || '24h';
+
+// Example values from .env.example / the README; anyone could sign tokens with them
+const PLACEHOLDER_SECRETS = new Set(['change-me', 'changeme', 'long_random_secret', 'your_secret', 'secret']);
+
+let devSecret = null;
+
+// In production the secret must come from the environment / Secrets Manager.
+// Locally we fall back to a per-process random secret so tokens still verify,
+// but every restart logs everyone out.
+function getSecret() {
+  const secret = process.env.AUTH_TOKEN_SECRET;
+  const placeholder = !!secret && PLACEHOLDER_SECRETS.has(secret.trim().toLowerCase());
+  if (secret && !placeholder) return secret;
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error(placeholder
+      ? 'AUTH_TOKEN_SECRET is a placeholder value; generate one with: openssl rand -hex 32'
+      : 'AUTH_TOKEN_SECRET is not configured');
+  }
+  if (!devSecret) {
+    devSecret = crypto.randomBytes(32).toString('hex');
+    console.warn(`⚠️  AUTH_TOKEN_SECRET ${placeholder ? 'is a placeholder' : 'not set'} - using a temporary secret for this process`);
+  }
+  return devSecret;
+}
+
+// Called at startup so a missing or placeholder secret stops the server instead of the first login
+export function checkTokenSecret() {
+  getSecret();
+}
+
+/**
+ * Issue a signed session token for a user
+ * @param {Object} user - User record from users.json
+ * @returns {string} HS256-signed JWT
+ */
+export function signToken(user) {
+  return jwt.sign(
+    { email: user.email, name: user.name, role: user.role },
+    getSecret(),
+    { algorithm: 'HS256', expiresIn: getTokenTtl(), issuer: ISSUER, subject: user.email }
+  );
+}
+
+/**
+ * Verify a session token
+ * @param {string} token - Token from the Authorization header
+ * @returns {Object} Decoded claims
+ * @throws {jwt.TokenExpiredError|jwt.JsonWebTokenError} If the token is expired or invalid
+ */
+export function verifyToken(token) {
+  return jwt.verify(token, getSecret(), { algorithms: ['HS256'], issuer: ISSUER });
+}
@@ -0,0 +1,116 @@
+/**
+ * User Service
+ * Reads and writes the user directory kept in users/users.json
+ */
+
+import { getJsonFromS3, putJsonToS3 } from './s3Service.js';
+import { normalizeRole, getDefaultRole } from '../config/permissions.js';
+
+const USERS_KEY = 'users/users.json';
+
+// Auth middleware consults the directory on every request, so keep a short-lived copy
+const CACHE_TTL = 30 * 1000;
+let cache = null;
+
+export const USER_STATUS = {
+  INVITED:     'invited',
+  ACTIVE:      'active',
+  DEACTIVATED: 'deactivated'
+};
+
+/**
+ * Load the user directory
+ * @param {Object} options
+ * @param {boolean} options.fresh - Bypass the cache (use before read-modify-write)
+ * @returns {Object} { users: [] }
+ */
+export async function loadUsers({ fresh = false } = {}) {
+  if (!fresh && cache && Date.now() - cache.loadedAt < CACHE_TTL) {
+    return cache.data;
+  }
+  let data;
+  try {
+    data = await getJsonFromS3(USERS_KEY);
+  } catch (err) {
+    if (err.name !== 'NoSuchKey') throw err;
+    data = { users: [] };
+  }
+  data.users = data.users || [];
+  cache = { data, loadedAt: Date.now() };
+  return data;
+}
+
+export async function saveUsers(data) {
+  await putJsonToS3(USERS_KEY, data);
+  cache = { data, loadedAt: Date.now() };
+}
+
+export function findUser(data, email) {
+  const needle = email?.toLowerCase();
+  return data.users.find(u => u.email.toLowerCase() === needle) || null;
+}
+
+// Users created before invitations existed have no status and are active
+export function getUserStatus(user) {
+  return user.status || USER_STATUS.ACTIVE;
+}
+
+/**
+ * Shape a stored user for API responses
+ * @param {Object} user
+ * @returns {Object}
+ */
+export function toPublicUser(user) {
+  return {
+    email:         user.email,
+    name:          user.name,
+    role:          normalizeRole(user.role),
+    status:        getUserStatus(user),
+    createdAt:     user.createdAt || null,
+    invitedBy:     user.invitedBy || null,
+    lastLogin:     user.lastLogin || null,
+    deactivatedAt: user.deactivatedAt || null,
+    deactivatedBy: user.deactivatedBy || null
+  };
+}
+
+/**
+ * Record a successful sign-in from any auth provider
+ * Creates the user on first login (unless self-registration is disabled),
+ * accepts a pending invitation and stamps lastLogin.
+ * @param {Object} identity - { email, name } asserted by the provider
+ * @returns {Object} Stored user record
+ * @throws {Error} With status 403 if the user may not sign in
+ */
+export async function signInUser({ email, name }) {
+  const userData = await loadUsers({ fresh: true });
+  const now      = new Date().toISOString();
+
+  let user = findUser(userData, email);
+
+  if (!user) {
+    const isSuperAdmin = email.toLowerCase() === process.env.SUPER_ADMIN_EMAIL?.toLowerCase();
+    if (!isSuperAdmin && process.env.ALLOW_SELF_REGISTRATION === 'false') {
+      throw Object.assign(
+        new Error('You have not been invited to the audit platform. Contact an administrator.'),
+        { status: 403 }
+      );
+    }
+    user = {
+      email: email.toLowerCase(),
+      name: name || email.split('@')[0],
+      role: isSuperAdmin ? 'admin' : getDefaultRole(),
+      status: USER_STATUS.ACTIVE,
+      createdAt: now
+    };
+    userData.users.push(user);
+  } else if (getUserStatus(user) === USER_STATUS.DEACTIVATED) {
+    throw Object.assign(new Error('Your account has been deactivated'), { status: 403 });
+  }
+
+  // First login accepts a pending invitation
+  user.status    = USER_STATUS.ACTIVE;
+  user.lastLogin = now;
+  await saveUsers(userData);
+  return user;
+}
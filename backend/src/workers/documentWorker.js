@@ -1,21 +1,30 @@
 import { Worker } from 'bullmq';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { resolve } from 'path';
 import unzipper from 'unzipper';
-import { BedrockRuntimeClient, InvokeModelCommand } from '@aws-sdk/client-bedrock-runtime';
-import pdf from 'pdf-parse';
-import { PDFDocument } from 'pdf-lib';
 import {
+  initializeQueue, initializeEventBus, closeEventBus,
   getWorkerConnection, isUsingInMemoryQueue,
   broadcastToJob, updateJobStatus, registerJobHandler
 } from '../services/queueService.js';
+import { loadSecrets } from '../config/secrets.js';
 import { getFromS3, uploadToS3, getJsonFromS3, putJsonToS3 } from '../services/s3Service.js';
 import { generateAuditReport } from '../services/excelService.js';
+import { buildSystemPrompt, loadMastersPrompt } from '../services/promptBuilder.js';
+import { archivePromptVersion, getPromptVersion, normalizeVersion } from '../services/promptHistoryService.js';
+import { processDocument, combineFindings, planDocument, SUPPORTED_DOCUMENT_TYPES } from '../services/processingPipeline.js';
+import { groupDocumentsIntoCases, ensureStableIds, documentId } from '../services/caseGrouping.js';
+import { watchJobControl, CONTROL_STATUS } from '../services/jobControlService.js';
+import { getDefaultModelId } from '../services/bedrockService.js';
+import { getConcurrencyLimit, getRateLimitConfig } from '../services/rateLimiter.js';
+import { estimateDocumentUsage, estimateCasesCost, checkBudget } from '../services/costService.js';
+import { classifyDocument } from '../services/documentClassifier.js';
+import { getFieldDefinitions } from '../config/fieldDefinitions.js';
+import { getDocumentTypes, getDocumentTypeFields } from '../config/documentTypes.js';
+import { getMinConfidence } from '../config/confidence.js';
+import { calculateCost, roundCost } from '../config/pricing.js';
 
-const CONCURRENCY     = 50;
-const MAX_DIRECT_SIZE = 10 * 1024 * 1024;
-const TEXT_CHUNK_SIZE = 40000;
-const MAX_PAGES_BATCH = 5;
-const REGION          = process.env.AWS_REGION || 'ap-south-1';
-const bedrockClient   = new BedrockRuntimeClient({ region: REGION });
 let worker = null;
 
 /* ── STREAM TO BUFFER ── */
@@ -48,222 +57,329 @@ async function flushJobLogs(jobId) {
 const finalizeJobLogs = (jobId) => flushJobLogs(jobId);
 
 /* ── CHECKPOINT ── */
-async function isDocAlreadyDone(jobId, docIndex) {
+// One result file per case, keyed by the case's stable ID. A result from an earlier
+// attempt does not count once the case has been queued for reprocessing.
+const caseResultKey = (jobId, caseId) => `jobs/${jobId}/processing/results/${caseId}.json`;
+
+async function getCaseCheckpoint(jobId, caseInfo) {
   try {
-    const r = await getJsonFromS3(`jobs/${jobId}/processing/results/${docIndex}.json`);
-    return r.status === 'completed' || r.status === 'failed';
-  } catch { return false; }
+    const r = await getJsonFromS3(caseResultKey(jobId, caseInfo.id));
+    if ((r.attempt || 0) !== (caseInfo.attempt || 0)) return null;
+    return ['completed', 'failed', 'manual-review'].includes(r.status) ? r : null;
+  } catch { return null; }
 }
 
-/* ── SYSTEM PROMPT ── */
-async function getSystemPrompt() {
-  const base = `Analyze this legal document and extract structured information.
-Return ONLY a valid JSON object with these exact fields:
-{"appl_no":"string","borrower_name":"string","property_address":"string","property_type":"string","state":"string","tsr_date":"string","ownership_title_chain_status":"string","encumbrances_adverse_entries":"string","subsequent_charges":"string","prior_charge_subsisting":"string","roc_charge_flag":"string","litigation_lis_pendens":"string","mutation_status":"string","revenue_municipal_dues":"string","land_use_zoning_status":"string","stamping_registration_issues":"string","mortgage_perfection_issues":"string","advocate_adverse_remarks":"string","risk_rating":"High|Medium|Low","enforceability_decision":"string","enforceability_rationale":"string","recommended_actions":"string","confidence_score":0.0}
-No markdown. No explanation. Just JSON.`;
-  try {
-    const buf     = await streamToBuffer(await getFromS3('masters/legal_audit_prompt.json'));
-    const masters = JSON.parse(buf.toString());
-    return `You are a legal document audit assistant for a bank/NBFC.\n${masters.systemRole || ''}\n${base}`;
-  } catch {
-    return `You are a legal document audit assistant for a bank/NBFC.\n${base}`;
+// Results written by older versions (results/{position}.json, see ensureStableIds) move to their
+// case's ID; their document summaries gain IDs so outcomes map onto the right documents
+async function migrateLegacyResults(jobId, queueData) {
+  for (const c of queueData.cases.filter(c => c.legacyResult !== undefined)) {
+    let r = null;
+    try { r = await getJsonFromS3(`jobs/${jobId}/processing/results/${c.legacyResult}.json`); } catch {}
+    delete c.legacyResult;
+    if (!r) continue; // never finished
+
+    const documents = r.documents
+      ? r.documents.map((d, j) => ({ ...d, id: c.documents[j] }))
+      : c.documents.map(id => ({ id, name: r.documentName, status: r.status, documentType: r.documentType, reason: r.reason }));
+    await putJsonToS3(caseResultKey(jobId, c.id), { ...r, caseId: c.id, caseKey: c.caseKey, caseName: c.name, documents });
   }
 }
 
-/* ── BEDROCK CALL ── */
-function parseJsonResponse(text) {
-  try { return JSON.parse(text); } catch {
-    const m = text.match(/\{[\s\S]*\}/);
-    if (m) { try { return JSON.parse(m[0]); } catch {} }
-    return null;
+/* ── QUEUE STATE ── */
+// queue.json follows the analysis as cases finish. Writes are coalesced so that 50 cases
+// finishing together cause one S3 write, and run one at a time so an older state never lands last.
+const QUEUE_WRITE_INTERVAL = 2000;
+
+function createQueueWriter(jobId, queueData) {
+  let timer = null, writing = Promise.resolve();
+  const write = () => {
+    timer = null;
+    writing = writing
+      .then(() => putJsonToS3(`jobs/${jobId}/processing/queue.json`, queueData))
+      .catch(err => console.error('[Worker] queue.json write failed:', err.message));
+    return writing;
+  };
+  return {
+    schedule() { if (!timer) timer = setTimeout(write, QUEUE_WRITE_INTERVAL); },
+    flush()    { if (timer) clearTimeout(timer); return write(); }
+  };
+}
+
+// Record a case's outcome on the case and its documents
+function applyCaseOutcome(queueData, docsById, caseInfo, record) {
+  const summaries = new Map((record?.documents || []).map(d => [d.id, d]));
+  caseInfo.status = record?.status || 'failed';
+  if (record?.reason) caseInfo.reason = record.reason; else delete caseInfo.reason;
+  if (typeof record?.data?.confidence_score === 'number') caseInfo.confidence = record.data.confidence_score;
+  if (record?.costUsd !== undefined) caseInfo.costUsd = record.costUsd;
+  for (const id of caseInfo.documents) {
+    const doc = docsById.get(id);
+    const summary = summaries.get(id);
+    doc.status = summary?.status === 'failed' ? 'failed' : caseInfo.status;
+    if (summary?.documentType) doc.documentType = summary.documentType;
+    if (summary?.costUsd !== undefined) doc.costUsd = summary.costUsd;
   }
+  queueData.processedCount = queueData.documents.filter(d => d.status !== 'pending').length;
 }
 
-async function callBedrock(content, mediaType, systemPrompt, retries = 3) {
-  let messageContent;
-  if (mediaType === 'pdf') {
-    messageContent = [
-      { type: 'document', source: { type: 'base64', media_type: 'application/pdf', data: content } },
-      { type: 'text', text: systemPrompt }
-    ];
-  } else if (mediaType.startsWith('image/')) {
-    messageContent = [
-      { type: 'image', source: { type: 'base64', media_type: mediaType, data: content } },
-      { type: 'text', text: systemPrompt }
-    ];
-  } else {
-    messageContent = [{ type: 'text', text: `${systemPrompt}\n\n${content}` }];
+/* ── PROMPT SNAPSHOT ── */
+// The first analysis run pins the Masters prompt version and model to the job;
+// resumes reload that exact archived version so every document sees the same prompt.
+function buildAnalysisConfig(masters, promptVersion, modelId) {
+  const fields = getFieldDefinitions(masters);
+  const documentTypes = getDocumentTypes(masters);
+  return {
+    promptVersion, modelId,
+    systemPrompt:  buildSystemPrompt(masters || {}),
+    fields,
+    minConfidence: getMinConfidence(masters),
+    documentTypes,
+    // Prompt and field subset per classified type; "other" uses the base prompt
+    byDocumentType: Object.fromEntries(documentTypes.map(t => [t.key, {
+      systemPrompt: buildSystemPrompt(masters || {}, t),
+      fields:       getDocumentTypeFields(fields, t)
+    }]))
+  };
+}
+
+async function resolveAnalysisConfig(jobId, queueData) {
+  if (queueData.promptVersion) {
+    const pinned = await getPromptVersion(queueData.promptVersion);
+    if (!pinned) throw new Error(`Pinned prompt version ${queueData.promptVersion} is not archived`);
+    return buildAnalysisConfig(pinned, queueData.promptVersion, queueData.modelId || getDefaultModelId());
   }
 
-  for (let attempt = 1; attempt <= retries; attempt++) {
-    try {
-      const cmd = new InvokeModelCommand({
-        modelId: 'global.anthropic.claude-sonnet-4-6',
-        contentType: 'application/json', accept: 'application/json',
-        body: JSON.stringify({
-          anthropic_version: 'bedrock-2023-05-31',
-          max_tokens: 4096,
-          messages: [{ role: 'user', content: messageContent }]
-        })
+  // Only a version that is archived under a valid name can be pinned, so resumes can reload it
+  let masters = null;
+  try {
+    masters = await loadMastersPrompt();
+    if (masters.version) {
+      const version = normalizeVersion(masters.version);
+      if (!version) throw new Error(`version "${masters.version}" is not of the form 1.0.3`);
+      masters = { ...masters, version };
+      await archivePromptVersion(masters).catch(err => {
+        if (err.status !== 409) throw err; // another process archived this version first
       });
-      const result   = await bedrockClient.send(cmd);
-      const response = JSON.parse(new TextDecoder().decode(result.body));
-      return {
-        text:         response.content?.[0]?.text || '',
-        inputTokens:  response.usage?.input_tokens  || 0,
-        outputTokens: response.usage?.output_tokens || 0
-      };
-    } catch (err) {
-      const throttle = err.message?.includes('ThrottlingException') ||
-                       err.message?.includes('Rate exceeded') ||
-                       err.message?.includes('Too Many Requests');
-      if (attempt < retries) {
-        const wait = throttle ? 12000 * attempt : 3000 * attempt;
-        console.warn(`[Bedrock] retry ${attempt}/${retries} in ${wait}ms`);
-        await new Promise(r => setTimeout(r, wait));
-      } else throw err;
     }
+  } catch (err) {
+    masters = null;
+    console.warn('[Worker] Masters prompt unavailable, using base prompt:', err.message);
   }
+
+  const config = buildAnalysisConfig(masters, masters?.version || null, getDefaultModelId());
+  if (!config.promptVersion) return config;
+
+  const pinnedAt = new Date().toISOString();
+  Object.assign(queueData, { promptVersion: config.promptVersion, modelId: config.modelId });
+  await putJsonToS3(`jobs/${jobId}/processing/queue.json`, queueData);
+  try {
+    const meta = await getJsonFromS3(`jobs/${jobId}/metadata.json`);
+    Object.assign(meta, { promptVersion: config.promptVersion, modelId: config.modelId, analysisStartedAt: pinnedAt });
+    await putJsonToS3(`jobs/${jobId}/metadata.json`, meta);
+  } catch (e) { console.error('[Worker] metadata update failed:', e.message); }
+  return config;
 }
 
-/* ── PROCESS ONE DOCUMENT (Buffer-based) ── */
-async function processDocument(docBuffer, docType, systemPrompt) {
-  let chunks = [], totalInput = 0, totalOutput = 0;
-
-  if (docType === '.pdf') {
-    if (docBuffer.length <= MAX_DIRECT_SIZE) {
-      const { text, inputTokens, outputTokens } =
-        await callBedrock(docBuffer.toString('base64'), 'pdf', systemPrompt);
-      totalInput += inputTokens; totalOutput += outputTokens;
-      const d = parseJsonResponse(text); if (d) chunks.push(d);
-    } else {
-      let pdfData; try { pdfData = await pdf(docBuffer); } catch {}
-      const hasText = pdfData?.text?.trim().length > 500;
-
-      if (hasText) {
-        const paragraphs = pdfData.text.split(/\n\s*\n/);
-        let cur = ''; const parts = [];
-        for (const p of paragraphs) {
-          if (cur.length + p.length > TEXT_CHUNK_SIZE && cur.length > 0) { parts.push(cur.trim()); cur = p; }
-          else cur += (cur ? '\n\n' : '') + p;
-        }
-        if (cur.trim()) parts.push(cur.trim());
-        for (const part of parts) {
-          const { text, inputTokens, outputTokens } = await callBedrock(part, 'text', systemPrompt);
-          totalInput += inputTokens; totalOutput += outputTokens;
-          const d = parseJsonResponse(text); if (d) chunks.push(d);
-          await new Promise(r => setTimeout(r, 500));
-        }
-      } else {
-        const pdfDoc   = await PDFDocument.load(docBuffer, { ignoreEncryption: true });
-        const maxPages = Math.min(pdfDoc.getPageCount(), 500);
-        for (let i = 0; i < maxPages; i += MAX_PAGES_BATCH) {
-          const idx = [];
-          for (let j = i; j < Math.min(i + MAX_PAGES_BATCH, maxPages); j++) idx.push(j);
-          const batch = await PDFDocument.create();
-          (await batch.copyPages(pdfDoc, idx)).forEach(p => batch.addPage(p));
-          const base64 = Buffer.from(await batch.save()).toString('base64');
-          const { text, inputTokens, outputTokens } = await callBedrock(base64, 'pdf', systemPrompt);
-          totalInput += inputTokens; totalOutput += outputTokens;
-          const d = parseJsonResponse(text); if (d) chunks.push(d);
-          await new Promise(r => setTimeout(r, 500));
-        }
-      }
-    }
-  } else if (['.png', '.jpg', '.jpeg'].includes(docType)) {
-    const mt = docType === '.png' ? 'image/png' : 'image/jpeg';
-    const { text, inputTokens, outputTokens } =
-      await callBedrock(docBuffer.toString('base64'), mt, systemPrompt);
-    totalInput += inputTokens; totalOutput += outputTokens;
-    const d = parseJsonResponse(text); if (d) chunks.push(d);
-  } else {
-    const { text, inputTokens, outputTokens } =
-      await callBedrock(docBuffer.toString('utf-8'), 'text', systemPrompt);
-    totalInput += inputTokens; totalOutput += outputTokens;
-    const d = parseJsonResponse(text); if (d) chunks.push(d);
+// Report columns follow the field list of the version the job was analysed with
+async function getReportFields(queueData) {
+  if (!queueData.promptVersion) return getFieldDefinitions();
+  try {
+    return getFieldDefinitions(await getPromptVersion(queueData.promptVersion));
+  } catch (err) {
+    console.warn('[Report] pinned prompt unavailable, using default fields:', err.message);
+    return getFieldDefinitions();
   }
+}
 
-  if (!chunks.length) return { success: false, data: null, totalInput, totalOutput };
-  if (chunks.length === 1) return { success: true, data: chunks[0], totalInput, totalOutput };
-
-  const rp = ['High', 'Medium', 'Low', 'Manual Review Required', 'Unknown'];
-  const merged = { ...chunks[0] };
-  for (let i = 1; i < chunks.length; i++) {
-    const r = chunks[i];
-    const ci = rp.indexOf(merged.risk_rating), ni = rp.indexOf(r.risk_rating);
-    if (ni !== -1 && (ci === -1 || ni < ci)) merged.risk_rating = r.risk_rating;
-    ['property_address','enforceability_rationale','recommended_actions','advocate_adverse_remarks']
-      .forEach(f => {
-        if (r[f] && r[f] !== 'Unknown' && merged[f] && !merged[f].includes(r[f]))
-          merged[f] = `${merged[f]}; ${r[f]}`;
-      });
+/* ── COST ESTIMATE ── */
+async function estimateDocument(buffer, type, name) {
+  try {
+    return estimateDocumentUsage(await planDocument(buffer, type));
+  } catch (err) {
+    console.warn(`[Estimate] ${name}: ${err.message}`);
+    return estimateDocumentUsage({});
   }
-  const scores = chunks.map(r => r.confidence_score).filter(s => typeof s === 'number');
-  if (scores.length) merged.confidence_score = Math.round(scores.reduce((a,b)=>a+b,0)/scores.length);
-  return { success: true, data: merged, totalInput, totalOutput };
 }
 
-/* ── PROCESS ONE DOC WRAPPER ── */
-async function processOneDocument(jobId, doc, docIndex, totalDocs, systemPrompt) {
-  // Skip already-done docs on resume
-  if (await isDocAlreadyDone(jobId, docIndex)) {
-    console.log(`[Worker] Skip (done) ${docIndex}: ${doc.name}`);
-    try {
-      const ex = await getJsonFromS3(`jobs/${jobId}/processing/results/${docIndex}.json`);
-      return { success: ex.status === 'completed', docName: doc.name, input: ex.tokenDetails?.input || 0, output: ex.tokenDetails?.output || 0, skipped: true };
-    } catch { return { success: true, docName: doc.name, input: 0, output: 0, skipped: true }; }
+// Documents added without an estimate (single PDF uploads, older jobs) are planned before analysis
+async function ensureEstimates(cases, docsById) {
+  for (const c of cases) {
+    for (const id of c.documents) {
+      const doc = docsById.get(id);
+      if (doc.estimate || doc.status !== 'pending') continue;
+      try {
+        doc.estimate = await estimateDocument(await streamToBuffer(await getFromS3(doc.key)), doc.type, doc.name);
+      } catch (err) {
+        console.warn(`[Estimate] ${doc.name}: ${err.message}`);
+      }
+    }
   }
+}
 
+async function getJobBudget(jobId) {
+  try {
+    const { budgetUsd } = await getJsonFromS3(`jobs/${jobId}/metadata.json`);
+    return typeof budgetUsd === 'number' ? budgetUsd : null;
+  } catch { return null; }
+}
+
+const formatUsd = (usd) => `$${(usd || 0).toFixed(2)}`;
+
+/* ── ANALYSE ONE DOCUMENT OF A CASE ── */
+async function analyseDocument(doc, analysisConfig) {
+  const summary = { name: doc.name, status: 'failed' };
   try {
     // CRITICAL FIX: convert S3 stream to Buffer before processing
     const docStream = await getFromS3(doc.key);
     const docBuffer = await streamToBuffer(docStream);
 
-    const { success, data, totalInput, totalOutput } =
-      await processDocument(docBuffer, doc.type, systemPrompt);
-
-    const resultKey = `jobs/${jobId}/processing/results/${docIndex}.json`;
-
-    if (success && data && data.confidence_score > 0) {
-      data.document_name = doc.name;
-      data.processed_at  = new Date().toISOString();
-      await putJsonToS3(resultKey, {
-        status: 'completed', documentName: doc.name, documentIndex: docIndex,
-        data, tokenDetails: { input: totalInput, output: totalOutput }
-      });
-      console.log(`[Worker] ${doc.name} (${docIndex+1}/${totalDocs}) Risk: ${data.risk_rating}`);
-      return { success: true, docName: doc.name, input: totalInput, output: totalOutput };
-    } else {
-      await putJsonToS3(resultKey, {
-        status: 'failed', documentName: doc.name, documentIndex: docIndex,
-        reason: 'Zero confidence or no data', data: data || null
-      });
-      return { success: false, docName: doc.name, input: totalInput, output: totalOutput };
+    const classification = await classifyDocument({ name: doc.name, buffer: docBuffer, type: doc.type }, analysisConfig.documentTypes);
+    const documentType = { key: classification.type.key, label: classification.type.label, method: classification.method };
+    const typeConfig = { ...analysisConfig, ...analysisConfig.byDocumentType[documentType.key] };
+    console.log(`[Worker] ${doc.name} classified as ${documentType.label} (${documentType.method})`);
+
+    const extraction = await processDocument(docBuffer, doc.type, typeConfig);
+    const { success, data, strategy, mergeMethod, validationErrors, ocr } = extraction;
+    const input  = extraction.totalInput  + classification.inputTokens;
+    const output = extraction.totalOutput + classification.outputTokens;
+    const costUsd = roundCost(classification.costUsd +
+      calculateCost(analysisConfig.modelId, extraction.totalInput, extraction.totalOutput));
+    Object.assign(summary, { documentType, strategy, mergeMethod, ocr, tokenDetails: { input, output }, costUsd });
+
+    if (success && data) {
+      // Citations name their file, since a case row draws on several
+      data.evidence = (data.evidence || []).map(e => ({ ...e, document: doc.name }));
+      summary.status = 'completed';
+      return { summary, data, input, output };
     }
+    summary.reason = validationErrors?.length
+      ? `Invalid model output: ${validationErrors.slice(0, 5).join('; ')}`
+      : 'No data extracted';
+    summary.validationErrors = validationErrors || [];
+    return { summary, data: null, input, output };
   } catch (err) {
     console.error(`[Worker] ${doc.name}:`, err.message);
-    try {
-      await putJsonToS3(`jobs/${jobId}/processing/results/${docIndex}.json`, {
-        status: 'failed', documentName: doc.name, documentIndex: docIndex, reason: err.message
-      });
-    } catch {}
-    return { success: false, docName: doc.name, input: 0, output: 0 };
+    summary.reason = err.message;
+    return { summary, data: null, input: 0, output: 0 };
+  }
+}
+
+/* ── PROCESS ONE CASE ── */
+// A case is one loan application: every document in it is analysed, then the findings
+// are combined into a single report row. The returned record is what results/{caseId}.json holds.
+async function analyseCase(caseInfo, docs, analysisConfig) {
+  const documentCount = docs.length;
+  const documents = [], findings = [];
+  let totalInput = 0, totalOutput = 0, costUsd = 0;
+  for (const doc of docs) {
+    const { summary, data, input, output } = await analyseDocument(doc, analysisConfig);
+    documents.push({ id: doc.id, ...summary });
+    totalInput += input; totalOutput += output; costUsd += summary.costUsd || 0;
+    if (data) findings.push({ label: summary.documentType ? `${doc.name} (${summary.documentType.label})` : doc.name, data });
+  }
+
+  const documentName = documentCount === 1 ? docs[0].name : caseInfo.name;
+  if (!findings.length) {
+    return {
+      status: 'failed', documentName, documents,
+      reason: documentCount === 1 ? documents[0].reason : `No data extracted from any of ${documentCount} documents`,
+      validationErrors: documentCount === 1 ? documents[0].validationErrors || [] : [],
+      tokenDetails: { input: totalInput, output: totalOutput }, costUsd: roundCost(costUsd)
+    };
+  }
+
+  let data, mergeMethod;
+  if (findings.length === 1) {
+    data = findings[0].data;
+    mergeMethod = documents.find(d => d.status === 'completed').mergeMethod;
+  } else {
+    const combined = await combineFindings(findings, analysisConfig, 'documents');
+    totalInput += combined.inputTokens; totalOutput += combined.outputTokens;
+    costUsd += calculateCost(analysisConfig.modelId, combined.inputTokens, combined.outputTokens);
+    ({ data, mergeMethod } = combined);
+  }
+
+  const ocrScores = documents.filter(d => d.ocr).map(d => d.ocr.averageConfidence);
+  if (ocrScores.length) data.ocr_confidence = Math.min(...ocrScores);
+  data.document_type  = [...new Set(documents.filter(d => d.documentType).map(d => d.documentType.label))].join('; ');
+  data.case_documents = documents
+    .map(d => d.status === 'completed' ? `${d.name} (${d.documentType.label})` : `${d.name} (not analysed)`)
+    .join('; ');
+  data.document_name = documentName;
+  data.processed_at  = new Date().toISOString();
+
+  const { minConfidence } = analysisConfig;
+  const record = {
+    status: 'completed', documentName, documents, data, mergeMethod,
+    tokenDetails: { input: totalInput, output: totalOutput }, costUsd: roundCost(costUsd)
+  };
+  if (data.confidence_score >= minConfidence) return record;
+
+  // Extracted, but not confidently enough to report without a human check
+  return { ...record, status: 'manual-review', reason: `Low confidence (${data.confidence_score ?? 'none'} < ${minConfidence})` };
+}
+
+async function processOneCase(jobId, caseInfo, docs, position, totalCases, analysisConfig) {
+  const documentCount = docs.length;
+  // Skip already-done cases on resume
+  const existing = await getCaseCheckpoint(jobId, caseInfo);
+  if (existing) {
+    console.log(`[Worker] Skip (done) ${caseInfo.id}: ${caseInfo.name}`);
+    return {
+      success: existing.status === 'completed', docName: caseInfo.name, documentCount, record: existing,
+      input: existing.tokenDetails?.input || 0, output: existing.tokenDetails?.output || 0, skipped: true
+    };
+  }
+
+  const caseFields = {
+    caseId: caseInfo.id, caseKey: caseInfo.caseKey, caseName: caseInfo.name,
+    attempt: caseInfo.attempt || 0, promptVersion: analysisConfig.promptVersion
+  };
+  let record;
+  try {
+    record = { ...caseFields, ...(await analyseCase(caseInfo, docs, analysisConfig)) };
+  } catch (err) {
+    console.error(`[Worker] ${caseInfo.name}:`, err.message);
+    record = { status: 'failed', ...caseFields, documentName: caseInfo.name, reason: err.message };
+  }
+
+  try {
+    await putJsonToS3(caseResultKey(jobId, caseInfo.id), record);
+  } catch (err) { console.error(`[Worker] ${caseInfo.name}: result not saved:`, err.message); }
+
+  if (record.status === 'completed') {
+    console.log(`[Worker] ${record.documentName} (${position+1}/${totalCases}, ${documentCount} docs) Risk: ${record.data.risk_rating}`);
+  } else if (record.status === 'manual-review') {
+    console.log(`[Worker] ${record.documentName} (${position+1}/${totalCases}) low confidence: ${record.data.confidence_score}`);
   }
+  return {
+    success: record.status === 'completed', docName: record.documentName, documentCount, record,
+    input: record.tokenDetails?.input || 0, output: record.tokenDetails?.output || 0, costUsd: record.costUsd || 0
+  };
 }
 
 /* ── SLIDING CONCURRENCY POOL ── */
-async function runWithConcurrency(tasks, concurrency, onComplete) {
-  let idx = 0;
+// The limit is read again whenever a task finishes, so the pool follows the adaptive
+// limit both ways. shouldStop is checked before each task starts; running tasks always finish.
+function runWithConcurrency(tasks, getLimit, onComplete, shouldStop = () => false) {
   const results = new Array(tasks.length);
-  async function runNext() {
-    if (idx >= tasks.length) return;
-    const i    = idx++;
-    results[i] = await tasks[i]();
-    if (onComplete) onComplete(results.filter(Boolean).length, tasks.length, results[i]);
-    await runNext();
-  }
-  await Promise.all(Array.from({ length: Math.min(concurrency, tasks.length) }, runNext));
-  return results;
+  let idx = 0, running = 0, finished = 0;
+  return new Promise((resolve, reject) => {
+    const launch = () => {
+      while (idx < tasks.length && running < Math.max(1, getLimit()) && !shouldStop()) {
+        const i = idx++;
+        running++;
+        tasks[i]().then(result => {
+          results[i] = result;
+          running--;
+          if (onComplete) onComplete(++finished, tasks.length, result);
+          launch();
+        }, reject);
+      }
+      if (running === 0) resolve(results);
+    };
+    launch();
+  });
 }
 
 /* ── JOB PROCESSOR ── */
@@ -290,7 +406,7 @@ async function processExtraction(jobId, job) {
   await saveJobLog(jobId, ts(), 'Starting ZIP extraction...');
   broadcastToJob(jobId, 'log', { time: ts(), message: 'Starting ZIP extraction...' });
 
-  const supported = ['.pdf', '.png', '.jpg', '.jpeg', '.docx'];
+  const supported = SUPPORTED_DOCUMENT_TYPES;
   const documents = [];
   let extracted = 0;
 
@@ -301,19 +417,25 @@ async function processExtraction(jobId, job) {
 
     const zip = zipStream.pipe(unzipper.Parse({ forceStream: true }));
     for await (const entry of zip) {
-      const name = entry.path.split('/').pop().split('\\').pop();
+      const path = entry.path.replace(/\\/g, '/');
+      const name = path.split('/').pop();
       if (entry.type === 'Directory' || !name ||
           name.startsWith('.') || name.startsWith('__') || name === 'Thumbs.db') {
         entry.autodrain(); continue;
       }
       const ext = name.toLowerCase().substring(name.lastIndexOf('.'));
       if (!supported.includes(ext)) { entry.autodrain(); continue; }
+      const id  = documentId(path);
+      if (documents.some(d => d.id === id)) { entry.autodrain(); continue; } // repeated ZIP entry
       try {
         const bufs = []; for await (const c of entry) bufs.push(c);
         const content = Buffer.concat(bufs);
-        const key     = `jobs/${jobId}/uploads/extracted/${name}`;
+        // Keyed by path: files in different folders may share a name
+        const key     = `jobs/${jobId}/uploads/extracted/${path}`;
         await uploadToS3(key, content);
-        documents.push({ name, key, type: ext, size: content.length, status: 'pending' });
+        const folder  = path.includes('/') ? path.slice(0, path.lastIndexOf('/')) : '';
+        const estimate = await estimateDocument(content, ext, name);
+        documents.push({ id, name, path, folder, key, type: ext, size: content.length, estimate, status: 'pending' });
         extracted++;
         if (extracted % 50 === 0 || extracted <= 5) {
           const msg = `Extracted ${extracted} docs (${name}, ${(content.length/1024/1024).toFixed(2)}MB)...`;
@@ -324,18 +446,24 @@ async function processExtraction(jobId, job) {
       } catch (e) { console.error(`[Extract] ${name}:`, e.message); }
     }
 
-    const doneMsg = `Extraction complete. ${documents.length} documents found.`;
+    const cases   = groupDocumentsIntoCases(documents);
+    const estimate = estimateCasesCost(cases, new Map(documents.map(d => [d.id, d])), getDefaultModelId());
+    const doneMsg = `Extraction complete. ${documents.length} documents found in ${cases.length} cases.`;
+    const costMsg = `Estimated cost: ${formatUsd(estimate.costUsd)} (${estimate.apiCalls} model calls, ` +
+      `~${(estimate.inputTokens + estimate.outputTokens).toLocaleString()} tokens)`;
     await saveJobLog(jobId, ts(), doneMsg);
+    await saveJobLog(jobId, ts(), costMsg);
     broadcastToJob(jobId, 'log', { time: ts(), message: doneMsg });
+    broadcastToJob(jobId, 'log', { time: ts(), message: costMsg });
 
     await putJsonToS3(`jobs/${jobId}/processing/queue.json`, {
-      totalDocuments: documents.length, processedCount: 0,
-      documents, results: [], failedDocuments: [], status: 'ready'
+      totalDocuments: documents.length, totalCases: cases.length, processedCount: 0,
+      documents, cases, estimate, totalCostUsd: 0, results: [], failedDocuments: [], status: 'ready'
     });
 
     if (job.updateProgress) await job.updateProgress(60);
-    updateJobStatus(jobId, { status: 'extracted', totalDocuments: documents.length, processedCount: 0 });
-    broadcastToJob(jobId, 'extraction-complete', { totalDocuments: documents.length });
+    updateJobStatus(jobId, { status: 'extracted', totalDocuments: documents.length, totalCases: cases.length, processedCount: 0, estimate });
+    broadcastToJob(jobId, 'extraction-complete', { totalDocuments: documents.length, totalCases: cases.length, estimate });
     broadcastToJob(jobId, 'log', { time: ts(), message: 'Auto-starting document analysis...' });
     await processAnalysis(jobId, job);
   } catch (err) {
@@ -346,96 +474,254 @@ async function processExtraction(jobId, job) {
 }
 
 /* ── ANALYSIS ── */
+// The watcher runs from before queue.json is read until the run ends, however it ends: its
+// heartbeat is how /pause and /cancel tell a run in progress from one that died
 async function processAnalysis(jobId, job) {
+  const control = await watchJobControl(jobId);
+  try {
+    await runAnalysis(jobId, job, control);
+  } finally {
+    control.stop();
+  }
+}
+
+async function runAnalysis(jobId, job, control) {
   const ts = () => new Date().toISOString().split('T')[1].split('.')[0];
 
-  const queueData   = await getJsonFromS3(`jobs/${jobId}/processing/queue.json`);
-  const pendingDocs = queueData.documents.filter(d => d.status === 'pending');
+  const queueData = await getJsonFromS3(`jobs/${jobId}/processing/queue.json`);
+  // Paused or cancelled while this run was queued, with no run to hear it
+  if (['paused', 'cancelled'].includes(queueData.status)) {
+    console.log(`[Worker] ${jobId} is ${queueData.status}; skipping analysis`);
+    return;
+  }
+  // Queues written by older versions get IDs and one case per document (as do single PDF uploads);
+  // their finished results move to the case IDs
+  if (ensureStableIds(queueData)) {
+    await migrateLegacyResults(jobId, queueData);
+    await putJsonToS3(`jobs/${jobId}/processing/queue.json`, queueData);
+  }
+
+  const docsById     = new Map(queueData.documents.map(d => [d.id, d]));
+  const pendingCases = queueData.cases.filter(c => c.documents.some(id => docsById.get(id).status === 'pending'));
+  const pendingDocCount = pendingCases.reduce((sum, c) => sum + c.documents.length, 0);
 
-  if (pendingDocs.length === 0) {
+  if (pendingCases.length === 0) {
+    control.stop();
     broadcastToJob(jobId, 'log', { time: ts(), message: 'No pending documents — generating report.' });
     await processReportGeneration(jobId, job);
     return;
   }
 
-  const systemPrompt = await getSystemPrompt();
+  if (control.action) {
+    control.stop();
+    await stopAnalysis(jobId, queueData, control.action);
+    return;
+  }
 
-  // Count already done via checkpoints
-  let alreadyDone = 0;
-  for (let i = 0; i < pendingDocs.length; i++) {
-    if (await isDocAlreadyDone(jobId, i)) alreadyDone++;
+  const analysisConfig = await resolveAnalysisConfig(jobId, queueData);
+  const queueWriter    = createQueueWriter(jobId, queueData);
+
+  // Cases reprocessed with another prompt version share one config per version
+  const versionConfigs = new Map();
+  const configForCase = (caseInfo) => {
+    const version = caseInfo.promptVersion;
+    if (!version || version === analysisConfig.promptVersion) return analysisConfig;
+    if (!versionConfigs.has(version)) {
+      versionConfigs.set(version, getPromptVersion(version).then(masters => {
+        if (!masters) throw new Error(`Prompt version ${version} is not archived`);
+        return buildAnalysisConfig(masters, version, analysisConfig.modelId);
+      }));
+    }
+    return versionConfigs.get(version);
+  };
+
+  // Budget: projected spend is the job's spend so far plus the estimate for the cases still to run
+  const budgetUsd = await getJobBudget(jobId);
+  // Cases that already have a result (finished just before a crash, or moved from an older queue)
+  // are skipped below, so they cost nothing
+  const checkpointed = new Set();
+  for (let i = 0; i < pendingCases.length; i += 20) {
+    const batch = pendingCases.slice(i, i + 20);
+    const found = await Promise.all(batch.map(c => getCaseCheckpoint(jobId, c)));
+    batch.forEach((c, j) => { if (found[j]) checkpointed.add(c.id); });
   }
+  const casesToRun = pendingCases.filter(c => !checkpointed.has(c.id));
+  await ensureEstimates(casesToRun, docsById);
+  const caseEstimates = new Map(casesToRun.map(c => [c.id, estimateCasesCost([c], docsById, analysisConfig.modelId).costUsd]));
+  let remainingUsd = [...caseEstimates.values()].reduce((sum, usd) => sum + usd, 0);
+  queueData.totalCostUsd = queueData.totalCostUsd || 0;
+  const overBudget = () => {
+    const { exceeded, projectedUsd } = checkBudget(budgetUsd, queueData.totalCostUsd, remainingUsd);
+    return exceeded ? { budgetUsd, projectedUsd, spentUsd: queueData.totalCostUsd } : null;
+  };
+
+  let budgetStop = overBudget();
+  if (budgetStop) {
+    control.stop();
+    await stopAnalysis(jobId, queueData, 'pause', budgetStop);
+    return;
+  }
+
+  const alreadyDone = queueData.documents.length - queueData.documents.filter(d => d.status === 'pending').length;
+  const startMsg = job.data?.isReprocess
+    ? `Reprocessing ${pendingDocCount} docs in ${pendingCases.length} cases, up to ${getConcurrencyLimit()} concurrent`
+    : alreadyDone > 0
+    ? `Resuming — ${alreadyDone} documents already done, ${pendingCases.length} cases remaining, up to ${getConcurrencyLimit()} concurrent`
+    : `Direct Bedrock — ${pendingDocCount} docs in ${pendingCases.length} cases, up to ${getConcurrencyLimit()} concurrent`;
 
-  const startMsg = alreadyDone > 0
-    ? `Resuming — ${alreadyDone} already done, ${pendingDocs.length - alreadyDone} remaining, ${CONCURRENCY} concurrent`
-    : `Direct Bedrock — ${pendingDocs.length} docs, ${CONCURRENCY} concurrent`;
+  const promptMsg = `Prompt version ${analysisConfig.promptVersion || 'built-in'} | model ${analysisConfig.modelId}`;
+  const costMsg   = `Estimated cost of this run: ${formatUsd(remainingUsd)}` +
+    (budgetUsd !== null ? ` (budget ${formatUsd(budgetUsd)}, ${formatUsd(queueData.totalCostUsd)} spent so far)` : '');
 
   await saveJobLog(jobId, ts(), startMsg);
+  await saveJobLog(jobId, ts(), promptMsg);
+  await saveJobLog(jobId, ts(), costMsg);
   broadcastToJob(jobId, 'log', { time: ts(), message: startMsg });
-  updateJobStatus(jobId, { status: 'processing' });
+  broadcastToJob(jobId, 'log', { time: ts(), message: promptMsg });
+  broadcastToJob(jobId, 'log', { time: ts(), message: costMsg });
+  updateJobStatus(jobId, { status: 'processing', promptVersion: analysisConfig.promptVersion, modelId: analysisConfig.modelId });
 
-  let successCount = 0, failCount = 0, totalInput = 0, totalOutput = 0;
+  let successCount = 0, failCount = 0, totalInput = 0, totalOutput = 0, docsDone = 0;
 
-  const tasks = pendingDocs.map((doc, idx) => async () =>
-    processOneDocument(jobId, doc, idx, pendingDocs.length, systemPrompt)
-  );
+  const tasks = pendingCases.map((caseInfo, idx) => async () => {
+    const docs = caseInfo.documents.map(id => docsById.get(id));
+    let result;
+    try {
+      result = await processOneCase(jobId, caseInfo, docs, idx, pendingCases.length, await configForCase(caseInfo));
+    } catch (err) {
+      // The case's prompt version could not be loaded; it has no result and is flagged below
+      console.error(`[Worker] ${caseInfo.name}:`, err.message);
+      return { success: false, docName: caseInfo.name, documentCount: docs.length, input: 0, output: 0 };
+    }
+    applyCaseOutcome(queueData, docsById, caseInfo, result.record);
+    if (!result.skipped) queueData.totalCostUsd = roundCost(queueData.totalCostUsd + result.costUsd);
+    remainingUsd -= caseEstimates.get(caseInfo.id) || 0;
+    // Stop starting cases once the projection passes the budget; cases in flight still finish
+    if (!control.action && (budgetStop = overBudget())) control.action = 'pause';
+    queueWriter.schedule();
+    return result;
+  });
 
-  await runWithConcurrency(tasks, CONCURRENCY, (done, total, result) => {
+  // Progress is reported in documents so it matches totalDocuments; the log counts cases
+  await runWithConcurrency(tasks, getConcurrencyLimit, (done, total, result) => {
     if (result?.success) successCount++; else failCount++;
     totalInput  += result?.input  || 0;
     totalOutput += result?.output || 0;
-    broadcastToJob(jobId, 'progress', { current: done, total, percentage: Math.round((done/total)*100) });
+    docsDone    += result?.documentCount || 0;
+    broadcastToJob(jobId, 'progress', { current: docsDone, total: pendingDocCount, percentage: Math.round((docsDone/pendingDocCount)*100) });
     if (done % 10 === 0 || done === total) {
-      const msg = `[${done}/${total}] ${successCount} processed, ${failCount} flagged`;
+      const msg = `[${done}/${total} cases] ${successCount} processed, ${failCount} flagged, ${getConcurrencyLimit()} concurrent`;
       saveJobLog(jobId, ts(), msg).catch(() => {});
       broadcastToJob(jobId, 'log', { time: ts(), message: msg });
     }
-  });
+  }, () => control.action !== null);
+  control.stop();
+
+  // A pause that arrives once every case has run has nothing left to hold back
+  const hasPending = queueData.documents.some(d => d.status === 'pending');
+  if (control.action === 'cancel' || (control.action === 'pause' && hasPending)) {
+    await queueWriter.flush();
+    await stopAnalysis(jobId, queueData, control.action, budgetStop);
+    return;
+  }
 
-  // Collect results
+  // Collect results of every case, including those finished before a resume: one row per case;
+  // documents left out of an assessed case are flagged separately. Token totals cover the whole job.
   const results = [], failedDocuments = [];
-  for (let i = 0; i < pendingDocs.length; i++) {
-    try {
-      const r = await getJsonFromS3(`jobs/${jobId}/processing/results/${i}.json`);
-      if (r.status === 'completed' && r.data) results.push(r.data);
-      else {
-        failedDocuments.push({ name: r.documentName || pendingDocs[i].name, reason: r.reason || 'Failed' });
-        if (r.data) results.push(r.data);
-      }
-    } catch { failedDocuments.push({ name: pendingDocs[i].name, reason: 'Result missing' }); }
+  totalInput = 0; totalOutput = 0;
+  for (const caseInfo of queueData.cases) {
+    const record = await getCaseCheckpoint(jobId, caseInfo);
+    totalInput  += record?.tokenDetails?.input  || 0;
+    totalOutput += record?.tokenDetails?.output || 0;
+    applyCaseOutcome(queueData, docsById, caseInfo, record);
+    if (!record) {
+      failedDocuments.push({ name: caseInfo.name, reason: 'Result missing', status: 'failed' });
+      continue;
+    }
+    if (record.data) {
+      (record.documents || [])
+        .filter(d => d.status === 'failed')
+        .forEach(d => failedDocuments.push({ name: d.name, reason: `Left out of case ${caseInfo.name}: ${d.reason}`, status: 'failed' }));
+    }
+    if (record.status === 'completed' && record.data) results.push(record.data);
+    else {
+      failedDocuments.push({ name: record.documentName || caseInfo.name, reason: record.reason || 'Failed', status: record.status || 'failed' });
+      if (record.data) results.push(record.data);
+    }
   }
 
   queueData.results = results; queueData.failedDocuments = failedDocuments;
-  queueData.processedCount = pendingDocs.length;
   queueData.totalTokensInput = totalInput; queueData.totalTokensOutput = totalOutput;
   queueData.status = 'analysis-complete';
-  queueData.documents = queueData.documents.map(doc => ({
-    ...doc, status: failedDocuments.find(f => f.name === doc.name) ? 'failed' : 'completed'
-  }));
-  await putJsonToS3(`jobs/${jobId}/processing/queue.json`, queueData);
+  await queueWriter.flush();
 
+  const typeCounts = {};
+  queueData.documents
+    .filter(d => d.documentType)
+    .forEach(({ documentType: t }) => { typeCounts[t.label] = (typeCounts[t.label] || 0) + 1; });
+  const typeMsg  = `Document types: ${Object.entries(typeCounts).map(([label, n]) => `${label} ${n}`).join(', ') || 'none'}`;
   const totalTok = totalInput + totalOutput;
-  const doneMsg  = `Analysis complete. ${results.length} processed, ${failedDocuments.length} flagged.`;
-  const tokenMsg = `Tokens: ${totalTok.toLocaleString()} (${totalInput.toLocaleString()} in, ${totalOutput.toLocaleString()} out)`;
+  const doneMsg  = `Analysis complete. ${results.length} cases reported, ${failedDocuments.length} flagged.`;
+  const tokenMsg = `Tokens: ${totalTok.toLocaleString()} (${totalInput.toLocaleString()} in, ${totalOutput.toLocaleString()} out), ` +
+    `cost ${formatUsd(queueData.totalCostUsd)}`;
 
   await saveJobLog(jobId, ts(), doneMsg, 'success');
   await saveJobLog(jobId, ts(), tokenMsg, 'info');
+  await saveJobLog(jobId, ts(), typeMsg, 'info');
   await finalizeJobLogs(jobId);
 
   updateJobStatus(jobId, {
     status: 'analysis-complete', processedCount: queueData.processedCount,
-    failedCount: failedDocuments.length, totalTokensInput: totalInput, totalTokensOutput: totalOutput
+    failedCount: failedDocuments.length, totalTokensInput: totalInput, totalTokensOutput: totalOutput,
+    totalCostUsd: queueData.totalCostUsd
   });
   broadcastToJob(jobId, 'log', { time: ts(), message: doneMsg });
   broadcastToJob(jobId, 'log', { time: ts(), message: tokenMsg });
+  broadcastToJob(jobId, 'log', { time: ts(), message: typeMsg });
   broadcastToJob(jobId, 'analysis-complete', {
     processed: results.length, failed: failedDocuments.length,
-    totalTokensInput: totalInput, totalTokensOutput: totalOutput
+    totalTokensInput: totalInput, totalTokensOutput: totalOutput, totalCostUsd: queueData.totalCostUsd
   });
   broadcastToJob(jobId, 'log', { time: ts(), message: 'Auto-starting report generation...' });
   await processReportGeneration(jobId, job);
 }
 
+/* ── PAUSE / CANCEL ── */
+// Cases in flight have finished and queue.json holds their outcome; pending documents stay pending.
+// budgetWarning is set when the job paused itself because its projected cost passed the budget cap.
+async function stopAnalysis(jobId, queueData, action, budgetWarning = null) {
+  const ts = () => new Date().toISOString().split('T')[1].split('.')[0];
+  const status  = CONTROL_STATUS[action].done;
+  const pending = queueData.documents.filter(d => d.status === 'pending').length;
+  if (action !== 'pause') budgetWarning = null;
+
+  queueData.status = status;
+  if (budgetWarning) queueData.budgetWarning = budgetWarning;
+  await putJsonToS3(`jobs/${jobId}/processing/queue.json`, queueData);
+  try {
+    const meta = await getJsonFromS3(`jobs/${jobId}/metadata.json`);
+    Object.assign(meta, {
+      status, [`${status}At`]: new Date().toISOString(),
+      processedCount: queueData.processedCount, totalCostUsd: queueData.totalCostUsd
+    });
+    if (budgetWarning) meta.budgetWarning = budgetWarning;
+    await putJsonToS3(`jobs/${jobId}/metadata.json`, meta);
+  } catch (e) { console.error('[Worker] metadata update failed:', e.message); }
+
+  const msg = budgetWarning
+    ? `⚠️ Job paused — projected cost ${formatUsd(budgetWarning.projectedUsd)} exceeds the budget of ` +
+      `${formatUsd(budgetWarning.budgetUsd)} (${formatUsd(budgetWarning.spentUsd)} spent). Raise the budget to continue.`
+    : action === 'pause'
+    ? `Job paused — ${queueData.processedCount} documents done, ${pending} waiting. Resume to continue.`
+    : `Job cancelled — ${queueData.processedCount} documents done, ${pending} not analysed.`;
+  await saveJobLog(jobId, ts(), msg, 'warning');
+  await finalizeJobLogs(jobId);
+
+  updateJobStatus(jobId, { status, processedCount: queueData.processedCount, totalCostUsd: queueData.totalCostUsd, budgetWarning });
+  broadcastToJob(jobId, 'log', { time: ts(), message: msg });
+  broadcastToJob(jobId, status, { processedCount: queueData.processedCount, pending, budgetWarning });
+}
+
 /* ── REPORT GENERATION ── */
 async function processReportGeneration(jobId, job) {
   const ts = () => new Date().toISOString().split('T')[1].split('.')[0];
@@ -443,7 +729,12 @@ async function processReportGeneration(jobId, job) {
   updateJobStatus(jobId, { status: 'generating-report' });
 
   const queueData   = await getJsonFromS3(`jobs/${jobId}/processing/queue.json`);
-  const reportKey   = await generateAuditReport(jobId, queueData.results, queueData.failedDocuments);
+  const reportKey   = await generateAuditReport(jobId, queueData.results, queueData.failedDocuments, {
+    promptVersion: queueData.promptVersion, modelId: queueData.modelId,
+    totalDocuments: queueData.totalDocuments,
+    totalCostUsd: queueData.totalCostUsd,
+    fields: await getReportFields(queueData)
+  });
   const completedAt = new Date().toISOString();
 
   Object.assign(queueData, { status: 'completed', reportKey, completedAt });
@@ -454,7 +745,9 @@ async function processReportGeneration(jobId, job) {
     Object.assign(meta, { status: 'completed', completedAt, reportKey,
       processedCount: queueData.processedCount,
       totalDocuments: queueData.totalDocuments,
-      failedCount: queueData.failedDocuments?.length || 0
+      totalCases: queueData.totalCases,
+      failedCount: queueData.failedDocuments?.length || 0,
+      totalCostUsd: queueData.totalCostUsd
     });
     await putJsonToS3(`jobs/${jobId}/metadata.json`, meta);
   } catch (e) { console.error('[Report] metadata update failed:', e.message); }
@@ -508,7 +801,9 @@ export async function initializeWorker() {
     worker.on('stalled',   id    => console.warn(`[Worker] Job ${id} stalled`));
     worker.on('error',     e     => console.error(`[Worker] Error:`, e.message));
 
-    console.log(`Worker ready — direct Bedrock, ${CONCURRENCY} concurrent, stream-to-buffer fix, checkpoint resume`);
+    const limits = getRateLimitConfig();
+    console.log(`Worker ready — direct Bedrock, up to ${limits.maxConcurrency} concurrent, ` +
+      `${limits.requestsPerMinute} req/min, ${limits.tokensPerMinute} tokens/min, checkpoint resume`);
     return worker;
   } catch (err) {
     console.warn('Worker init failed:', err.message);
@@ -518,11 +813,36 @@ export async function initializeWorker() {
 
 export { worker };
 
-console.log('[Worker] Starting...');
-initializeWorker()
-  .then(() => console.log('[Worker] Ready'))
-  .catch(e  => { console.error('[Worker] Fatal:', e); process.exit(1); });
+/* ── STANDALONE ENTRY (npm run worker / Dockerfile.worker) ── */
+// The API imports this module and starts its own in-process worker; the bootstrap
+// below only runs when this file is the process entry point.
+async function startStandaloneWorker() {
+  dotenv.config();
+  await loadSecrets();
 
-process.on('SIGTERM', () => { console.log('[Worker] SIGTERM'); process.exit(0); });
-process.on('SIGINT',  () => { console.log('[Worker] SIGINT');  process.exit(0); });
-setInterval(() => {}, 1000 * 60 * 60);
\ No newline at end of file
+  const queue = await initializeQueue();
+  if (queue.useInMemory) {
+    throw new Error('Standalone worker needs UPSTASH_REDIS_URL (without Redis the API processes jobs itself)');
+  }
+  await initializeEventBus();
+
+  const w = await initializeWorker();
+  if (!w) throw new Error('Worker could not connect to Redis');
+
+  const shutdown = async (signal) => {
+    console.log(`[Worker] ${signal} — finishing current job`);
+    try { await w.close(); } catch (e) { console.error('[Worker] close failed:', e.message); }
+    await closeEventBus();
+    process.exit(0);
+  };
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT',  () => shutdown('SIGINT'));
+}
+
+const isEntryPoint = process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url);
+if (isEntryPoint) {
+  console.log('[Worker] Starting...');
+  startStandaloneWorker()
+    .then(() => console.log('[Worker] Ready'))
+    .catch(e  => { console.error('[Worker] Fatal:', e.message); process.exit(1); });
+}
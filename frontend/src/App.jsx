@@ -2,10 +2,12 @@ import React from 'react';
 import { BrowserRouter, Routes, Route, Navigate } from 'react-router-dom';
 import { AuthProvider, useAuth } from './context/AuthContext';
 import LoginPage from './pages/LoginPage';
+import AuthCallbackPage from './pages/AuthCallbackPage';
 import DashboardPage from './pages/DashboardPage';
 import NewJobPage from './pages/NewJobPage';
 import JobDetailsPage from './pages/JobDetailsPage';
 import MastersPage from './pages/MastersPage';
+import UsersPage from './pages/UsersPage';
 import Layout from './components/Layout';
 
 function PrivateRoute({ children }) {
@@ -22,21 +24,28 @@ function PrivateRoute({ children }) {
   return user ? children : <Navigate to="/login" replace />;
 }
 
+function PermissionRoute({ permission, children }) {
+  const { can } = useAuth();
+  return can(permission) ? children : <Navigate to="/" replace />;
+}
+
 function AppRoutes() {
   const { user } = useAuth();
   
   return (
     <Routes>
       <Route path="/login" element={user ? <Navigate to="/" replace /> : <LoginPage />} />
+      <Route path="/auth/callback" element={<AuthCallbackPage />} />
       <Route path="/" element={
         <PrivateRoute>
           <Layout />
         </PrivateRoute>
       }>
         <Route index element={<DashboardPage />} />
-        <Route path="new-job" element={<NewJobPage />} />
+        <Route path="new-job" element={<PermissionRoute permission="jobs:create"><NewJobPage /></PermissionRoute>} />
         <Route path="job/:jobId" element={<JobDetailsPage />} />
-        <Route path="masters" element={<MastersPage />} />
+        <Route path="masters" element={<PermissionRoute permission="masters:view"><MastersPage /></PermissionRoute>} />
+        <Route path="users" element={<PermissionRoute permission="users:manage"><UsersPage /></PermissionRoute>} />
       </Route>
     </Routes>
   );
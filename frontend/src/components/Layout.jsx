@@ -9,19 +9,21 @@ import {
   Menu, 
   X,
   Scale,
-  User
+  User,
+  Users
 } from 'lucide-react';
 
 export default function Layout() {
-  const { user, logout } = useAuth();
+  const { user, logout, can } = useAuth();
   const location = useLocation();
   const [sidebarOpen, setSidebarOpen] = useState(false);
 
   const navigation = [
     { name: 'Dashboard', href: '/', icon: LayoutDashboard },
-    { name: 'New Audit Job', href: '/new-job', icon: FilePlus },
-    { name: 'Masters', href: '/masters', icon: Settings },
-  ];
+    { name: 'New Audit Job', href: '/new-job', icon: FilePlus, permission: 'jobs:create' },
+    { name: 'Masters', href: '/masters', icon: Settings, permission: 'masters:view' },
+    { name: 'Users', href: '/users', icon: Users, permission: 'users:manage' },
+  ].filter(item => !item.permission || can(item.permission));
 
   const isActive = (href) => {
     if (href === '/') return location.pathname === '/';
@@ -95,6 +97,7 @@ export default function Layout() {
               <div className="flex-1 min-w-0">
                 <p className="text-sm font-medium text-white truncate">{user?.name}</p>
                 <p className="text-xs text-gray-400 truncate">{user?.email}</p>
+                <p className="text-xs text-accent-gold capitalize">{user?.role}</p>
               </div>
             </div>
             <button
@@ -14,8 +14,8 @@ export function AuthProvider({ children }) {
     
     if (storedUser && storedToken) {
       authApi.verify()
-        .then(() => {
-          setUser(JSON.parse(storedUser));
+        .then((data) => {
+          setUser({ ...JSON.parse(storedUser), ...data.user });
         })
         .catch(() => {
           localStorage.removeItem('user');
@@ -35,13 +35,30 @@ export function AuthProvider({ children }) {
     return response.user;
   };
 
+  // SSO providers redirect back with a token only; fetch the user it belongs to
+  const completeLogin = async (token) => {
+    localStorage.setItem('token', token);
+    try {
+      const { user: verified } = await authApi.verify();
+      localStorage.setItem('user', JSON.stringify(verified));
+      setUser(verified);
+      return verified;
+    } catch (err) {
+      localStorage.removeItem('token');
+      throw err;
+    }
+  };
+
   const logout = async () => {
     await authApi.logout();
     setUser(null);
   };
 
+  // Permissions come from the server; the UI only hides what the API would reject anyway
+  const can = (permission) => !!user?.permissions?.includes(permission);
+
   return (
-    <AuthContext.Provider value={{ user, login, logout, loading }}>
+    <AuthContext.Provider value={{ user, login, completeLogin, logout, loading, can }}>
       {children}
     </AuthContext.Provider>
   );
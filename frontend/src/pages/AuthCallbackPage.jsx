@@ -0,0 +1,33 @@
+import React, { useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+
+// Landing page for SSO redirects: the API puts the session token in the URL fragment
+export default function AuthCallbackPage() {
+  const { completeLogin } = useAuth();
+  const navigate = useNavigate();
+  const handledRef = useRef(false); // StrictMode runs effects twice in dev
+
+  useEffect(() => {
+    if (handledRef.current) return;
+    handledRef.current = true;
+
+    const token = new URLSearchParams(window.location.hash.slice(1)).get('token');
+    window.history.replaceState(null, '', window.location.pathname); // drop the token from history
+
+    if (!token) {
+      navigate('/login?error=' + encodeURIComponent('Sign-in did not return a session'), { replace: true });
+      return;
+    }
+
+    completeLogin(token)
+      .then(() => navigate('/', { replace: true }))
+      .catch((err) => navigate('/login?error=' + encodeURIComponent(err.message || 'Login failed'), { replace: true }));
+  }, []); // eslint-disable-line react-hooks/exhaustive-deps
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50">
+      <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+    </div>
+  );
+}
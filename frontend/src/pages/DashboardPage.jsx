@@ -1,10 +1,11 @@
 import React, { useState, useEffect } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { jobsApi } from '../services/api';
+import { useAuth } from '../context/AuthContext';
 import {
   Plus, FileText, Clock, CheckCircle2, AlertCircle,
   Loader2, TrendingUp, FileWarning, ChevronRight,
-  PlayCircle, AlertTriangle
+  PlayCircle, AlertTriangle, PauseCircle, XCircle
 } from 'lucide-react';
 
 export default function DashboardPage() {
@@ -13,6 +14,7 @@ export default function DashboardPage() {
   const [error,   setError]   = useState('');
   const [resuming, setResuming] = useState({}); // { jobId: true }
   const navigate = useNavigate();
+  const { can }  = useAuth();
 
   useEffect(() => { loadJobs(); }, []);
 
@@ -54,11 +56,15 @@ export default function DashboardPage() {
       'generating-report':{ color: 'bg-blue-100 text-blue-700',  icon: Loader2,       label: 'Generating' },
       completed:         { color: 'bg-green-100 text-green-700', icon: CheckCircle2,  label: 'Completed' },
       failed:            { color: 'bg-red-100 text-red-700',     icon: AlertCircle,   label: 'Failed' },
+      pausing:           { color: 'bg-amber-100 text-amber-700', icon: Loader2,       label: 'Pausing' },
+      paused:            { color: 'bg-amber-100 text-amber-700', icon: PauseCircle,   label: 'Paused' },
+      cancelling:        { color: 'bg-red-100 text-red-700',     icon: Loader2,       label: 'Cancelling' },
+      cancelled:         { color: 'bg-gray-100 text-gray-700',   icon: XCircle,       label: 'Cancelled' },
       interrupted:       { color: 'bg-amber-100 text-amber-700', icon: AlertTriangle, label: 'Interrupted' },
     };
     const badge = badges[status] || badges.created;
     const Icon  = badge.icon;
-    const spin  = ['extracting','processing','analyzing','generating-report'].includes(status);
+    const spin  = ['extracting','processing','analyzing','generating-report','pausing','cancelling'].includes(status);
     return (
       <span className={`inline-flex items-center gap-1.5 px-2.5 py-1 rounded-full text-xs font-medium ${badge.color}`}>
         <Icon className={`w-3.5 h-3.5 ${spin ? 'animate-spin' : ''}`} />
@@ -69,12 +75,13 @@ export default function DashboardPage() {
 
   // ── Determine if a job can be resumed ──
   const canResume = (job) => {
-    const activeStatuses = new Set(['extracting','processing','analyzing','generating-report','completed','failed','created']);
+    const activeStatuses = new Set(['extracting','processing','analyzing','generating-report','completed','failed','created',
+      'pausing','cancelling','cancelled']);
     return !activeStatuses.has(job.status) && job.totalDocuments > 0;
   };
 
   // ── Effective status (show interrupted if resumable) ──
-  const effectiveStatus = (job) => canResume(job) ? 'interrupted' : job.status;
+  const effectiveStatus = (job) => canResume(job) && job.status !== 'paused' ? 'interrupted' : job.status;
 
   // ── Stats ──
   const stats = {
@@ -99,9 +106,11 @@ export default function DashboardPage() {
           <h1 className="text-2xl font-display font-bold text-gray-900">Dashboard</h1>
           <p className="text-gray-500 mt-1">Overview of your legal audit jobs</p>
         </div>
-        <Link to="/new-job" className="btn-primary inline-flex items-center gap-2">
-          <Plus className="w-5 h-5" /> New Audit Job
-        </Link>
+        {can('jobs:create') && (
+          <Link to="/new-job" className="btn-primary inline-flex items-center gap-2">
+            <Plus className="w-5 h-5" /> New Audit Job
+          </Link>
+        )}
       </div>
 
       {/* Stats */}
@@ -168,15 +177,17 @@ export default function DashboardPage() {
             <FileWarning className="w-12 h-12 text-gray-300 mx-auto mb-4" />
             <h3 className="font-medium text-gray-900 mb-1">No jobs yet</h3>
             <p className="text-gray-500 text-sm mb-4">Create your first legal audit job to get started</p>
-            <Link to="/new-job" className="btn-primary inline-flex items-center gap-2">
-              <Plus className="w-4 h-4" /> Create Job
-            </Link>
+            {can('jobs:create') && (
+              <Link to="/new-job" className="btn-primary inline-flex items-center gap-2">
+                <Plus className="w-4 h-4" /> Create Job
+              </Link>
+            )}
           </div>
         ) : (
           <div className="divide-y divide-gray-100">
             {jobs.map((job) => {
               const status   = effectiveStatus(job);
-              const resumable = canResume(job);
+              const resumable = canResume(job) && can('jobs:resume');
               const isResuming = resuming[job.id];
 
               return (
@@ -186,12 +197,12 @@ export default function DashboardPage() {
                   <Link to={`/job/${job.id}`} className="flex items-center gap-4 flex-1 min-w-0">
                     <div className={`w-10 h-10 rounded-lg flex items-center justify-center flex-shrink-0 ${
                       status === 'completed'    ? 'bg-green-100' :
-                      status === 'interrupted'  ? 'bg-amber-100' :
+                      status === 'interrupted' || status === 'paused' ? 'bg-amber-100' :
                       status === 'failed'       ? 'bg-red-100'   : 'bg-gray-100'
                     }`}>
                       <FileText className={`w-5 h-5 ${
                         status === 'completed'   ? 'text-green-600' :
-                        status === 'interrupted' ? 'text-amber-600' :
+                        status === 'interrupted' || status === 'paused' ? 'text-amber-600' :
                         status === 'failed'      ? 'text-red-600'   : 'text-gray-500'
                       }`} />
                     </div>
@@ -1,10 +1,11 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { useParams, Link } from 'react-router-dom';
-import { jobsApi } from '../services/api';
+import { jobsApi, mastersApi } from '../services/api';
+import { useAuth } from '../context/AuthContext';
 import {
   Download, ArrowLeft, FileText, AlertTriangle,
   CheckCircle2, Clock, Loader2, RefreshCw,
-  ExternalLink, ScrollText, PlayCircle, Zap
+  ExternalLink, ScrollText, PlayCircle, Zap, PauseCircle, XCircle, RotateCcw
 } from 'lucide-react';
 
 /* ─────────────────────────────────────────────────
@@ -15,29 +16,36 @@ import {
    ───────────────────────────────────────────────── */
 const ACTIVE_STATUSES = new Set([
   'extracting', 'extracted', 'processing',
-  'analyzing', 'analysis-complete', 'generating-report'
+  'analyzing', 'analysis-complete', 'generating-report',
+  'pausing', 'cancelling'
 ]);
 
 const RESUMABLE_STATUSES = new Set([
   'uploaded', 'extracted', 'processing', 'analyzing'
 ]);
 
+const formatUsd = (usd) => `$${(usd || 0).toFixed(2)}`;
+
 export default function JobDetailsPage() {
   const { jobId }       = useParams();
+  const { can }         = useAuth();
   const [job,           setJob]           = useState(null);
   const [loading,       setLoading]       = useState(true);
   const [dlLoading,     setDlLoading]     = useState(false);
   const [resumeLoading, setResumeLoading] = useState(false);
+  const [controlLoading, setControlLoading] = useState(null); // 'pause' | 'cancel'
   const [autoResuming,  setAutoResuming]  = useState(false);
   const [error,         setError]         = useState('');
   const [logs,          setLogs]          = useState([]);
   const [logsLoading,   setLogsLoading]   = useState(false);
   const [liveProgress,  setLiveProgress]  = useState(null); // { current, total, pct }
+  const [newBudget,     setNewBudget]     = useState('');   // raised cap for a job paused by its budget
 
   const unsubRef      = useRef(null);
   const pollRef       = useRef(null);
   const reconnectRef  = useRef(null);
   const jobRef        = useRef(null); // always-current job for callbacks
+  const lastEventIdRef = useRef(null); // last SSE event id seen, replayed from on reconnect
 
   /* ── helpers ── */
   const ts = () => new Date().toISOString().split('T')[1].split('.')[0];
@@ -79,6 +87,12 @@ export default function JobDetailsPage() {
       onConnected: () => {
         if (reconnectRef.current) { clearTimeout(reconnectRef.current); reconnectRef.current = null; }
       },
+      onEventId: (id) => { lastEventIdRef.current = id; },
+      onResync: () => {
+        // Missed events fell out of the server's replay window — reload persisted state instead
+        loadLogs();
+        loadJob(true);
+      },
       onLog: (d) => {
         addLiveLog(d.message,
           d.message.includes('✓') ? 'success' :
@@ -90,12 +104,29 @@ export default function JobDetailsPage() {
         setJob(prev => prev ? { ...prev, processedCount: d.current, totalDocuments: d.total } : prev);
       },
       onExtractionComplete: (d) => {
-        setJob(prev => prev ? { ...prev, status: 'processing', totalDocuments: d.totalDocuments } : prev);
+        setJob(prev => prev ? { ...prev, status: 'processing', totalDocuments: d.totalDocuments, totalCases: d.totalCases,
+          estimate: d.estimate } : prev);
       },
       onAnalysisComplete: (d) => {
         setJob(prev => prev ? { ...prev, status: 'generating-report',
           processedCount: d.processed, failedCount: d.failed } : prev);
       },
+      onPaused: async (d) => {
+        setLiveProgress(null);
+        await loadJob(true);
+        addLiveLog(d.budgetWarning
+          ? `⏸ Job paused — projected cost ${formatUsd(d.budgetWarning.projectedUsd)} exceeds the budget of ${formatUsd(d.budgetWarning.budgetUsd)}`
+          : `⏸ Job paused — ${d.pending} document(s) left to analyse`, 'warning');
+        if (unsubRef.current) { unsubRef.current(); unsubRef.current = null; }
+        if (pollRef.current)  { clearInterval(pollRef.current); pollRef.current = null; }
+      },
+      onCancelled: async () => {
+        setLiveProgress(null);
+        await loadJob(true);
+        addLiveLog('✕ Job cancelled', 'warning');
+        if (unsubRef.current) { unsubRef.current(); unsubRef.current = null; }
+        if (pollRef.current)  { clearInterval(pollRef.current); pollRef.current = null; }
+      },
       onComplete: async () => {
         setLiveProgress(null);
         await loadJob(true);
@@ -108,7 +139,7 @@ export default function JobDetailsPage() {
         if (msg === 'Connection lost') {
           addLiveLog('Connection lost — reconnecting in 5s...', 'warning');
           reconnectRef.current = setTimeout(() => {
-            if (jobRef.current && !['completed','failed'].includes(jobRef.current.status)) {
+            if (jobRef.current && !['completed','failed','paused','cancelled'].includes(jobRef.current.status)) {
               subscribe();
             }
           }, 5000);
@@ -116,10 +147,10 @@ export default function JobDetailsPage() {
           addLiveLog(`Error: ${msg}`, 'error');
         }
       }
-    });
+    }, lastEventIdRef.current);
 
     unsubRef.current = unsub;
-  }, [jobId, loadJob]);
+  }, [jobId, loadJob, loadLogs]);
 
   /* ── auto-resume: called once when we detect an interrupted job ── */
   const autoResume = useCallback(async (currentJob) => {
@@ -129,7 +160,7 @@ export default function JobDetailsPage() {
       currentJob.totalDocuments > 0 &&
       (currentJob.processedCount || 0) < currentJob.totalDocuments;
 
-    if (!isStuck) return;
+    if (!isStuck || !can('jobs:resume')) return;
 
     console.log('[JobDetails] Auto-resuming interrupted job:', jobId);
     setAutoResuming(true);
@@ -146,14 +177,21 @@ export default function JobDetailsPage() {
     } finally {
       setAutoResuming(false);
     }
-  }, [jobId, subscribe, loadJob]);
+  }, [jobId, subscribe, loadJob, can]);
 
   /* ── manual resume button ── */
   const handleResume = async () => {
+    // A job paused by its budget cap only continues under a higher cap
+    const budgetUsd = Number(newBudget);
+    if (job?.budgetWarning && !(budgetUsd > 0)) {
+      setError('Enter a new budget cap to resume');
+      return;
+    }
     setResumeLoading(true);
     setError('');
     try {
-      const result = await jobsApi.resumeJob(jobId);
+      const result = await jobsApi.resumeJob(jobId, job?.budgetWarning ? { budgetUsd } : {});
+      setNewBudget('');
       addLiveLog(`Resume triggered: ${result.message || 'processing...'}`, 'success');
       subscribe();
       pollRef.current = setInterval(() => loadJob(true), 8000);
@@ -165,6 +203,30 @@ export default function JobDetailsPage() {
     }
   };
 
+  /* ── reprocess started from the panel ── */
+  const handleReprocessStarted = async (result) => {
+    addLiveLog(`↻ ${result.message}`, 'success');
+    subscribe();
+    pollRef.current = setInterval(() => loadJob(true), 8000);
+    await loadJob(true);
+  };
+
+  /* ── pause / cancel buttons ── */
+  const handleControl = async (action) => {
+    if (action === 'cancel' && !window.confirm('Cancel this job? Documents not yet analysed will be skipped and the job cannot be resumed.')) return;
+    setControlLoading(action);
+    setError('');
+    try {
+      const result = action === 'pause' ? await jobsApi.pauseJob(jobId) : await jobsApi.cancelJob(jobId);
+      addLiveLog(result.message, 'warning');
+      setJob(prev => prev ? { ...prev, status: result.status } : prev);
+    } catch (err) {
+      setError(`${action === 'pause' ? 'Pause' : 'Cancel'} failed: ${err.message}`);
+    } finally {
+      setControlLoading(null);
+    }
+  };
+
   /* ── initial load ── */
   useEffect(() => {
     let mounted = true;
@@ -175,7 +237,7 @@ export default function JobDetailsPage() {
 
       await loadLogs();
 
-      if (j.status === 'completed' || j.status === 'failed') return;
+      if (['completed', 'failed', 'paused', 'cancelled'].includes(j.status)) return;
 
       if (ACTIVE_STATUSES.has(j.status)) {
         // Job is actively running — just connect to SSE and watch
@@ -206,12 +268,16 @@ export default function JobDetailsPage() {
   };
 
   /* ── derived state ── */
+  const canDownload     = can('reports:download');
   const canManualResume = job &&
     !ACTIVE_STATUSES.has(job.status) &&
-    !['completed', 'failed', 'created', 'uploaded'].includes(job.status) &&
+    !['completed', 'failed', 'cancelled', 'created', 'uploaded'].includes(job.status) &&
     job.totalDocuments > 0;
 
   const isProcessing = ACTIVE_STATUSES.has(job?.status);
+  const canControl   = isProcessing && can('jobs:resume') &&
+    !['pausing', 'cancelling', 'generating-report'].includes(job?.status);
+  const isPaused     = job?.status === 'paused';
 
   const progress = liveProgress
     ? liveProgress.pct
@@ -231,10 +297,14 @@ export default function JobDetailsPage() {
     'generating-report':{ label: 'Generating Report',color: 'blue',   icon: Loader2 },
     completed:         { label: 'Completed',         color: 'green',  icon: CheckCircle2 },
     failed:            { label: 'Failed',            color: 'red',    icon: AlertTriangle },
+    pausing:           { label: 'Pausing',           color: 'amber',  icon: Loader2 },
+    paused:            { label: 'Paused',            color: 'amber',  icon: PauseCircle },
+    cancelling:        { label: 'Cancelling',        color: 'red',    icon: Loader2 },
+    cancelled:         { label: 'Cancelled',         color: 'gray',   icon: XCircle },
     interrupted:       { label: 'Interrupted',       color: 'amber',  icon: AlertTriangle }
   })[status] || { label: 'Unknown', color: 'gray', icon: Clock };
 
-  const effectiveStatus = canManualResume ? 'interrupted' : job?.status;
+  const effectiveStatus = canManualResume && !isPaused ? 'interrupted' : job?.status;
   const statusInfo      = getStatusInfo(effectiveStatus);
   const StatusIcon      = statusInfo.icon;
 
@@ -283,7 +353,27 @@ export default function JobDetailsPage() {
             <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
             Refresh
           </button>
-          {job?.status === 'completed' && (
+          {canControl && (
+            <>
+              <button onClick={() => handleControl('pause')} disabled={!!controlLoading} className="btn-secondary inline-flex items-center gap-2">
+                {controlLoading === 'pause' ? <Loader2 className="w-4 h-4 animate-spin" /> : <PauseCircle className="w-4 h-4" />}
+                Pause
+              </button>
+              <button onClick={() => handleControl('cancel')} disabled={!!controlLoading}
+                className="inline-flex items-center gap-2 border border-red-200 text-red-600 hover:bg-red-50 font-medium py-2 px-4 rounded-lg transition-all">
+                {controlLoading === 'cancel' ? <Loader2 className="w-4 h-4 animate-spin" /> : <XCircle className="w-4 h-4" />}
+                Cancel
+              </button>
+            </>
+          )}
+          {isPaused && can('jobs:resume') && (
+            <button onClick={() => handleControl('cancel')} disabled={!!controlLoading}
+              className="inline-flex items-center gap-2 border border-red-200 text-red-600 hover:bg-red-50 font-medium py-2 px-4 rounded-lg transition-all">
+              {controlLoading === 'cancel' ? <Loader2 className="w-4 h-4 animate-spin" /> : <XCircle className="w-4 h-4" />}
+              Cancel
+            </button>
+          )}
+          {job?.status === 'completed' && canDownload && (
             <button onClick={handleDownload} disabled={dlLoading} className="btn-primary inline-flex items-center gap-2">
               {dlLoading ? <Loader2 className="w-4 h-4 animate-spin" /> : <Download className="w-4 h-4" />}
               Download Report
@@ -320,9 +410,13 @@ export default function JobDetailsPage() {
           <div>
             <h2 className="text-xl font-semibold text-gray-900">{statusInfo.label}</h2>
             <p className="text-gray-500 text-sm">
-              {isProcessing        ? 'Processing your documents...' :
+              {job?.status === 'pausing'    ? 'Pausing — finishing documents already in progress...' :
+               job?.status === 'cancelling' ? 'Cancelling — finishing documents already in progress...' :
+               isProcessing        ? 'Processing your documents...' :
                job?.status === 'completed' ? 'Your audit report is ready' :
                job?.status === 'failed'    ? 'An error occurred' :
+               job?.status === 'cancelled' ? 'Job was cancelled' :
+               isPaused                   ? 'Job paused — can be resumed' :
                autoResuming               ? 'Resuming from checkpoint...' :
                canManualResume            ? 'Job interrupted — can be resumed' :
                'Waiting'}
@@ -360,7 +454,10 @@ export default function JobDetailsPage() {
         <div className="grid grid-cols-2 sm:grid-cols-4 gap-4">
           <div className="bg-gray-50 rounded-lg p-4">
             <p className="text-2xl font-bold text-gray-900">{job?.totalDocuments || '-'}</p>
-            <p className="text-sm text-gray-500">Total Documents</p>
+            <p className="text-sm text-gray-500">
+              Total Documents
+              {job?.totalCases > 0 && job.totalCases !== job.totalDocuments && ` · ${job.totalCases} cases`}
+            </p>
           </div>
           <div className="bg-gray-50 rounded-lg p-4">
             <p className="text-2xl font-bold text-green-600">{job?.processedCount || 0}</p>
@@ -393,24 +490,49 @@ export default function JobDetailsPage() {
             </div>
             {job?.fileName && <div><dt className="text-sm text-gray-500">File</dt><dd className="text-gray-900">{job.fileName}</dd></div>}
             {job?.fileSize && <div><dt className="text-sm text-gray-500">Size</dt><dd className="text-gray-900">{(job.fileSize/1024/1024).toFixed(2)} MB</dd></div>}
+            {job?.promptVersion && <div><dt className="text-sm text-gray-500">Prompt Version</dt><dd className="font-mono text-gray-900">{job.promptVersion}</dd></div>}
+            {job?.modelId && <div><dt className="text-sm text-gray-500">Model</dt><dd className="font-mono text-gray-900">{job.modelId}</dd></div>}
+            {job?.estimate && (
+              <div>
+                <dt className="text-sm text-gray-500">Estimated Cost</dt>
+                <dd className="text-gray-900">{formatUsd(job.estimate.costUsd)} <span className="text-sm text-gray-500">({job.estimate.apiCalls} model calls)</span></dd>
+              </div>
+            )}
+            {(job?.totalCostUsd > 0 || job?.estimate) && <div><dt className="text-sm text-gray-500">Cost So Far</dt><dd className="text-gray-900">{formatUsd(job.totalCostUsd)}</dd></div>}
+            {job?.budgetUsd && <div><dt className="text-sm text-gray-500">Budget Cap</dt><dd className="text-gray-900">{formatUsd(job.budgetUsd)}</dd></div>}
             {job?.completedAt && <div><dt className="text-sm text-gray-500">Completed At</dt><dd className="text-gray-900">{new Date(job.completedAt).toLocaleString('en-IN')}</dd></div>}
           </dl>
         </div>
       </div>
 
       {/* Manual resume (only shown if auto-resume didn't trigger) */}
-      {canManualResume && !autoResuming && (
+      {canManualResume && !autoResuming && can('jobs:resume') && (
         <div className="card p-6 bg-amber-50 border-amber-200">
           <div className="flex items-start gap-4">
             <div className="w-12 h-12 bg-amber-100 rounded-xl flex items-center justify-center flex-shrink-0">
               <AlertTriangle className="w-6 h-6 text-amber-600" />
             </div>
             <div className="flex-1">
-              <h3 className="font-semibold text-amber-900 mb-1">Job Interrupted</h3>
+              <h3 className="font-semibold text-amber-900 mb-1">{isPaused ? 'Job Paused' : 'Job Interrupted'}</h3>
               <p className="text-amber-700 text-sm mb-4">
                 {job?.processedCount} of {job?.totalDocuments} documents were processed.
                 Resume will continue from the last checkpoint — no documents will be reanalysed.
               </p>
+              {job?.budgetWarning && (
+                <div className="mb-4">
+                  <p className="text-amber-800 text-sm font-medium mb-2">
+                    Paused by the budget cap: the projected cost of {formatUsd(job.budgetWarning.projectedUsd)} exceeds
+                    the budget of {formatUsd(job.budgetWarning.budgetUsd)} ({formatUsd(job.budgetWarning.spentUsd)} spent so far).
+                  </p>
+                  <label className="flex items-center gap-3 text-sm">
+                    <span className="text-amber-800">New budget cap (USD)</span>
+                    <input type="number" min="0" step="0.01" value={newBudget}
+                      placeholder={job.budgetWarning.projectedUsd.toFixed(2)}
+                      onChange={(e) => setNewBudget(e.target.value)}
+                      className="input w-32 py-1" />
+                  </label>
+                </div>
+              )}
               <button onClick={handleResume} disabled={resumeLoading}
                 className="inline-flex items-center gap-2 bg-amber-600 hover:bg-amber-700 text-white font-medium py-2.5 px-5 rounded-lg transition-all">
                 {resumeLoading ? <Loader2 className="w-4 h-4 animate-spin" /> : <PlayCircle className="w-4 h-4" />}
@@ -433,17 +555,24 @@ export default function JobDetailsPage() {
               <p className="text-green-700 text-sm mb-4">
                 Your legal audit report is ready. The Excel file contains detailed results and a risk summary.
               </p>
-              <button onClick={handleDownload} disabled={dlLoading}
-                className="inline-flex items-center gap-2 bg-green-600 hover:bg-green-700 text-white font-medium py-2.5 px-5 rounded-lg transition-all">
-                {dlLoading ? <Loader2 className="w-4 h-4 animate-spin" /> : <Download className="w-4 h-4" />}
-                Download Excel Report
-                <ExternalLink className="w-4 h-4 ml-1" />
-              </button>
+              {canDownload && (
+                <button onClick={handleDownload} disabled={dlLoading}
+                  className="inline-flex items-center gap-2 bg-green-600 hover:bg-green-700 text-white font-medium py-2.5 px-5 rounded-lg transition-all">
+                  {dlLoading ? <Loader2 className="w-4 h-4 animate-spin" /> : <Download className="w-4 h-4" />}
+                  Download Excel Report
+                  <ExternalLink className="w-4 h-4 ml-1" />
+                </button>
+              )}
             </div>
           </div>
         </div>
       )}
 
+      {/* Reprocess (completed) */}
+      {job?.status === 'completed' && can('jobs:create') && (
+        <ReprocessPanel jobId={jobId} canPickVersion={can('masters:view')} onStarted={handleReprocessStarted} />
+      )}
+
       {/* Logs */}
       {logs.length > 0 && (
         <div className="card overflow-hidden">
@@ -476,4 +605,185 @@ export default function JobDetailsPage() {
 
     </div>
   );
-}
\ No newline at end of file
+}
+
+/* ─────────────────────────────────────────────────
+   REPROCESS PANEL
+   Re-runs chosen cases of a finished job and
+   regenerates the report. Whole cases are re-run,
+   since their documents make up one report row.
+   ───────────────────────────────────────────────── */
+function ReprocessPanel({ jobId, canPickVersion, onStarted }) {
+  const [open,      setOpen]      = useState(false);
+  const [cases,     setCases]     = useState([]);
+  const [pinned,    setPinned]    = useState(null);
+  const [versions,  setVersions]  = useState([]);
+  const [mode,      setMode]      = useState('failed');  // 'failed' | 'confidence' | 'selected'
+  const [threshold, setThreshold] = useState(70);
+  const [selected,  setSelected]  = useState(new Set());
+  const [version,   setVersion]   = useState('');
+  const [loading,   setLoading]   = useState(false);
+  const [starting,  setStarting]  = useState(false);
+  const [error,     setError]     = useState('');
+
+  const load = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const data = await jobsApi.getCases(jobId);
+      setCases(data.cases);
+      setPinned(data.promptVersion);
+      if (canPickVersion) {
+        const history = await mastersApi.getHistory().catch(() => ({ versions: [] }));
+        setVersions(history.versions || []);
+      }
+    } catch (err) {
+      setError(`Failed to load cases: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleOpen = () => {
+    if (!open && !cases.length) load();
+    setOpen(!open);
+  };
+
+  // Same rules as the server, so the count shown is what will run
+  const matching = mode === 'failed'
+    ? cases.filter(c => c.status === 'failed' || c.documents.some(d => d.status === 'failed'))
+    : mode === 'confidence'
+      ? cases.filter(c => typeof c.confidence === 'number' && c.confidence < threshold)
+      : cases.filter(c => selected.has(c.id));
+  const docCount = matching.reduce((sum, c) => sum + c.documents.length, 0);
+
+  const toggleCase = (id) => setSelected(prev => {
+    const next = new Set(prev);
+    if (next.has(id)) next.delete(id); else next.add(id);
+    return next;
+  });
+
+  const start = async () => {
+    const body = mode === 'failed'     ? { failed: true }
+               : mode === 'confidence' ? { belowConfidence: threshold }
+               :                         { caseIds: [...selected] };
+    if (version) body.promptVersion = version;
+    setStarting(true);
+    setError('');
+    try {
+      const result = await jobsApi.reprocessJob(jobId, body);
+      setOpen(false);
+      setCases([]);
+      setSelected(new Set());
+      await onStarted(result);
+    } catch (err) {
+      setError(`Reprocess failed: ${err.message}`);
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  const statusCls = (status) => ({
+    completed:       'bg-green-100 text-green-700',
+    'manual-review': 'bg-amber-100 text-amber-700',
+    failed:          'bg-red-100 text-red-700'
+  })[status] || 'bg-gray-100 text-gray-700';
+
+  return (
+    <div className="card p-6">
+      <div className="flex items-start gap-4">
+        <div className="w-12 h-12 bg-primary-100 rounded-xl flex items-center justify-center flex-shrink-0">
+          <RotateCcw className="w-6 h-6 text-primary-600" />
+        </div>
+        <div className="flex-1 min-w-0">
+          <div className="flex items-center justify-between gap-4">
+            <div>
+              <h3 className="font-semibold text-gray-900 mb-1">Reprocess Documents</h3>
+              <p className="text-gray-500 text-sm">
+                Re-run analysis for failed, low-confidence or chosen cases, then regenerate the report.
+              </p>
+            </div>
+            <button onClick={toggleOpen} className="btn-secondary flex-shrink-0">
+              {open ? 'Close' : 'Choose…'}
+            </button>
+          </div>
+
+          {open && (
+            <div className="mt-5 space-y-4">
+              {error && <p className="text-sm text-red-600">{error}</p>}
+              {loading ? (
+                <div className="flex items-center gap-2 text-sm text-gray-500">
+                  <Loader2 className="w-4 h-4 animate-spin" /> Loading cases...
+                </div>
+              ) : (
+                <>
+                  <div className="flex flex-wrap gap-4 text-sm">
+                    <label className="inline-flex items-center gap-2">
+                      <input type="radio" checked={mode === 'failed'} onChange={() => setMode('failed')} />
+                      All failed
+                    </label>
+                    <label className="inline-flex items-center gap-2">
+                      <input type="radio" checked={mode === 'confidence'} onChange={() => setMode('confidence')} />
+                      Confidence below
+                      <input type="number" min="0" max="100" value={threshold}
+                        onChange={(e) => setThreshold(Math.min(100, Math.max(0, Number(e.target.value))))}
+                        onFocus={() => setMode('confidence')}
+                        className="input w-20 py-1" />
+                    </label>
+                    <label className="inline-flex items-center gap-2">
+                      <input type="radio" checked={mode === 'selected'} onChange={() => setMode('selected')} />
+                      Choose cases
+                    </label>
+                  </div>
+
+                  {mode === 'selected' && (
+                    <div className="border border-gray-200 rounded-lg max-h-72 overflow-y-auto divide-y divide-gray-100">
+                      {cases.map(c => (
+                        <label key={c.id} className="flex items-start gap-3 px-3 py-2 hover:bg-gray-50 cursor-pointer">
+                          <input type="checkbox" className="mt-1" checked={selected.has(c.id)} onChange={() => toggleCase(c.id)} />
+                          <div className="min-w-0 flex-1">
+                            <div className="flex items-center gap-2">
+                              <span className="font-medium text-gray-900 truncate">{c.name}</span>
+                              <span className={`px-2 py-0.5 rounded-full text-xs ${statusCls(c.status)}`}>{c.status}</span>
+                              {typeof c.confidence === 'number' && <span className="text-xs text-gray-500">{c.confidence}%</span>}
+                            </div>
+                            <p className="text-xs text-gray-500 truncate">
+                              {c.documents.map(d => d.status === 'failed' ? `${d.name} (failed)` : d.name).join(', ')}
+                            </p>
+                            {c.reason && <p className="text-xs text-red-600 truncate">{c.reason}</p>}
+                          </div>
+                        </label>
+                      ))}
+                    </div>
+                  )}
+
+                  {canPickVersion && versions.length > 0 && (
+                    <label className="flex items-center gap-3 text-sm">
+                      <span className="text-gray-600">Prompt version</span>
+                      <select value={version} onChange={(e) => setVersion(e.target.value)} className="input w-auto py-1">
+                        <option value="">Job's version ({pinned || 'built-in'})</option>
+                        {versions.filter(v => v.version !== pinned).map(v => (
+                          <option key={v.version} value={v.version}>v{v.version}</option>
+                        ))}
+                      </select>
+                    </label>
+                  )}
+
+                  <div className="flex items-center gap-4">
+                    <button onClick={start} disabled={starting || !matching.length} className="btn-primary inline-flex items-center gap-2">
+                      {starting ? <Loader2 className="w-4 h-4 animate-spin" /> : <RotateCcw className="w-4 h-4" />}
+                      Reprocess
+                    </button>
+                    <span className="text-sm text-gray-500">
+                      {matching.length} case{matching.length === 1 ? '' : 's'}, {docCount} document{docCount === 1 ? '' : 's'}
+                    </span>
+                  </div>
+                </>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,18 +1,34 @@
-import React, { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import { authApi } from '../services/api';
 import { Scale, Building2, Shield, ArrowRight } from 'lucide-react';
 
 export default function LoginPage() {
   const [email, setEmail] = useState('');
   const [showEmailInput, setShowEmailInput] = useState(false);
   const [loading, setLoading] = useState(false);
-  const [error, setError] = useState('');
+  const [searchParams] = useSearchParams();
+  const [error, setError] = useState(searchParams.get('error') || '');
+  const [providers, setProviders] = useState(null);
   const { login } = useAuth();
   const navigate = useNavigate();
 
+  useEffect(() => {
+    authApi.providers()
+      .then((data) => setProviders(data.providers || []))
+      .catch(() => setProviders([]));
+  }, []);
+
+  const ssoProvider = providers?.find(p => p.type === 'redirect');
+  const devProvider = providers?.find(p => p.id === 'dev-email');
+
   const handleO365Login = () => {
-    setShowEmailInput(true);
+    if (ssoProvider) {
+      window.location.href = authApi.authorizeUrl(ssoProvider.id);
+    } else {
+      setShowEmailInput(true);
+    }
   };
 
   const handleSubmit = async (e) => {
@@ -67,9 +83,16 @@ export default function LoginPage() {
                 <p className="text-gray-500 text-sm">Sign in to access your legal audit dashboard</p>
               </div>
 
+              {error && (
+                <div className="bg-red-50 text-red-600 text-sm p-3 rounded-lg">
+                  {error}
+                </div>
+              )}
+
               <button
                 onClick={handleO365Login}
-                className="w-full flex items-center justify-center gap-3 bg-[#0078D4] hover:bg-[#106EBE] text-white py-3.5 px-4 rounded-lg font-medium transition-all duration-200 shadow-lg hover:shadow-xl"
+                disabled={!providers || (!ssoProvider && !devProvider)}
+                className="w-full flex items-center justify-center gap-3 bg-[#0078D4] hover:bg-[#106EBE] text-white py-3.5 px-4 rounded-lg font-medium transition-all duration-200 shadow-lg hover:shadow-xl disabled:opacity-60"
               >
                 <svg className="w-5 h-5" viewBox="0 0 21 21" fill="none">
                   <rect x="1" y="1" width="9" height="9" fill="#F25022"/>
@@ -77,9 +100,18 @@ export default function LoginPage() {
                   <rect x="1" y="11" width="9" height="9" fill="#00A4EF"/>
                   <rect x="11" y="11" width="9" height="9" fill="#FFB900"/>
                 </svg>
-                Sign in with Office 365
+                Sign in with {ssoProvider?.label || 'Office 365'}
               </button>
 
+              {ssoProvider && devProvider && (
+                <button
+                  onClick={() => setShowEmailInput(true)}
+                  className="w-full text-sm text-gray-500 hover:text-gray-700"
+                >
+                  {devProvider.label}
+                </button>
+              )}
+
               <div className="relative">
                 <div className="absolute inset-0 flex items-center">
                   <div className="w-full border-t border-gray-200"></div>
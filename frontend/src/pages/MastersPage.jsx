@@ -11,11 +11,29 @@ import {
   FileText,
   List,
   AlertTriangle,
-  Shield
+  Shield,
+  History,
+  RotateCcw,
+  GitCompare,
+  ArrowUp,
+  ArrowDown,
+  Tags
 } from 'lucide-react';
 
+// Mirrors backend/src/config/fieldDefinitions.js
+const FIELD_TYPES = ['string', 'enum', 'date', 'number'];
+const MERGE_RULES = [
+  { id: 'first', label: 'First value' },
+  { id: 'concat', label: 'Concatenate' },
+  { id: 'yes-overrides', label: 'Yes overrides' },
+  { id: 'worst', label: 'Most severe' },
+  { id: 'average', label: 'Average' }
+];
+const CORE_FIELD_KEYS = ['risk_rating', 'enforceability_decision', 'confidence_score'];
+
 export default function MastersPage() {
-  const { user } = useAuth();
+  const { can } = useAuth();
+  const canEdit = can('masters:edit');
   const [prompt, setPrompt] = useState(null);
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
@@ -45,10 +63,7 @@ export default function MastersPage() {
     setSuccess('');
     
     try {
-      const response = await mastersApi.updatePrompt({
-        ...prompt,
-        updatedBy: user?.email
-      });
+      const response = await mastersApi.updatePrompt(prompt);
       setPrompt(response.prompt);
       setSuccess('Configuration saved successfully!');
       setTimeout(() => setSuccess(''), 3000);
@@ -91,6 +106,58 @@ export default function MastersPage() {
     }));
   };
 
+  const updateField = (index, changes) => {
+    setPrompt(prev => ({
+      ...prev,
+      fields: prev.fields.map((f, i) => i === index ? { ...f, ...changes } : f)
+    }));
+  };
+
+  const moveField = (index, offset) => {
+    setPrompt(prev => {
+      const fields = [...prev.fields];
+      const [moved] = fields.splice(index, 1);
+      fields.splice(index + offset, 0, moved);
+      return { ...prev, fields };
+    });
+  };
+
+  const addField = () => {
+    setPrompt(prev => ({
+      ...prev,
+      fields: [...prev.fields, { key: '', header: '', type: 'string', mergeRule: 'first', width: 20, description: '' }]
+    }));
+  };
+
+  const removeField = (index) => {
+    setPrompt(prev => ({ ...prev, fields: prev.fields.filter((_, i) => i !== index) }));
+  };
+
+  const updateDocumentType = (index, changes) => {
+    setPrompt(prev => ({
+      ...prev,
+      documentTypes: prev.documentTypes.map((t, i) => i === index ? { ...t, ...changes } : t)
+    }));
+  };
+
+  const toggleDocumentTypeField = (index, key) => {
+    const current = prompt.documentTypes[index].fieldKeys || [];
+    updateDocumentType(index, {
+      fieldKeys: current.includes(key) ? current.filter(k => k !== key) : [...current, key]
+    });
+  };
+
+  const addDocumentType = () => {
+    setPrompt(prev => ({
+      ...prev,
+      documentTypes: [...(prev.documentTypes || []), { key: '', label: '', filenamePatterns: [], instructions: '', fieldKeys: [] }]
+    }));
+  };
+
+  const removeDocumentType = (index) => {
+    setPrompt(prev => ({ ...prev, documentTypes: prev.documentTypes.filter((_, i) => i !== index) }));
+  };
+
   if (loading) {
     return (
       <div className="flex items-center justify-center h-64">
@@ -103,7 +170,9 @@ export default function MastersPage() {
     { id: 'system', label: 'System Role', icon: Settings },
     { id: 'scope', label: 'Review Scope', icon: List },
     { id: 'risk', label: 'Risk Classification', icon: AlertTriangle },
-    { id: 'output', label: 'Output Schema', icon: FileText }
+    { id: 'output', label: 'Output Schema', icon: FileText },
+    { id: 'types', label: 'Document Types', icon: Tags },
+    { id: 'history', label: 'History', icon: History }
   ];
 
   return (
@@ -123,18 +192,20 @@ export default function MastersPage() {
             <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
             Reload
           </button>
-          <button
-            onClick={handleSave}
-            disabled={saving}
-            className="btn-primary inline-flex items-center gap-2"
-          >
-            {saving ? (
-              <Loader2 className="w-4 h-4 animate-spin" />
-            ) : (
-              <Save className="w-4 h-4" />
-            )}
-            Save Changes
-          </button>
+          {canEdit && (
+            <button
+              onClick={handleSave}
+              disabled={saving}
+              className="btn-primary inline-flex items-center gap-2"
+            >
+              {saving ? (
+                <Loader2 className="w-4 h-4 animate-spin" />
+              ) : (
+                <Save className="w-4 h-4" />
+              )}
+              Save Changes
+            </button>
+          )}
         </div>
       </div>
 
@@ -170,6 +241,9 @@ export default function MastersPage() {
             <span className="text-gray-500">Updated By:</span>
             <span className="ml-2 text-gray-900">{prompt?.updatedBy || '-'}</span>
           </div>
+          {!canEdit && (
+            <span className="ml-auto text-xs text-gray-400">Read-only — your role cannot edit Masters</span>
+          )}
         </div>
       </div>
 
@@ -213,6 +287,7 @@ export default function MastersPage() {
                   value={prompt?.systemRole || ''}
                   onChange={(e) => setPrompt(prev => ({ ...prev, systemRole: e.target.value }))}
                   rows={10}
+                  disabled={!canEdit}
                   className="input font-mono text-sm"
                   placeholder="Enter the system role..."
                 />
@@ -240,27 +315,32 @@ export default function MastersPage() {
                         newScope[index] = e.target.value;
                         setPrompt(prev => ({ ...prev, scope: newScope }));
                       }}
+                      disabled={!canEdit}
                       className="input flex-1"
                     />
-                    <button
-                      onClick={() => {
-                        setPrompt(prev => ({
-                          ...prev,
-                          scope: prev.scope.filter((_, i) => i !== index)
-                        }));
-                      }}
-                      className="px-3 py-2 text-red-600 hover:bg-red-50 rounded-lg"
-                    >
-                      Remove
-                    </button>
+                    {canEdit && (
+                      <button
+                        onClick={() => {
+                          setPrompt(prev => ({
+                            ...prev,
+                            scope: prev.scope.filter((_, i) => i !== index)
+                          }));
+                        }}
+                        className="px-3 py-2 text-red-600 hover:bg-red-50 rounded-lg"
+                      >
+                        Remove
+                      </button>
+                    )}
                   </div>
                 ))}
-                <button
-                  onClick={() => setPrompt(prev => ({ ...prev, scope: [...prev.scope, ''] }))}
-                  className="btn-secondary text-sm mt-2"
-                >
-                  + Add Scope Item
-                </button>
+                {canEdit && (
+                  <button
+                    onClick={() => setPrompt(prev => ({ ...prev, scope: [...prev.scope, ''] }))}
+                    className="btn-secondary text-sm mt-2"
+                  >
+                    + Add Scope Item
+                  </button>
+                )}
               </div>
             </div>
           )}
@@ -284,22 +364,27 @@ export default function MastersPage() {
                       type="text"
                       value={item}
                       onChange={(e) => updateRiskClassification('high', index, e.target.value)}
+                      disabled={!canEdit}
                       className="input flex-1 border-red-200 focus:border-red-400 focus:ring-red-400"
                     />
-                    <button
-                      onClick={() => removeRiskItem('high', index)}
-                      className="px-3 py-2 text-red-600 hover:bg-red-50 rounded-lg"
-                    >
-                      ×
-                    </button>
+                    {canEdit && (
+                      <button
+                        onClick={() => removeRiskItem('high', index)}
+                        className="px-3 py-2 text-red-600 hover:bg-red-50 rounded-lg"
+                      >
+                        ×
+                      </button>
+                    )}
                   </div>
                 ))}
-                <button
-                  onClick={() => addRiskItem('high')}
-                  className="text-sm text-red-600 hover:text-red-700 font-medium mt-2"
-                >
-                  + Add High Risk Criterion
-                </button>
+                {canEdit && (
+                  <button
+                    onClick={() => addRiskItem('high')}
+                    className="text-sm text-red-600 hover:text-red-700 font-medium mt-2"
+                  >
+                    + Add High Risk Criterion
+                  </button>
+                )}
               </div>
 
               {/* Medium Risk */}
@@ -318,22 +403,27 @@ export default function MastersPage() {
                       type="text"
                       value={item}
                       onChange={(e) => updateRiskClassification('medium', index, e.target.value)}
+                      disabled={!canEdit}
                       className="input flex-1 border-amber-200 focus:border-amber-400 focus:ring-amber-400"
                     />
-                    <button
-                      onClick={() => removeRiskItem('medium', index)}
-                      className="px-3 py-2 text-amber-600 hover:bg-amber-50 rounded-lg"
-                    >
-                      ×
-                    </button>
+                    {canEdit && (
+                      <button
+                        onClick={() => removeRiskItem('medium', index)}
+                        className="px-3 py-2 text-amber-600 hover:bg-amber-50 rounded-lg"
+                      >
+                        ×
+                      </button>
+                    )}
                   </div>
                 ))}
-                <button
-                  onClick={() => addRiskItem('medium')}
-                  className="text-sm text-amber-600 hover:text-amber-700 font-medium mt-2"
-                >
-                  + Add Medium Risk Criterion
-                </button>
+                {canEdit && (
+                  <button
+                    onClick={() => addRiskItem('medium')}
+                    className="text-sm text-amber-600 hover:text-amber-700 font-medium mt-2"
+                  >
+                    + Add Medium Risk Criterion
+                  </button>
+                )}
               </div>
 
               {/* Low Risk */}
@@ -352,52 +442,494 @@ export default function MastersPage() {
                       type="text"
                       value={item}
                       onChange={(e) => updateRiskClassification('low', index, e.target.value)}
+                      disabled={!canEdit}
                       className="input flex-1 border-green-200 focus:border-green-400 focus:ring-green-400"
                     />
-                    <button
-                      onClick={() => removeRiskItem('low', index)}
-                      className="px-3 py-2 text-green-600 hover:bg-green-50 rounded-lg"
-                    >
-                      ×
-                    </button>
+                    {canEdit && (
+                      <button
+                        onClick={() => removeRiskItem('low', index)}
+                        className="px-3 py-2 text-green-600 hover:bg-green-50 rounded-lg"
+                      >
+                        ×
+                      </button>
+                    )}
                   </div>
                 ))}
-                <button
-                  onClick={() => addRiskItem('low')}
-                  className="text-sm text-green-600 hover:text-green-700 font-medium mt-2"
-                >
-                  + Add Low Risk Criterion
-                </button>
+                {canEdit && (
+                  <button
+                    onClick={() => addRiskItem('low')}
+                    className="text-sm text-green-600 hover:text-green-700 font-medium mt-2"
+                  >
+                    + Add Low Risk Criterion
+                  </button>
+                )}
               </div>
             </div>
           )}
 
           {/* Output Schema Tab */}
           {activeTab === 'output' && (
-            <div className="space-y-4">
+            <div className="space-y-8">
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Output Schema Fields
+                  Minimum Confidence
                 </label>
                 <p className="text-sm text-gray-500 mb-3">
-                  These are the columns that will appear in the generated Excel report.
+                  The model scores each document 0–100. Documents below this score are sent to manual review
+                  instead of being reported as processed.
                 </p>
-                <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
-                  {prompt?.outputSchema?.map((field, index) => (
-                    <div key={index} className="flex items-center gap-2 bg-gray-50 rounded-lg p-2">
-                      <span className="text-xs text-gray-400 w-6">{index + 1}.</span>
-                      <span className="text-sm text-gray-700 flex-1">{field}</span>
-                    </div>
-                  ))}
+                <div className="flex items-center gap-2">
+                  <input
+                    type="number"
+                    min="0"
+                    max="100"
+                    value={prompt?.minConfidence ?? ''}
+                    onChange={(e) => setPrompt(prev => ({
+                      ...prev,
+                      minConfidence: e.target.value === '' ? undefined : Math.min(100, Math.max(0, Number(e.target.value)))
+                    }))}
+                    disabled={!canEdit}
+                    className="input w-28"
+                  />
+                  <span className="text-sm text-gray-500">%</span>
                 </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Output Fields
+                </label>
+                <p className="text-sm text-gray-500 mb-3">
+                  Each field is requested from the model, merged across chunks of long documents and written as a
+                  column of the Excel report, in this order.
+                </p>
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-gray-500 border-b border-gray-200">
+                        <th className="py-2 pr-2 font-medium w-8">#</th>
+                        <th className="py-2 pr-2 font-medium">Key</th>
+                        <th className="py-2 pr-2 font-medium">Column Header</th>
+                        <th className="py-2 pr-2 font-medium">Type</th>
+                        <th className="py-2 pr-2 font-medium">Merge</th>
+                        <th className="py-2 pr-2 font-medium">Values / Guidance</th>
+                        <th className="py-2 pr-2 font-medium w-20">Width</th>
+                        <th className="py-2 pr-2 font-medium" title="Ask the model for this field">Extract</th>
+                        {canEdit && <th className="py-2"></th>}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {prompt?.fields?.map((field, index) => {
+                        const isCore = CORE_FIELD_KEYS.includes(field.key);
+                        return (
+                          <tr key={index} className="border-b border-gray-100 align-top">
+                            <td className="py-2 pr-2 text-xs text-gray-400">{index + 1}.</td>
+                            <td className="py-2 pr-2">
+                              <input
+                                type="text"
+                                value={field.key}
+                                onChange={(e) => updateField(index, { key: e.target.value })}
+                                disabled={!canEdit || isCore}
+                                className="input font-mono text-xs"
+                                placeholder="snake_case_key"
+                              />
+                            </td>
+                            <td className="py-2 pr-2">
+                              <input
+                                type="text"
+                                value={field.header}
+                                onChange={(e) => updateField(index, { header: e.target.value })}
+                                disabled={!canEdit}
+                                className="input text-xs"
+                              />
+                            </td>
+                            <td className="py-2 pr-2">
+                              <select
+                                value={field.type}
+                                onChange={(e) => updateField(index, { type: e.target.value })}
+                                disabled={!canEdit || isCore}
+                                className="input text-xs"
+                              >
+                                {FIELD_TYPES.map(t => <option key={t} value={t}>{t}</option>)}
+                              </select>
+                            </td>
+                            <td className="py-2 pr-2">
+                              <select
+                                value={field.mergeRule}
+                                onChange={(e) => updateField(index, { mergeRule: e.target.value })}
+                                disabled={!canEdit}
+                                className="input text-xs"
+                              >
+                                {MERGE_RULES.map(r => <option key={r.id} value={r.id}>{r.label}</option>)}
+                              </select>
+                            </td>
+                            <td className="py-2 pr-2 space-y-1">
+                              {field.type === 'enum' && (
+                                <input
+                                  type="text"
+                                  value={(field.enumValues || []).join(', ')}
+                                  onChange={(e) => updateField(index, {
+                                    enumValues: e.target.value.split(',').map(v => v.trim()).filter(Boolean)
+                                  })}
+                                  disabled={!canEdit}
+                                  className="input text-xs"
+                                  placeholder="Most severe first, comma separated"
+                                />
+                              )}
+                              <input
+                                type="text"
+                                value={field.description || ''}
+                                onChange={(e) => updateField(index, { description: e.target.value })}
+                                disabled={!canEdit}
+                                className="input text-xs"
+                                placeholder="Guidance for the model (optional)"
+                              />
+                            </td>
+                            <td className="py-2 pr-2">
+                              <input
+                                type="number"
+                                min="5"
+                                value={field.width || ''}
+                                onChange={(e) => updateField(index, { width: Number(e.target.value) || undefined })}
+                                disabled={!canEdit}
+                                className="input text-xs"
+                              />
+                            </td>
+                            <td className="py-2 pr-2 text-center">
+                              <input
+                                type="checkbox"
+                                checked={field.extract !== false}
+                                onChange={(e) => updateField(index, { extract: e.target.checked })}
+                                disabled={!canEdit || isCore}
+                                className="mt-2"
+                              />
+                            </td>
+                            {canEdit && (
+                              <td className="py-2 whitespace-nowrap">
+                                <button
+                                  onClick={() => moveField(index, -1)}
+                                  disabled={index === 0}
+                                  className="p-1 text-gray-400 hover:text-gray-700 disabled:opacity-30"
+                                >
+                                  <ArrowUp className="w-4 h-4" />
+                                </button>
+                                <button
+                                  onClick={() => moveField(index, 1)}
+                                  disabled={index === prompt.fields.length - 1}
+                                  className="p-1 text-gray-400 hover:text-gray-700 disabled:opacity-30"
+                                >
+                                  <ArrowDown className="w-4 h-4" />
+                                </button>
+                                {!isCore && (
+                                  <button
+                                    onClick={() => removeField(index)}
+                                    className="px-2 py-1 text-red-600 hover:bg-red-50 rounded-lg"
+                                  >
+                                    ×
+                                  </button>
+                                )}
+                              </td>
+                            )}
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+                {canEdit && (
+                  <button onClick={addField} className="btn-secondary text-sm mt-4">
+                    + Add Field
+                  </button>
+                )}
                 <p className="text-xs text-gray-400 mt-4">
-                  Note: Output schema is currently read-only. Contact support to modify.
+                  Document_Name, Document_Type, Case_Documents and Processed_At are always appended to the report. Risk rating, enforceability
+                  decision and confidence score are required by the platform and cannot be removed.
                 </p>
               </div>
             </div>
           )}
+
+          {/* Document Types Tab */}
+          {activeTab === 'types' && (
+            <div className="space-y-4">
+              <p className="text-sm text-gray-500">
+                Each document is classified before analysis, first by file name and otherwise by a quick model read of
+                its opening pages. The type's instructions are added to the prompt and only its selected fields are
+                requested (none selected means all fields). Documents matching no type are analysed as "Other" with
+                the full prompt.
+              </p>
+              {prompt?.documentTypes?.map((docType, index) => (
+                <div key={index} className="border border-gray-200 rounded-lg p-4 space-y-3">
+                  <div className="flex gap-3">
+                    <div className="w-56">
+                      <label className="block text-xs font-medium text-gray-500 mb-1">Key</label>
+                      <input
+                        type="text"
+                        value={docType.key}
+                        onChange={(e) => updateDocumentType(index, { key: e.target.value })}
+                        disabled={!canEdit}
+                        className="input font-mono text-xs"
+                        placeholder="snake_case_key"
+                      />
+                    </div>
+                    <div className="flex-1">
+                      <label className="block text-xs font-medium text-gray-500 mb-1">Label</label>
+                      <input
+                        type="text"
+                        value={docType.label}
+                        onChange={(e) => updateDocumentType(index, { label: e.target.value })}
+                        disabled={!canEdit}
+                        className="input text-xs"
+                      />
+                    </div>
+                    {canEdit && (
+                      <button
+                        onClick={() => removeDocumentType(index)}
+                        className="self-end px-3 py-2 text-red-600 hover:bg-red-50 rounded-lg text-sm"
+                      >
+                        Remove
+                      </button>
+                    )}
+                  </div>
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                    <div>
+                      <label className="block text-xs font-medium text-gray-500 mb-1">
+                        File name patterns (regular expressions, one per line)
+                      </label>
+                      <textarea
+                        value={(docType.filenamePatterns || []).join('\n')}
+                        onChange={(e) => updateDocumentType(index, {
+                          filenamePatterns: e.target.value.split('\n').map(p => p.trim()).filter(Boolean)
+                        })}
+                        disabled={!canEdit}
+                        rows={3}
+                        className="input font-mono text-xs"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-xs font-medium text-gray-500 mb-1">Instructions for the model</label>
+                      <textarea
+                        value={docType.instructions || ''}
+                        onChange={(e) => updateDocumentType(index, { instructions: e.target.value })}
+                        disabled={!canEdit}
+                        rows={3}
+                        className="input text-xs"
+                      />
+                    </div>
+                  </div>
+                  <div>
+                    <label className="block text-xs font-medium text-gray-500 mb-1">Fields</label>
+                    <div className="flex flex-wrap gap-x-4 gap-y-1">
+                      {prompt.fields
+                        ?.filter(f => f.extract !== false && !CORE_FIELD_KEYS.includes(f.key))
+                        .map(f => (
+                          <label key={f.key} className="inline-flex items-center gap-1 text-xs text-gray-700">
+                            <input
+                              type="checkbox"
+                              checked={(docType.fieldKeys || []).includes(f.key)}
+                              onChange={() => toggleDocumentTypeField(index, f.key)}
+                              disabled={!canEdit}
+                            />
+                            {f.header}
+                          </label>
+                        ))}
+                    </div>
+                  </div>
+                </div>
+              ))}
+              {canEdit && (
+                <button onClick={addDocumentType} className="btn-secondary text-sm">
+                  + Add Document Type
+                </button>
+              )}
+            </div>
+          )}
+
+          {/* History Tab */}
+          {activeTab === 'history' && (
+            <PromptHistory
+              currentVersion={prompt?.version}
+              canEdit={canEdit}
+              onRolledBack={(restored) => {
+                setPrompt(restored);
+                setSuccess(`Restored version ${restored.rolledBackFrom} as ${restored.version}`);
+                setTimeout(() => setSuccess(''), 3000);
+              }}
+              onError={setError}
+            />
+          )}
         </div>
       </div>
     </div>
   );
 }
+
+function PromptHistory({ currentVersion, canEdit, onRolledBack, onError }) {
+  const [versions, setVersions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [diff, setDiff] = useState(null);
+  const [diffing, setDiffing] = useState(false);
+  const [rollingBack, setRollingBack] = useState(null);
+
+  useEffect(() => {
+    loadHistory();
+  }, [currentVersion]);
+
+  const loadHistory = async () => {
+    setLoading(true);
+    try {
+      const data = await mastersApi.getHistory();
+      setVersions(data.versions || []);
+      // Default comparison: previous version → latest
+      if (data.versions?.length >= 2) {
+        setFrom(data.versions[1].version);
+        setTo(data.versions[0].version);
+      }
+    } catch (err) {
+      onError('Failed to load prompt history');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCompare = async () => {
+    setDiffing(true);
+    try {
+      setDiff(await mastersApi.diff(from, to));
+    } catch (err) {
+      onError(err.message || 'Failed to compare versions');
+    } finally {
+      setDiffing(false);
+    }
+  };
+
+  const handleRollback = async (version) => {
+    if (!window.confirm(`Restore version ${version}? This is saved as a new version.`)) return;
+    setRollingBack(version);
+    try {
+      const response = await mastersApi.rollback(version);
+      setDiff(null);
+      onRolledBack(response.prompt);
+    } catch (err) {
+      onError(err.message || 'Failed to roll back');
+    } finally {
+      setRollingBack(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-32">
+        <Loader2 className="w-6 h-6 text-primary-600 animate-spin" />
+      </div>
+    );
+  }
+
+  if (!versions.length) {
+    return <p className="text-sm text-gray-500">No versions archived yet. Saving the configuration records the first version.</p>;
+  }
+
+  return (
+    <div className="space-y-8">
+      {/* Version list */}
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500 border-b border-gray-200">
+              <th className="py-2 pr-4 font-medium">Version</th>
+              <th className="py-2 pr-4 font-medium">Saved</th>
+              <th className="py-2 pr-4 font-medium">By</th>
+              <th className="py-2 pr-4 font-medium">Change</th>
+              <th className="py-2"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {versions.map((v) => (
+              <tr key={v.version} className="border-b border-gray-100">
+                <td className="py-2 pr-4 font-mono text-gray-900">
+                  {v.version}
+                  {v.version === currentVersion && <span className="ml-2 text-xs text-primary-600">current</span>}
+                </td>
+                <td className="py-2 pr-4 text-gray-700">{new Date(v.updatedAt).toLocaleString('en-IN')}</td>
+                <td className="py-2 pr-4 text-gray-700">{v.updatedBy}</td>
+                <td className="py-2 pr-4 text-gray-500">
+                  {v.action === 'rollback' ? `Rolled back to ${v.rolledBackFrom}` : 'Update'}
+                </td>
+                <td className="py-2 text-right">
+                  {canEdit && v.version !== currentVersion && (
+                    <button
+                      onClick={() => handleRollback(v.version)}
+                      disabled={rollingBack !== null}
+                      className="inline-flex items-center gap-1 text-primary-600 hover:text-primary-700 font-medium"
+                    >
+                      {rollingBack === v.version ? <Loader2 className="w-4 h-4 animate-spin" /> : <RotateCcw className="w-4 h-4" />}
+                      Restore
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Compare */}
+      {versions.length >= 2 && (
+        <div>
+          <div className="flex flex-wrap items-end gap-3 mb-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">From</label>
+              <select value={from} onChange={(e) => setFrom(e.target.value)} className="input">
+                {versions.map(v => <option key={v.version} value={v.version}>{v.version}</option>)}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">To</label>
+              <select value={to} onChange={(e) => setTo(e.target.value)} className="input">
+                {versions.map(v => <option key={v.version} value={v.version}>{v.version}</option>)}
+              </select>
+            </div>
+            <button
+              onClick={handleCompare}
+              disabled={diffing || !from || !to || from === to}
+              className="btn-secondary inline-flex items-center gap-2"
+            >
+              {diffing ? <Loader2 className="w-4 h-4 animate-spin" /> : <GitCompare className="w-4 h-4" />}
+              Compare
+            </button>
+          </div>
+
+          {diff && (
+            <div className="space-y-4">
+              {diff.sections.every(section => !section.changed) && (
+                <p className="text-sm text-gray-500">No differences between {diff.from} and {diff.to}.</p>
+              )}
+              {diff.sections.filter(section => section.changed).map((section) => (
+                <div key={section.key} className="border border-gray-200 rounded-lg overflow-hidden">
+                  <div className="bg-gray-50 px-4 py-2 text-sm font-medium text-gray-700">{section.label}</div>
+                  <div className="font-mono text-xs">
+                    {section.changes.map((change, index) => (
+                      <div
+                        key={index}
+                        className={`px-4 py-1 whitespace-pre-wrap ${
+                          change.op === 'add' ? 'bg-green-50 text-green-800'
+                          : change.op === 'remove' ? 'bg-red-50 text-red-800 line-through'
+                          : 'text-gray-500'
+                        }`}
+                      >
+                        {change.op === 'add' ? '+ ' : change.op === 'remove' ? '- ' : '  '}
+                        {change.value}
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
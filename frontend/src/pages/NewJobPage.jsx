@@ -1,6 +1,5 @@
 import React, { useState, useRef, useEffect, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { useAuth } from '../context/AuthContext';
 import { jobsApi } from '../services/api';
 import { 
   Upload, 
@@ -19,7 +18,6 @@ import {
 } from 'lucide-react';
 
 export default function NewJobPage() {
-  const { user } = useAuth();
   const navigate = useNavigate();
   const fileInputRef = useRef(null);
 
@@ -42,6 +40,7 @@ export default function NewJobPage() {
   const [pdfAnalysis, setPdfAnalysis] = useState(null);
   const [chunkProgress, setChunkProgress] = useState(null);
   const [tokenUsage, setTokenUsage] = useState({ input: 0, output: 0 });
+  const [budget, setBudget] = useState('');
 
   // ── Tab close warning — fires when upload is in progress ──
   useEffect(() => {
@@ -147,10 +146,15 @@ export default function NewJobPage() {
 
   // Create job
   const handleCreateJob = async () => {
+    const budgetUsd = budget === '' ? null : Number(budget);
+    if (budgetUsd !== null && !(budgetUsd > 0)) {
+      setError('Budget cap must be a positive amount');
+      return;
+    }
     setLoading(true);
     setError('');
     try {
-      const response = await jobsApi.create(user?.email);
+      const response = await jobsApi.create(budgetUsd);
       setJobId(response.jobId);
       jobIdRef.current = response.jobId; // keep ref in sync
       addLog(`Job created: ${response.jobId}`, 'success');
@@ -317,6 +321,12 @@ export default function NewJobPage() {
           <p className="text-gray-500 mb-6 max-w-md mx-auto">
             Start by creating a new audit job. You'll then be able to upload your documents for processing.
           </p>
+          <label className="flex items-center justify-center gap-3 text-sm mb-6">
+            <span className="text-gray-600">Budget cap (USD, optional)</span>
+            <input type="number" min="0" step="0.01" value={budget} placeholder="No cap"
+              onChange={(e) => setBudget(e.target.value)}
+              className="input w-32 py-1" />
+          </label>
           <button
             onClick={handleCreateJob}
             disabled={loading}
@@ -334,7 +344,7 @@ export default function NewJobPage() {
           <div className="text-center mb-6">
             <h2 className="text-xl font-semibold text-gray-900 mb-2">Upload Documents</h2>
             <p className="text-gray-500">
-              Upload a ZIP file containing multiple documents, or a single PDF (including large files up to 500MB).
+              Upload a ZIP file containing multiple documents (PDF, images, Word, RTF, text or HTML), or a single PDF (including large files up to 500MB).
             </p>
           </div>
 
@@ -0,0 +1,229 @@
+import React, { useState, useEffect } from 'react';
+import { usersApi } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import {
+  UserPlus, RefreshCw, AlertCircle, CheckCircle2,
+  Loader2, UserX, UserCheck, Users
+} from 'lucide-react';
+
+const STATUS_BADGES = {
+  active:      'bg-green-100 text-green-700',
+  invited:     'bg-blue-100 text-blue-700',
+  deactivated: 'bg-gray-100 text-gray-500'
+};
+
+export default function UsersPage() {
+  const { user: currentUser } = useAuth();
+  const [users,   setUsers]   = useState([]);
+  const [roles,   setRoles]   = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busy,    setBusy]    = useState({}); // { email: true }
+  const [error,   setError]   = useState('');
+  const [success, setSuccess] = useState('');
+  const [invite,  setInvite]  = useState({ email: '', name: '', role: 'viewer' });
+  const [inviting, setInviting] = useState(false);
+
+  useEffect(() => { loadUsers(); }, []);
+
+  const loadUsers = async () => {
+    setLoading(true);
+    try {
+      const data = await usersApi.list();
+      setUsers(data.users || []);
+      setRoles(data.roles || []);
+    } catch (err) {
+      setError(err.message || 'Failed to load users');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const flash = (message) => {
+    setSuccess(message);
+    setTimeout(() => setSuccess(''), 3000);
+  };
+
+  // Replace a single row with the server's copy
+  const applyUpdate = (updated) => {
+    setUsers(prev => prev.map(u => u.email === updated.email ? updated : u));
+  };
+
+  const runAction = async (email, action, message) => {
+    setBusy(prev => ({ ...prev, [email]: true }));
+    setError('');
+    try {
+      const response = await action();
+      applyUpdate(response.user);
+      flash(message);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(prev => ({ ...prev, [email]: false }));
+    }
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    setInviting(true);
+    setError('');
+    try {
+      const response = await usersApi.invite(invite.email.trim(), invite.name.trim(), invite.role);
+      setUsers(prev => [...prev, response.user].sort((a, b) => a.email.localeCompare(b.email)));
+      setInvite({ email: '', name: '', role: 'viewer' });
+      flash(`Invited ${response.user.email}`);
+    } catch (err) {
+      setError(err.message || 'Failed to invite user');
+    } finally {
+      setInviting(false);
+    }
+  };
+
+  const formatDate = (iso) => iso
+    ? new Date(iso).toLocaleString('en-IN', { day: 'numeric', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit' })
+    : 'Never';
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <Loader2 className="w-8 h-8 text-primary-600 animate-spin" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-8 animate-fade-in">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-display font-bold text-gray-900">User Administration</h1>
+          <p className="text-gray-500 mt-1">Manage who can access the audit platform and what they can do</p>
+        </div>
+        <button onClick={loadUsers} className="btn-secondary inline-flex items-center gap-2">
+          <RefreshCw className="w-4 h-4" />
+          Reload
+        </button>
+      </div>
+
+      {/* Alerts */}
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg flex items-center gap-2">
+          <AlertCircle className="w-5 h-5 flex-shrink-0" />
+          {error}
+        </div>
+      )}
+
+      {success && (
+        <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-lg flex items-center gap-2">
+          <CheckCircle2 className="w-5 h-5 flex-shrink-0" />
+          {success}
+        </div>
+      )}
+
+      {/* Invite */}
+      <form onSubmit={handleInvite} className="card p-6">
+        <h2 className="font-semibold text-gray-900 mb-4 flex items-center gap-2">
+          <UserPlus className="w-5 h-5 text-primary-600" /> Invite User
+        </h2>
+        <div className="grid grid-cols-1 sm:grid-cols-4 gap-3">
+          <input
+            type="email"
+            required
+            value={invite.email}
+            onChange={(e) => setInvite(prev => ({ ...prev, email: e.target.value }))}
+            placeholder="user@company.com"
+            className="input sm:col-span-2"
+          />
+          <input
+            type="text"
+            value={invite.name}
+            onChange={(e) => setInvite(prev => ({ ...prev, name: e.target.value }))}
+            placeholder="Name (optional)"
+            className="input"
+          />
+          <select
+            value={invite.role}
+            onChange={(e) => setInvite(prev => ({ ...prev, role: e.target.value }))}
+            className="input capitalize"
+          >
+            {roles.map(role => <option key={role} value={role}>{role}</option>)}
+          </select>
+        </div>
+        <button type="submit" disabled={inviting} className="btn-primary inline-flex items-center gap-2 mt-4">
+          {inviting ? <Loader2 className="w-4 h-4 animate-spin" /> : <UserPlus className="w-4 h-4" />}
+          Send Invite
+        </button>
+      </form>
+
+      {/* Users table */}
+      <div className="card overflow-hidden">
+        <div className="px-6 py-4 border-b border-gray-100 flex items-center gap-2">
+          <Users className="w-5 h-5 text-gray-500" />
+          <h2 className="font-semibold text-gray-900">Users</h2>
+          <span className="text-sm text-gray-500">({users.length})</span>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50 text-left text-gray-500">
+              <tr>
+                <th className="px-6 py-3 font-medium">User</th>
+                <th className="px-6 py-3 font-medium">Role</th>
+                <th className="px-6 py-3 font-medium">Status</th>
+                <th className="px-6 py-3 font-medium">Last Login</th>
+                <th className="px-6 py-3 font-medium text-right">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {users.map((u) => {
+                const isSelf        = u.email === currentUser?.email;
+                const isDeactivated = u.status === 'deactivated';
+                return (
+                  <tr key={u.email} className={isDeactivated ? 'bg-gray-50/60' : ''}>
+                    <td className="px-6 py-3">
+                      <p className="font-medium text-gray-900">{u.name}</p>
+                      <p className="text-gray-500">{u.email}</p>
+                    </td>
+                    <td className="px-6 py-3">
+                      <select
+                        value={u.role}
+                        disabled={busy[u.email] || isDeactivated}
+                        onChange={(e) => runAction(u.email, () => usersApi.update(u.email, { role: e.target.value }), `Role updated for ${u.email}`)}
+                        className="input py-1.5 capitalize"
+                      >
+                        {roles.map(role => <option key={role} value={role}>{role}</option>)}
+                      </select>
+                    </td>
+                    <td className="px-6 py-3">
+                      <span className={`inline-flex px-2.5 py-1 rounded-full text-xs font-medium capitalize ${STATUS_BADGES[u.status] || STATUS_BADGES.active}`}>
+                        {u.status}
+                      </span>
+                    </td>
+                    <td className="px-6 py-3 text-gray-600">{formatDate(u.lastLogin)}</td>
+                    <td className="px-6 py-3 text-right">
+                      {busy[u.email] ? (
+                        <Loader2 className="w-4 h-4 animate-spin inline text-gray-400" />
+                      ) : isDeactivated ? (
+                        <button
+                          onClick={() => runAction(u.email, () => usersApi.reactivate(u.email), `Reactivated ${u.email}`)}
+                          className="inline-flex items-center gap-1.5 text-green-600 hover:text-green-700 font-medium"
+                        >
+                          <UserCheck className="w-4 h-4" /> Reactivate
+                        </button>
+                      ) : !isSelf && (
+                        <button
+                          onClick={() => runAction(u.email, () => usersApi.deactivate(u.email), `Deactivated ${u.email}`)}
+                          className="inline-flex items-center gap-1.5 text-red-600 hover:text-red-700 font-medium"
+                        >
+                          <UserX className="w-4 h-4" /> Deactivate
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -14,6 +14,8 @@ async function fetchApi(endpoint, options = {}) {
 }
 
 export const authApi = {
+  providers: () => fetchApi('/api/auth/providers'),
+  authorizeUrl: (providerId) => `${API_URL}/api/auth/${providerId}/authorize`,
   login: (email, name) => fetchApi('/api/auth/login', { method: 'POST', body: JSON.stringify({ email, name }) }),
   verify: () => fetchApi('/api/auth/verify'),
   logout: () => { localStorage.removeItem('token'); localStorage.removeItem('user'); return Promise.resolve(); }
@@ -21,11 +23,23 @@ export const authApi = {
 
 export const mastersApi = {
   getPrompt: () => fetchApi('/api/masters/prompt'),
-  updatePrompt: (promptData) => fetchApi('/api/masters/prompt', { method: 'PUT', body: JSON.stringify(promptData) })
+  updatePrompt: (promptData) => fetchApi('/api/masters/prompt', { method: 'PUT', body: JSON.stringify(promptData) }),
+  getHistory: () => fetchApi('/api/masters/prompt/history'),
+  getVersion: (version) => fetchApi(`/api/masters/prompt/versions/${encodeURIComponent(version)}`),
+  diff: (from, to) => fetchApi(`/api/masters/prompt/diff?from=${encodeURIComponent(from)}${to ? `&to=${encodeURIComponent(to)}` : ''}`),
+  rollback: (version) => fetchApi('/api/masters/prompt/rollback', { method: 'POST', body: JSON.stringify({ version }) })
+};
+
+export const usersApi = {
+  list:       ()                => fetchApi('/api/users'),
+  invite:     (email, name, role) => fetchApi('/api/users', { method: 'POST', body: JSON.stringify({ email, name, role }) }),
+  update:     (email, changes)  => fetchApi(`/api/users/${encodeURIComponent(email)}`, { method: 'PATCH', body: JSON.stringify(changes) }),
+  deactivate: (email)           => fetchApi(`/api/users/${encodeURIComponent(email)}/deactivate`, { method: 'POST' }),
+  reactivate: (email)           => fetchApi(`/api/users/${encodeURIComponent(email)}/reactivate`, { method: 'POST' })
 };
 
 export const jobsApi = {
-  create: (userEmail) => fetchApi('/api/jobs/create', { method: 'POST', body: JSON.stringify({ userEmail }) }),
+  create: (budgetUsd = null) => fetchApi('/api/jobs/create', { method: 'POST', body: JSON.stringify({ budgetUsd }) }),
 
   uploadZip: async (jobId, file, onProgress) => {
     const { uploadUrl, s3Key } = await fetchApi(`/api/jobs/${jobId}/presign-upload`, {
@@ -101,21 +115,42 @@ export const jobsApi = {
   getStatus:       (jobId)       => fetchApi(`/api/jobs/${jobId}/status`),
   getDownloadUrl:  (jobId)       => fetchApi(`/api/jobs/${jobId}/download`),
   getLogs:         (jobId)       => fetchApi(`/api/jobs/${jobId}/logs`),
-  resumeJob:       (jobId)       => fetchApi(`/api/jobs/${jobId}/resume`,          { method: 'POST' }),
+  resumeJob:       (jobId, body = {}) => fetchApi(`/api/jobs/${jobId}/resume`,    { method: 'POST', body: JSON.stringify(body) }),
+  pauseJob:        (jobId)       => fetchApi(`/api/jobs/${jobId}/pause`,           { method: 'POST' }),
+  cancelJob:       (jobId)       => fetchApi(`/api/jobs/${jobId}/cancel`,          { method: 'POST' }),
+  getCases:        (jobId)       => fetchApi(`/api/jobs/${jobId}/cases`),
+  reprocessJob:    (jobId, body) => fetchApi(`/api/jobs/${jobId}/reprocess`,       { method: 'POST', body: JSON.stringify(body) }),
   list:            ()            => fetchApi('/api/jobs'),
 
-  subscribeToEvents: (jobId, handlers) => {
-    const eventSource = new EventSource(`${API_URL}/api/jobs/${jobId}/events`);
-    eventSource.addEventListener('connected',           (e) => handlers.onConnected?.(JSON.parse(e.data)));
-    eventSource.addEventListener('log',                 (e) => handlers.onLog?.(JSON.parse(e.data)));
-    eventSource.addEventListener('progress',            (e) => handlers.onProgress?.(JSON.parse(e.data)));
-    eventSource.addEventListener('processing',          (e) => handlers.onProcessing?.(JSON.parse(e.data)));
-    eventSource.addEventListener('chunk-progress',      (e) => handlers.onChunkProgress?.(JSON.parse(e.data)));
-    eventSource.addEventListener('tokens',              (e) => handlers.onTokens?.(JSON.parse(e.data)));
-    eventSource.addEventListener('extraction-complete', (e) => handlers.onExtractionComplete?.(JSON.parse(e.data)));
-    eventSource.addEventListener('analysis-complete',   (e) => handlers.onAnalysisComplete?.(JSON.parse(e.data)));
-    eventSource.addEventListener('complete',            (e) => handlers.onComplete?.(JSON.parse(e.data)));
-    eventSource.addEventListener('error',               (e) => handlers.onError?.(e));
+  subscribeToEvents: (jobId, handlers, lastEventId = null) => {
+    // EventSource cannot send an Authorization header, so the token rides in the query string
+    const token       = encodeURIComponent(localStorage.getItem('token') || '');
+    const resume      = lastEventId ? `&lastEventId=${encodeURIComponent(lastEventId)}` : '';
+    const eventSource = new EventSource(`${API_URL}/api/jobs/${jobId}/events?token=${token}${resume}`);
+    // Report each event id so a later reconnect can ask for exactly what was missed
+    const on = (name, handler) => eventSource.addEventListener(name, (e) => {
+      if (e.lastEventId) handlers.onEventId?.(e.lastEventId);
+      handler(JSON.parse(e.data));
+    });
+    eventSource.addEventListener('connected', (e) => handlers.onConnected?.(JSON.parse(e.data)));
+    on('log',                 (d) => handlers.onLog?.(d));
+    on('progress',            (d) => handlers.onProgress?.(d));
+    on('processing',          (d) => handlers.onProcessing?.(d));
+    on('chunk-progress',      (d) => handlers.onChunkProgress?.(d));
+    on('tokens',              (d) => handlers.onTokens?.(d));
+    on('extraction-complete', (d) => handlers.onExtractionComplete?.(d));
+    on('analysis-complete',   (d) => handlers.onAnalysisComplete?.(d));
+    on('complete',            (d) => handlers.onComplete?.(d));
+    on('paused',              (d) => handlers.onPaused?.(d));
+    on('cancelled',           (d) => handlers.onCancelled?.(d));
+    on('resync',              (d) => handlers.onResync?.(d));
+    eventSource.addEventListener('error', (e) => {
+      // Server-sent "error" events carry data; connection errors do not
+      if (e.data) {
+        if (e.lastEventId) handlers.onEventId?.(e.lastEventId);
+        handlers.onError?.(JSON.parse(e.data));
+      }
+    });
     eventSource.onerror = () => handlers.onError?.({ message: 'Connection lost' });
     return () => eventSource.close();
   }